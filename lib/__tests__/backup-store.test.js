@@ -0,0 +1,67 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { createRequire } from 'module';
+import { join } from 'path';
+import fs from 'fs';
+import os from 'os';
+
+const require = createRequire(import.meta.url);
+
+const { createBackupStore, validateBackup } = require('../backup-store.js');
+
+function bundle(data = { 'apps.notepad.v1': { html: 'hi' } }) {
+    return {
+        format: 'winnieos-backup',
+        version: 1,
+        createdAt: '2026-01-02T03:04:05.000Z',
+        build: null,
+        data
+    };
+}
+
+describe('backup-store', () => {
+    let backupsDir;
+
+    beforeEach(() => {
+        backupsDir = fs.mkdtempSync(join(os.tmpdir(), 'winnieos-backups-test-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(backupsDir, { recursive: true, force: true });
+    });
+
+    it('saves and reads back a bundle', () => {
+        const store = createBackupStore(backupsDir);
+        const id = store.save(bundle());
+        expect(store.read(id)).toEqual(bundle());
+        expect(store.list().map((b) => b.id)).toEqual([id]);
+    });
+
+    // Rotation keeps the directory from growing forever on an 8" laptop's disk.
+    it('keeps only the newest `keep` bundles', () => {
+        const store = createBackupStore(backupsDir, { keep: 2 });
+        const ids = [store.save(bundle({ a: 1 })), store.save(bundle({ a: 2 })), store.save(bundle({ a: 3 }))];
+
+        expect(store.list().map((b) => b.id)).toEqual([ids[2], ids[1]]);
+        expect(store.read(ids[0])).toBeNull();
+    });
+
+    it('refuses to save an invalid bundle', () => {
+        const store = createBackupStore(backupsDir);
+        expect(() => store.save({ format: 'nope' })).toThrow('Invalid backup');
+        expect(fs.readdirSync(backupsDir)).toEqual([]);
+    });
+
+    it('rejects ids that could escape the backups directory', () => {
+        const store = createBackupStore(backupsDir);
+        expect(() => store.read('../config/local')).toThrow('Invalid backup id');
+    });
+
+    it.each([
+        ['wrong format', { ...bundle(), format: 'other' }],
+        ['future version', { ...bundle(), version: 99 }],
+        ['bad date', { ...bundle(), createdAt: 'yesterday' }],
+        ['unsafe key', bundle({ '../x': 1 })]
+    ])('validateBackup rejects %s', (_label, candidate) => {
+        expect(validateBackup(candidate).valid).toBe(false);
+    });
+});
@@ -0,0 +1,94 @@
+import { describe, it, expect } from 'vitest';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+
+const { validateClientBatch, toStorageQuotaSnapshot, createRateLimiter, MAX_BATCH_EVENTS } = require('../client-log.js');
+
+describe('client-log', () => {
+    describe('validateClientBatch', () => {
+        it('accepts a batch and fills in default levels', () => {
+            const result = validateClientBatch({
+                events: [
+                    { type: 'error', message: 'TypeError: boom', at: '2026-01-02T03:04:05.000Z', data: { appId: 'letters' } },
+                    { type: 'app-launch', message: 'letters' },
+                    { type: 'navigation', level: 'info', message: 'desktop -> app:letters' }
+                ]
+            });
+            expect(result.valid).toBe(true);
+            expect(result.events.map((e) => e.level)).toEqual(['error', 'info', 'info']);
+            expect(result.events[0].data).toEqual({ appId: 'letters' });
+            expect(result.events[1].data).toEqual({});
+        });
+
+        it('reports bad events by index', () => {
+            const result = validateClientBatch({
+                events: [
+                    { type: 'error', message: 'ok' },
+                    { type: 'click', message: 'x' },
+                    { type: 'error', message: '' },
+                    { type: 'error', message: 'x', at: 'yesterday' }
+                ]
+            });
+            expect(result.valid).toBe(false);
+            expect(result.errors).toEqual([
+                'events[1].type must be one of error, app-launch, navigation, storage-quota',
+                'events[2].message must be a non-empty string',
+                'events[3].at must be an ISO date string'
+            ]);
+        });
+
+        it('rejects missing, empty and oversized batches', () => {
+            expect(validateClientBatch(null).valid).toBe(false);
+            expect(validateClientBatch({ events: [] }).valid).toBe(false);
+            const many = Array.from({ length: MAX_BATCH_EVENTS + 1 }, () => ({ type: 'navigation', message: 'x' }));
+            expect(validateClientBatch({ events: many }).errors[0]).toMatch(/at most/);
+        });
+
+        it('rejects oversized data and trims long messages', () => {
+            const big = validateClientBatch({ events: [{ type: 'error', message: 'x', data: { stack: 'a'.repeat(5000) } }] });
+            expect(big.errors[0]).toMatch(/events\[0\]\.data must be at most/);
+
+            const long = validateClientBatch({ events: [{ type: 'error', message: 'b'.repeat(2000) }] });
+            expect(long.events[0].message).toHaveLength(1000);
+        });
+    });
+
+    describe('toStorageQuotaSnapshot', () => {
+        it('keeps the browser quota state from a storage-quota event', () => {
+            const { events } = validateClientBatch({
+                events: [{
+                    type: 'storage-quota',
+                    message: 'full',
+                    at: '2026-01-02T03:04:05.000Z',
+                    data: { totalBytes: 5000000, quotaBytes: 5242880, key: 'p-winnie.apps.notepad.note', largestKeys: { 'p-winnie.apps.notepad.note': 4800000, bad: 'big' } }
+                }]
+            });
+            expect(toStorageQuotaSnapshot(events[0])).toEqual({
+                level: 'full',
+                totalBytes: 5000000,
+                quotaBytes: 5242880,
+                key: 'p-winnie.apps.notepad.note',
+                largestKeys: { 'p-winnie.apps.notepad.note': 4800000 },
+                reportedAt: '2026-01-02T03:04:05.000Z'
+            });
+        });
+
+        it('ignores other events and unknown levels', () => {
+            expect(toStorageQuotaSnapshot({ type: 'navigation', message: 'full', data: {} })).toBeNull();
+            expect(toStorageQuotaSnapshot({ type: 'storage-quota', message: 'huge', data: {} })).toBeNull();
+        });
+    });
+
+    describe('createRateLimiter', () => {
+        it('grants up to the limit per window, then resets', () => {
+            let t = 0;
+            const limiter = createRateLimiter({ limit: 5, windowMs: 1000, now: () => t });
+            expect(limiter.take(3)).toBe(3);
+            expect(limiter.take(3)).toBe(2);
+            expect(limiter.take(1)).toBe(0);
+            t = 1000;
+            expect(limiter.take(1)).toBe(1);
+        });
+    });
+});
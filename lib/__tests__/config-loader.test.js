@@ -9,7 +9,14 @@ const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 const require = createRequire(import.meta.url);
 
-const { loadConfig, deepMerge, FALLBACK_DEFAULTS } = require('../config-loader.js');
+const {
+    loadConfig,
+    loadConfigDetailed,
+    validateConfig,
+    discoverAppIds,
+    deepMerge,
+    FALLBACK_DEFAULTS
+} = require('../config-loader.js');
 
 describe('config-loader', () => {
     let testConfigDir;
@@ -138,4 +145,180 @@ describe('config-loader', () => {
             ).toThrow('Default config file not found');
         });
     });
+
+    describe('validateConfig', () => {
+        it('accepts the fallback defaults unchanged', () => {
+            const result = validateConfig(FALLBACK_DEFAULTS, { knownAppIds: FALLBACK_DEFAULTS.apps.enabled });
+            expect(result.valid).toBe(true);
+            expect(result.errors).toEqual([]);
+            expect(result.config).toEqual(FALLBACK_DEFAULTS);
+        });
+
+        // The point of the schema: a typo is reported at its exact path
+        // instead of silently leaving the desktop empty.
+        it('reports problems with precise paths', () => {
+            const result = validateConfig({
+                server: { port: '3000' },
+                display: { reference: { width: 100 } },
+                logging: { level: 'loud' },
+                apps: { enable: ['colors'], enabled: ['colors', 'colours', 7] }
+            }, { knownAppIds: ['colors', 'letters'] });
+
+            expect(result.valid).toBe(false);
+            expect(result.errors).toEqual([
+                'server.port must be an integer',
+                'display.reference.width must be >= 320',
+                'logging.level must be one of error, warn, info, http, verbose, debug, silly',
+                'apps.enable is not a known config key',
+                'apps.enabled[1] is not a known app id ("colours")',
+                'apps.enabled[2] must be a string'
+            ]);
+        });
+
+        // A bad value falls back to the built-in default rather than taking the kiosk down.
+        it('repairs invalid values with safe ones', () => {
+            const result = validateConfig({
+                server: { port: -1, host: 'localhost' },
+                logging: { level: 'loud' },
+                apps: { enabled: ['colors', 'colours'] }
+            }, { knownAppIds: ['colors'] });
+
+            expect(result.config.server).toEqual({ port: FALLBACK_DEFAULTS.server.port, host: 'localhost' });
+            expect(result.config.logging.level).toBe(FALLBACK_DEFAULTS.logging.level);
+            expect(result.config.apps.enabled).toEqual(['colors']);
+        });
+
+        it('keeps the lock idle time within range', () => {
+            const result = validateConfig({ display: { lock: { idleMinutes: 1.5 } } });
+            expect(result.errors).toEqual(['display.lock.idleMinutes must be an integer']);
+            expect(result.config.display.lock.idleMinutes).toBe(FALLBACK_DEFAULTS.display.lock.idleMinutes);
+        });
+
+        it('only checks the app id format when known ids are not given', () => {
+            const result = validateConfig({ apps: { enabled: ['anything', 'Not Valid'] } });
+            expect(result.errors).toEqual(['apps.enabled[1] is not a valid app id']);
+        });
+
+        // One broken folder shouldn't hide the others (or the apps inside it).
+        it('checks each desktop folder, dropping broken ones', () => {
+            const result = validateConfig({
+                apps: {
+                    folders: [
+                        { id: 'games', title: 'Games', iconEmoji: '🎮', apps: ['slalom', 'slalon'] },
+                        { id: 'make', apps: ['colors'] },
+                        'art',
+                        { id: 'art', title: 'Art', iconEmoji: 7, apps: ['colors'] }
+                    ]
+                }
+            }, { knownAppIds: ['colors', 'slalom'] });
+
+            expect(result.errors).toEqual([
+                'apps.folders[0].apps[1] is not a known app id ("slalon")',
+                'apps.folders[1].title is required',
+                'apps.folders[2] must be an object',
+                'apps.folders[3].iconEmoji must be a string'
+            ]);
+            expect(result.config.apps.folders).toEqual([
+                { id: 'games', title: 'Games', iconEmoji: '🎮', apps: ['slalom'] },
+                { id: 'art', title: 'Art', apps: ['colors'] }
+            ]);
+        });
+    });
+
+    describe('loadConfigDetailed', () => {
+        it('returns the repaired config with its validation report', () => {
+            writeConfig('default.json', {
+                server: { port: 3000, host: 'localhost' },
+                apps: { enabled: ['colors'] }
+            });
+            writeConfig('local.json', { server: { port: 'eighty' } });
+
+            const { config, validation } = loadConfigDetailed(testConfigDir, { verbose: false });
+            expect(config.server.port).toBe(FALLBACK_DEFAULTS.server.port);
+            expect(validation).toEqual({ valid: false, errors: ['server.port must be an integer'] });
+            expect(consoleErrorSpy).toHaveBeenCalled();
+        });
+
+        it('matches loadConfig for a valid config', () => {
+            writeConfig('default.json', FALLBACK_DEFAULTS);
+
+            const { config, validation } = loadConfigDetailed(testConfigDir, { verbose: false });
+            expect(config).toEqual(loadConfig(testConfigDir, { verbose: false }));
+            expect(validation.valid).toBe(true);
+        });
+    });
+
+    describe('environment and CLI overrides', () => {
+        beforeEach(() => {
+            writeConfig('default.json', FALLBACK_DEFAULTS);
+            writeConfig('local.json', { server: { port: 8080 } });
+        });
+
+        it('maps WINNIEOS_* variables onto known keys with type coercion', () => {
+            const config = loadConfig(testConfigDir, {
+                verbose: false,
+                argv: [],
+                env: {
+                    WINNIEOS_SERVER_PORT: '9000',
+                    WINNIEOS_LOGGING_LEVEL: 'debug',
+                    WINNIEOS_STORAGE_DATA_DIR: '/tmp/winnie',
+                    WINNIEOS_APPS_ENABLED: 'colors, letters',
+                    PATH: '/usr/bin'
+                }
+            });
+            expect(config.server.port).toBe(9000);
+            expect(config.logging.level).toBe('debug');
+            expect(config.storage.dataDir).toBe('/tmp/winnie');
+            expect(config.apps.enabled).toEqual(['colors', 'letters']);
+        });
+
+        it('lets --config.* flags win over the environment', () => {
+            const config = loadConfig(testConfigDir, {
+                verbose: false,
+                env: { WINNIEOS_SERVER_PORT: '9000' },
+                argv: ['--config.server.port=9100', '--config.apps.enabled=["notepad"]', '--port', '1']
+            });
+            expect(config.server.port).toBe(9100);
+            expect(config.apps.enabled).toEqual(['notepad']);
+        });
+
+        it('ignores unknown WINNIEOS_* variables with a warning', () => {
+            const config = loadConfig(testConfigDir, {
+                verbose: false,
+                argv: [],
+                env: { WINNIEOS_SERVER_PROT: '9000' }
+            });
+            expect(config.server.port).toBe(8080);
+            expect(consoleErrorSpy).toHaveBeenCalledWith(expect.stringContaining('WINNIEOS_SERVER_PROT'));
+        });
+
+        it('reports the source of each effective value', () => {
+            const { sources } = loadConfigDetailed(testConfigDir, {
+                verbose: false,
+                env: { WINNIEOS_LOGGING_LEVEL: 'debug', WINNIEOS_BACKUPS_KEEP: 'lots' },
+                argv: ['--config.display.reference.width=1024']
+            });
+            expect(sources['server.host']).toBe('default');
+            expect(sources['server.port']).toBe('local');
+            expect(sources['logging.level']).toBe('env');
+            expect(sources['display.reference.width']).toBe('cli');
+            // Didn't coerce to a number: reported by the schema and repaired from the defaults.
+            expect(sources['backups.keep']).toBe('default');
+        });
+    });
+
+    describe('discoverAppIds', () => {
+        it('lists app folders that have an app.js', () => {
+            const appsDir = join(testConfigDir, 'src', 'js', 'apps');
+            fs.mkdirSync(join(appsDir, 'colors'), { recursive: true });
+            fs.writeFileSync(join(appsDir, 'colors', 'app.js'), '');
+            fs.mkdirSync(join(appsDir, '__tests__'), { recursive: true });
+
+            expect(discoverAppIds(testConfigDir)).toEqual(['colors']);
+        });
+
+        it('returns null without a source tree', () => {
+            expect(discoverAppIds(testConfigDir)).toBeNull();
+        });
+    });
 });
@@ -0,0 +1,116 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { createRequire } from 'module';
+import { join } from 'path';
+import fs from 'fs';
+import os from 'os';
+
+const require = createRequire(import.meta.url);
+const { validateConfigPatch, writeLocalConfig } = require('../config-writer.js');
+
+describe('config-writer', () => {
+    let rootDir;
+
+    beforeEach(() => {
+        rootDir = fs.mkdtempSync(join(os.tmpdir(), 'winnieos-config-writer-test-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(rootDir, { recursive: true, force: true });
+    });
+
+    function readLocal() {
+        return JSON.parse(fs.readFileSync(join(rootDir, 'config', 'local.json'), 'utf8'));
+    }
+
+    describe('validateConfigPatch', () => {
+        it('accepts runtime-safe keys', () => {
+            expect(validateConfigPatch({
+                apps: { enabled: ['colors', 'letters'] },
+                display: { reference: { width: 1024, height: 600 } },
+                logging: { level: 'debug' }
+            })).toEqual({ valid: true, errors: [] });
+        });
+
+        // server.port etc. only take effect on restart; they stay SSH-only.
+        it('rejects keys that cannot change at runtime, naming the path', () => {
+            const result = validateConfigPatch({ server: { port: 8080 }, apps: { enable: ['colors'] } });
+            expect(result.valid).toBe(false);
+            expect(result.errors).toEqual([
+                'server cannot be changed at runtime',
+                'apps.enable cannot be changed at runtime'
+            ]);
+        });
+
+        it('rejects bad values', () => {
+            const result = validateConfigPatch({
+                apps: { enabled: ['colors', 'colors'] },
+                display: { reference: { width: '1024' } },
+                logging: { level: 'loud' }
+            });
+            expect(result.errors).toHaveLength(3);
+            expect(result.errors[0]).toMatch(/^apps\.enabled /);
+            expect(result.errors[1]).toMatch(/^display\.reference\.width /);
+            expect(result.errors[2]).toMatch(/^logging\.level /);
+        });
+
+        it('rejects app ids that are not installed when known ids are given', () => {
+            const result = validateConfigPatch(
+                { apps: { enabled: ['colors', 'colours'] } },
+                { knownAppIds: ['colors', 'letters'] }
+            );
+            // Same wording as the loader, which checks the file again on the next read.
+            expect(result.errors).toEqual(['apps.enabled[1] is not a known app id ("colours")']);
+        });
+
+        it('holds values to the loader schema', () => {
+            const result = validateConfigPatch({
+                apps: { enabled: ['colors', 'Not Valid', 7] },
+                display: { reference: { width: 100 } }
+            });
+            expect(result.errors).toEqual([
+                'apps.enabled[1] is not a valid app id',
+                'apps.enabled[2] must be a string',
+                'display.reference.width must be >= 320'
+            ]);
+        });
+
+        it('rejects empty and non-object patches', () => {
+            expect(validateConfigPatch({}).valid).toBe(false);
+            expect(validateConfigPatch([]).valid).toBe(false);
+            expect(validateConfigPatch(null).valid).toBe(false);
+        });
+    });
+
+    describe('writeLocalConfig', () => {
+        it('creates local.json when missing', () => {
+            writeLocalConfig(rootDir, { apps: { enabled: ['colors'] } });
+            expect(readLocal()).toEqual({ apps: { enabled: ['colors'] } });
+        });
+
+        // Hand-written overrides (e.g. server.port) must survive a Settings change.
+        it('merges into existing local.json, replacing arrays', () => {
+            fs.mkdirSync(join(rootDir, 'config'));
+            fs.writeFileSync(join(rootDir, 'config', 'local.json'), JSON.stringify({
+                server: { port: 8080 },
+                apps: { enabled: ['colors', 'letters'] }
+            }));
+
+            writeLocalConfig(rootDir, { apps: { enabled: ['notepad'] } });
+
+            expect(readLocal()).toEqual({ server: { port: 8080 }, apps: { enabled: ['notepad'] } });
+        });
+
+        it('refuses invalid patches and leaves the file alone', () => {
+            expect(() => writeLocalConfig(rootDir, { server: { port: 1 } })).toThrow('Invalid config patch');
+            expect(fs.existsSync(join(rootDir, 'config', 'local.json'))).toBe(false);
+        });
+
+        it('does not overwrite a local.json it cannot parse', () => {
+            fs.mkdirSync(join(rootDir, 'config'));
+            fs.writeFileSync(join(rootDir, 'config', 'local.json'), '{ not json');
+
+            expect(() => writeLocalConfig(rootDir, { apps: { enabled: ['colors'] } })).toThrow();
+            expect(fs.readFileSync(join(rootDir, 'config', 'local.json'), 'utf8')).toBe('{ not json');
+        });
+    });
+});
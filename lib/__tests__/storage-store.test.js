@@ -0,0 +1,63 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { createRequire } from 'module';
+import { join } from 'path';
+import fs from 'fs';
+import os from 'os';
+
+const require = createRequire(import.meta.url);
+
+const { createStorageStore, isValidKey } = require('../storage-store.js');
+
+describe('storage-store', () => {
+    let dataDir;
+    let store;
+
+    beforeEach(() => {
+        dataDir = join(fs.mkdtempSync(join(os.tmpdir(), 'winnieos-storage-test-')), 'storage');
+        store = createStorageStore(dataDir);
+    });
+
+    afterEach(() => {
+        fs.rmSync(join(dataDir, '..'), { recursive: true, force: true });
+    });
+
+    it('round-trips values and creates the data directory on first write', () => {
+        expect(store.get('apps.notepad.v1')).toEqual({ found: false, value: null });
+
+        store.set('apps.notepad.v1', { html: 'hi', color: '#111111' });
+
+        expect(fs.existsSync(join(dataDir, 'apps.notepad.v1.json'))).toBe(true);
+        expect(store.get('apps.notepad.v1')).toEqual({ found: true, value: { html: 'hi', color: '#111111' } });
+    });
+
+    // Atomic write contract: nothing but the final file should be left behind.
+    it('leaves no temp files after a write', () => {
+        store.set('letters.score.v1', 3);
+        store.set('letters.score.v1', 4);
+        expect(fs.readdirSync(dataDir)).toEqual(['letters.score.v1.json']);
+    });
+
+    it('removes keys', () => {
+        store.set('preferences.backgroundColor', '#ff0000');
+        expect(store.remove('preferences.backgroundColor')).toBe(true);
+        expect(store.remove('preferences.backgroundColor')).toBe(false);
+        expect(store.get('preferences.backgroundColor').found).toBe(false);
+    });
+
+    // One corrupt file must not block the kiosk from hydrating everything else.
+    it('lists all keys and reports unreadable files instead of failing', () => {
+        store.set('a.key', 1);
+        store.set('b.key', { nested: true });
+        fs.writeFileSync(join(dataDir, 'broken.key.json'), '{ nope', 'utf8');
+
+        const { items, errors } = store.list();
+        expect(items).toEqual({ 'a.key': 1, 'b.key': { nested: true } });
+        expect(errors.map((e) => e.key)).toEqual(['broken.key']);
+    });
+
+    // Keys become file names, so anything that could escape the data directory is rejected.
+    it.each(['../etc/passwd', 'a/b', '.hidden', '', 'a..b'])('rejects unsafe key %j', (key) => {
+        expect(isValidKey(key)).toBe(false);
+        expect(() => store.set(key, 1)).toThrow('Invalid storage key');
+    });
+});
@@ -0,0 +1,152 @@
+/**
+ * Backup Store
+ *
+ * Server-side home for full WinnieOS backup bundles (see src/js/utils/backup.js).
+ * Bundles are written atomically as `winnieos-backup-<timestamp>.json` under the
+ * backups directory, and only the newest `keep` bundles are retained.
+ *
+ * The bundle format is shared with the frontend:
+ *   {
+ *     format: 'winnieos-backup',
+ *     version: 1,
+ *     createdAt: '<ISO date>',
+ *     build: '<git SHA or null>',
+ *     data: { '<storage key without winnieos. prefix>': <value>, ... }
+ *   }
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { isValidKey, writeFileAtomic } = require('./storage-store');
+
+const BACKUP_FORMAT = 'winnieos-backup';
+const BACKUP_VERSION = 1;
+const FILE_PREFIX = 'winnieos-backup-';
+const FILE_SUFFIX = '.json';
+const ID_PATTERN = /^winnieos-backup-[0-9A-Za-z-]+$/;
+
+/**
+ * Validate a backup bundle
+ * @param {*} bundle - Candidate bundle
+ * @returns {{valid: boolean, errors: string[]}}
+ */
+function validateBackup(bundle) {
+  const errors = [];
+  if (!bundle || typeof bundle !== 'object' || Array.isArray(bundle)) {
+    return { valid: false, errors: ['bundle must be an object'] };
+  }
+  if (bundle.format !== BACKUP_FORMAT) {
+    errors.push(`format must be "${BACKUP_FORMAT}"`);
+  }
+  if (!Number.isInteger(bundle.version) || bundle.version < 1 || bundle.version > BACKUP_VERSION) {
+    errors.push(`version must be an integer between 1 and ${BACKUP_VERSION}`);
+  }
+  if (typeof bundle.createdAt !== 'string' || Number.isNaN(Date.parse(bundle.createdAt))) {
+    errors.push('createdAt must be an ISO date string');
+  }
+  if (!bundle.data || typeof bundle.data !== 'object' || Array.isArray(bundle.data)) {
+    errors.push('data must be an object');
+  } else {
+    Object.keys(bundle.data).forEach((key) => {
+      if (!isValidKey(key)) errors.push(`data has invalid key "${key}"`);
+    });
+  }
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Create a rotating store of backup bundles
+ *
+ * @param {string} backupsDir - Directory holding backup files (created if missing)
+ * @param {object} options - Options
+ * @param {number} options.keep - Number of newest bundles to retain (default: 10)
+ * @returns {object} Store with save/list/read
+ */
+function createBackupStore(backupsDir, options = {}) {
+  if (!backupsDir || typeof backupsDir !== 'string') {
+    throw new Error('Backups directory must be a non-empty string');
+  }
+  const keep = Number.isInteger(options.keep) && options.keep > 0 ? options.keep : 10;
+
+  function listIds() {
+    if (!fs.existsSync(backupsDir)) return [];
+    return fs.readdirSync(backupsDir)
+      .filter((f) => f.startsWith(FILE_PREFIX) && f.endsWith(FILE_SUFFIX))
+      .map((f) => f.slice(0, -FILE_SUFFIX.length))
+      .filter((id) => ID_PATTERN.test(id))
+      .sort(); // timestamp ids sort chronologically
+  }
+
+  function filePathFor(id) {
+    if (typeof id !== 'string' || !ID_PATTERN.test(id)) {
+      throw new Error(`Invalid backup id: ${id}`);
+    }
+    return path.join(backupsDir, id + FILE_SUFFIX);
+  }
+
+  function rotate() {
+    const ids = listIds();
+    const excess = ids.length - keep;
+    for (let i = 0; i < excess; i++) {
+      fs.rmSync(filePathFor(ids[i]), { force: true });
+    }
+  }
+
+  return {
+    backupsDir,
+    keep,
+
+    /**
+     * Validate and write a bundle, then drop the oldest bundles beyond `keep`
+     * @param {object} bundle - Backup bundle
+     * @returns {string} The new backup id
+     */
+    save: function(bundle) {
+      const result = validateBackup(bundle);
+      if (!result.valid) {
+        throw new Error(`Invalid backup: ${result.errors.join('; ')}`);
+      }
+      if (!fs.existsSync(backupsDir)) {
+        fs.mkdirSync(backupsDir, { recursive: true });
+      }
+
+      // Name by save time (not bundle.createdAt) so rotation always drops the oldest write.
+      const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+      let id = FILE_PREFIX + stamp;
+      for (let n = 1; fs.existsSync(filePathFor(id)); n++) {
+        id = `${FILE_PREFIX}${stamp}-${n}`;
+      }
+
+      writeFileAtomic(filePathFor(id), JSON.stringify(bundle, null, 2) + '\n');
+      rotate();
+      return id;
+    },
+
+    /**
+     * List stored bundles, newest first
+     * @returns {Array<{id: string, size: number, savedAt: string}>}
+     */
+    list: function() {
+      return listIds().reverse().map((id) => {
+        const stat = fs.statSync(filePathFor(id));
+        return { id, size: stat.size, savedAt: stat.mtime.toISOString() };
+      });
+    },
+
+    /**
+     * Read a bundle by id
+     * @param {string} id - Backup id
+     * @returns {object|null} Bundle, or null if it does not exist
+     */
+    read: function(id) {
+      const filePath = filePathFor(id);
+      if (!fs.existsSync(filePath)) return null;
+      return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    }
+  };
+}
+
+// Export for CommonJS
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { createBackupStore, validateBackup, BACKUP_FORMAT, BACKUP_VERSION };
+}
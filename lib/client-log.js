@@ -0,0 +1,160 @@
+/**
+ * Client Log
+ *
+ * Validation and rate limiting for events the frontend ships to POST /api/client-log
+ * (see src/js/utils/client-log.js). Accepted events are written into the server's
+ * winston log with `source: 'client'`, so front-end errors on the kiosk end up in
+ * logs/winnieos.log next to the HTTP requests.
+ *
+ * A batch looks like:
+ *   {
+ *     events: [
+ *       { type: 'error', level: 'error', message: 'TypeError: ...', at: '<ISO date>', data: { appId: 'letters', stack: '...' } },
+ *       { type: 'app-launch', message: 'letters', at: '<ISO date>', data: { ms: 120 } },
+ *       { type: 'navigation', message: 'desktop -> app:letters', at: '<ISO date>' },
+ *       { type: 'storage-quota', message: 'full', at: '<ISO date>', data: { totalBytes: 5100000, quotaBytes: 5242880, key: 'apps.notepad.note', largestKeys: { ... } } }
+ *     ]
+ *   }
+ *
+ * `storage-quota` events carry the browser's localStorage quota state (sent at startup
+ * and on every level change); the latest one is shown in /winnieos-debug.json.
+ */
+
+const EVENT_TYPES = ['error', 'app-launch', 'navigation', 'storage-quota'];
+const EVENT_LEVELS = ['error', 'warn', 'info', 'debug'];
+const DEFAULT_LEVELS = { error: 'error', 'app-launch': 'info', navigation: 'info', 'storage-quota': 'info' };
+const QUOTA_LEVELS = ['ok', 'warning', 'full'];
+const MAX_BATCH_EVENTS = 50;
+const MAX_MESSAGE_LENGTH = 1000;
+// Keeps one chatty event (a stack trace in `data`) from bloating the log file.
+const MAX_DATA_BYTES = 4096;
+
+function isPlainObject(value) {
+  return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Validate a batch of client events
+ * @param {*} body - Request body
+ * @returns {{valid: boolean, errors: string[], events: object[]}} Normalized events (level filled in, message trimmed)
+ */
+function validateClientBatch(body) {
+  if (!isPlainObject(body) || !Array.isArray(body.events)) {
+    return { valid: false, errors: ['events must be an array'], events: [] };
+  }
+  if (body.events.length === 0) {
+    return { valid: false, errors: ['events must not be empty'], events: [] };
+  }
+  if (body.events.length > MAX_BATCH_EVENTS) {
+    return { valid: false, errors: [`events must have at most ${MAX_BATCH_EVENTS} entries`], events: [] };
+  }
+
+  const errors = [];
+  const events = [];
+  body.events.forEach((event, i) => {
+    const where = `events[${i}]`;
+    if (!isPlainObject(event)) {
+      errors.push(`${where} must be an object`);
+      return;
+    }
+    if (!EVENT_TYPES.includes(event.type)) {
+      errors.push(`${where}.type must be one of ${EVENT_TYPES.join(', ')}`);
+      return;
+    }
+    if (event.level !== undefined && !EVENT_LEVELS.includes(event.level)) {
+      errors.push(`${where}.level must be one of ${EVENT_LEVELS.join(', ')}`);
+      return;
+    }
+    if (typeof event.message !== 'string' || !event.message) {
+      errors.push(`${where}.message must be a non-empty string`);
+      return;
+    }
+    if (event.at !== undefined && (typeof event.at !== 'string' || Number.isNaN(Date.parse(event.at)))) {
+      errors.push(`${where}.at must be an ISO date string`);
+      return;
+    }
+    if (event.data !== undefined && !isPlainObject(event.data)) {
+      errors.push(`${where}.data must be an object`);
+      return;
+    }
+    if (event.data !== undefined && JSON.stringify(event.data).length > MAX_DATA_BYTES) {
+      errors.push(`${where}.data must be at most ${MAX_DATA_BYTES} bytes of JSON`);
+      return;
+    }
+    events.push({
+      type: event.type,
+      level: event.level || DEFAULT_LEVELS[event.type],
+      message: event.message.slice(0, MAX_MESSAGE_LENGTH),
+      at: event.at || null,
+      data: event.data || {}
+    });
+  });
+  return { valid: errors.length === 0, errors, events };
+}
+
+/**
+ * The client's localStorage quota state from a validated `storage-quota` event
+ *
+ * @param {object} event - Event from validateClientBatch()
+ * @returns {object|null} `{ level, totalBytes, quotaBytes, key, largestKeys, reportedAt }`, or null if it isn't one
+ */
+function toStorageQuotaSnapshot(event) {
+  if (!event || event.type !== 'storage-quota' || !QUOTA_LEVELS.includes(event.message)) return null;
+  const data = event.data || {};
+  const bytes = (value) => (Number.isInteger(value) && value >= 0 ? value : null);
+  const largestKeys = {};
+  if (isPlainObject(data.largestKeys)) {
+    Object.keys(data.largestKeys).forEach((key) => {
+      if (bytes(data.largestKeys[key]) !== null) largestKeys[key] = data.largestKeys[key];
+    });
+  }
+  return {
+    level: event.message,
+    totalBytes: bytes(data.totalBytes),
+    quotaBytes: bytes(data.quotaBytes),
+    key: typeof data.key === 'string' ? data.key : null,
+    largestKeys,
+    reportedAt: event.at
+  };
+}
+
+/**
+ * Fixed-window limiter on the number of events accepted
+ *
+ * @param {object} options - Options
+ * @param {number} options.limit - Events accepted per window (default: 120)
+ * @param {number} options.windowMs - Window length in ms (default: 60000)
+ * @param {Function} [options.now] - Clock, for tests (default: Date.now)
+ * @returns {{take: Function}} take(count) returns how many of `count` events fit in the current window
+ */
+function createRateLimiter(options = {}) {
+  const limit = Number.isInteger(options.limit) && options.limit > 0 ? options.limit : 120;
+  const windowMs = Number.isInteger(options.windowMs) && options.windowMs > 0 ? options.windowMs : 60000;
+  const now = typeof options.now === 'function' ? options.now : Date.now;
+  let windowStart = now();
+  let used = 0;
+
+  return {
+    take(count) {
+      const t = now();
+      if (t - windowStart >= windowMs) {
+        windowStart = t;
+        used = 0;
+      }
+      const granted = Math.max(0, Math.min(count, limit - used));
+      used += granted;
+      return granted;
+    }
+  };
+}
+
+// Export for CommonJS
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    validateClientBatch,
+    toStorageQuotaSnapshot,
+    createRateLimiter,
+    EVENT_TYPES,
+    MAX_BATCH_EVENTS
+  };
+}
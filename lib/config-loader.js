@@ -6,6 +6,23 @@
  * 
  * Loads config/default.json (required) and merges with config/local.json (optional).
  * Uses deep merging so nested objects are properly combined.
+ *
+ * The merged config is then checked against CONFIG_SCHEMA (types, ranges, enums,
+ * known app ids, unknown keys). Each problem is reported with its exact path,
+ * e.g. `apps.enable is not a known config key` or `server.port must be an integer`.
+ * Invalid values are replaced by the FALLBACK_DEFAULTS value at that path (unknown
+ * app ids are dropped from the list), so one typo never takes the kiosk down.
+ * Use loadConfigDetailed() to get the validation result alongside the config.
+ *
+ * Two more layers sit on top of the files, for temporary overrides that shouldn't
+ * touch config/local.json (precedence: default < local < env < cli):
+ * - Environment: `WINNIEOS_<PATH>` for any known leaf key, with the path in
+ *   SCREAMING_SNAKE_CASE, e.g. WINNIEOS_SERVER_PORT=8080, WINNIEOS_LOGGING_LEVEL=debug,
+ *   WINNIEOS_STORAGE_DATA_DIR=/tmp/data, WINNIEOS_APPS_ENABLED=colors,letters
+ * - CLI: `--config.<dotted.path>=<value>`, e.g. `node server.js --config.server.port=8080`
+ * Values are coerced to the type of the value they replace (numbers, booleans,
+ * comma-separated or JSON arrays). loadConfigDetailed() also reports which layer
+ * each effective value came from.
  */
 
 const fs = require('fs');
@@ -74,32 +91,419 @@ const FALLBACK_DEFAULTS = {
     reference: {
       width: 1280,
       height: 800
+    },
+    transitions: {
+      open: "zoom",
+      close: "fade",
+      durationMs: 280
+    },
+    lock: {
+      idleMinutes: 10
     }
   },
   logging: {
     level: "info",
     filename: "logs/winnieos.log"
   },
+  storage: {
+    dataDir: "data/storage"
+  },
+  backups: {
+    dir: "data/backups",
+    keep: 10
+  },
   apps: {
     enabled: [
       "colors"
-    ]
+    ],
+    folders: [],
+    config: {}
+  }
+};
+
+const LOG_LEVELS = ['error', 'warn', 'info', 'http', 'verbose', 'debug', 'silly'];
+const APP_ID_PATTERN = /^[a-z0-9][a-z0-9-]{0,63}$/;
+// Screen transition styles the Shell knows (src/js/shell/transitions.js).
+const TRANSITION_STYLES = ['zoom', 'fade', 'none'];
+
+/**
+ * Schema for the merged config (a small JSON Schema subset: type, properties,
+ * required, additionalProperties, propertyNames, items, enum, minimum/maximum,
+ * minLength, plus `appId` for app id strings).
+ * Keys may be absent unless `required`; keys that are present must match.
+ */
+const CONFIG_SCHEMA = {
+  type: 'object',
+  properties: {
+    server: {
+      type: 'object',
+      properties: {
+        port: { type: 'integer', minimum: 1, maximum: 65535 },
+        host: { type: 'string', minLength: 1 }
+      }
+    },
+    display: {
+      type: 'object',
+      properties: {
+        reference: {
+          type: 'object',
+          properties: {
+            width: { type: 'integer', minimum: 320, maximum: 7680 },
+            height: { type: 'integer', minimum: 240, maximum: 4320 }
+          }
+        },
+        transitions: {
+          type: 'object',
+          properties: {
+            open: { type: 'string', enum: TRANSITION_STYLES },
+            close: { type: 'string', enum: TRANSITION_STYLES },
+            durationMs: { type: 'integer', minimum: 0, maximum: 2000 }
+          }
+        },
+        lock: {
+          type: 'object',
+          properties: {
+            idleMinutes: { type: 'integer', minimum: 0, maximum: 240 }
+          }
+        }
+      }
+    },
+    logging: {
+      type: 'object',
+      properties: {
+        level: { type: 'string', enum: LOG_LEVELS },
+        filename: { type: 'string', minLength: 1 }
+      }
+    },
+    storage: {
+      type: 'object',
+      properties: {
+        dataDir: { type: 'string', minLength: 1 }
+      }
+    },
+    backups: {
+      type: 'object',
+      properties: {
+        dir: { type: 'string', minLength: 1 },
+        keep: { type: 'integer', minimum: 1, maximum: 1000 }
+      }
+    },
+    apps: {
+      type: 'object',
+      properties: {
+        enabled: { type: 'array', items: { type: 'string', appId: true } },
+        // Desktop folders, e.g. { id: 'games', title: 'Games', iconEmoji: '🎮', apps: ['slalom'] }.
+        // A folder with a problem is dropped; its apps go back on the desktop.
+        folders: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['id', 'title', 'apps'],
+            properties: {
+              id: { type: 'string', minLength: 1 },
+              title: { type: 'string', minLength: 1 },
+              iconEmoji: { type: 'string', minLength: 1 },
+              apps: { type: 'array', items: { type: 'string', appId: true } }
+            }
+          }
+        },
+        // Per-app settings: apps.config.<id>. Each app declares its own keys
+        // (`configDefaults` in its definition) and the frontend checks them there.
+        config: {
+          type: 'object',
+          propertyNames: { type: 'string', appId: true },
+          additionalProperties: { type: 'object' }
+        }
+      }
+    }
   }
 };
 
+function typeError(value, schema) {
+  switch (schema.type) {
+    case 'object':
+      return value && typeof value === 'object' && !Array.isArray(value) ? null : 'must be an object';
+    case 'array':
+      return Array.isArray(value) ? null : 'must be an array';
+    case 'integer':
+      return Number.isInteger(value) ? null : 'must be an integer';
+    case 'string':
+      return typeof value === 'string' ? null : 'must be a string';
+    default:
+      return null;
+  }
+}
+
+function valueError(value, schema, ctx) {
+  if (schema.enum && !schema.enum.includes(value)) {
+    return `must be one of ${schema.enum.join(', ')}`;
+  }
+  if (schema.minimum !== undefined && value < schema.minimum) return `must be >= ${schema.minimum}`;
+  if (schema.maximum !== undefined && value > schema.maximum) return `must be <= ${schema.maximum}`;
+  if (schema.minLength !== undefined && value.length < schema.minLength) return 'must not be empty';
+  if (schema.appId) {
+    if (!APP_ID_PATTERN.test(value)) return 'is not a valid app id';
+    if (ctx.knownAppIds && !ctx.knownAppIds.has(value)) return `is not a known app id ("${value}")`;
+  }
+  return null;
+}
+
+function getPath(obj, segments) {
+  return segments.reduce((node, key) => (node && typeof node === 'object' ? node[key] : undefined), obj);
+}
+
+/**
+ * Check (and repair) one node. Returns the value to keep, or undefined to drop it.
+ */
+function checkNode(value, schema, segments, pathLabel, ctx) {
+  const problem = typeError(value, schema) || (schema.type !== 'object' && schema.type !== 'array' ? valueError(value, schema, ctx) : null);
+  const missing = !problem && schema.required ? schema.required.find((key) => value[key] === undefined) : undefined;
+  if (problem || missing !== undefined) {
+    ctx.errors.push(problem ? `${pathLabel} ${problem}` : `${pathLabel}.${missing} is required`);
+    const fallback = getPath(ctx.fallback, segments);
+    return fallback === undefined ? undefined : JSON.parse(JSON.stringify(fallback));
+  }
+
+  if (schema.type === 'object' && (schema.properties || schema.additionalProperties)) {
+    const result = {};
+    Object.keys(value).forEach((key) => {
+      const childLabel = pathLabel ? `${pathLabel}.${key}` : key;
+      const keyProblem = schema.propertyNames ? valueError(key, schema.propertyNames, ctx) : null;
+      if (keyProblem) {
+        ctx.errors.push(`${childLabel} ${keyProblem}`);
+        return;
+      }
+      const childSchema = schema.properties ? schema.properties[key] : schema.additionalProperties;
+      if (!childSchema) {
+        // Keep it (harmless) but say so: this is how `apps.enable` typos get caught.
+        ctx.errors.push(`${childLabel} is not a known config key`);
+        result[key] = value[key];
+        return;
+      }
+      const checked = checkNode(value[key], childSchema, segments.concat(key), childLabel, ctx);
+      if (checked !== undefined) result[key] = checked;
+    });
+    return result;
+  }
+
+  if (schema.type === 'array' && schema.items && schema.items.type === 'object') {
+    // Items with a problem have no fallback (it's per index), so they're dropped.
+    return value
+      .map((item, i) => checkNode(item, schema.items, segments.concat(i), `${pathLabel}[${i}]`, ctx))
+      .filter((item) => item !== undefined);
+  }
+
+  if (schema.type === 'array' && schema.items) {
+    return value.filter((item, i) => {
+      const itemProblem = typeError(item, schema.items) || valueError(item, schema.items, ctx);
+      if (itemProblem) ctx.errors.push(`${pathLabel}[${i}] ${itemProblem}`);
+      return !itemProblem;
+    });
+  }
+
+  return value;
+}
+
+/**
+ * Validate a merged config against CONFIG_SCHEMA
+ *
+ * @param {object} config - Merged config
+ * @param {object} options - Options
+ * @param {string[]} options.knownAppIds - App ids that exist (default: only the id format is checked)
+ * @returns {{valid: boolean, errors: string[], config: object}} Errors by path, and the repaired config
+ */
+function validateConfig(config, options = {}) {
+  const ctx = {
+    errors: [],
+    fallback: FALLBACK_DEFAULTS,
+    knownAppIds: Array.isArray(options.knownAppIds) ? new Set(options.knownAppIds) : null
+  };
+  const repaired = checkNode(config, CONFIG_SCHEMA, [], '', ctx);
+  return {
+    valid: ctx.errors.length === 0,
+    errors: ctx.errors.map((e) => e.trim()),
+    config: repaired === undefined ? JSON.parse(JSON.stringify(FALLBACK_DEFAULTS)) : repaired
+  };
+}
+
+/**
+ * Check one value against the schema at a dotted path, without repairing anything.
+ * config-writer holds writes to this, so a value is accepted or rejected the same
+ * way it will be when the loader reads it back.
+ * @param {string} keyPath - e.g. 'apps.enabled'
+ * @param {*} value - Value to check
+ * @param {object} [options] - Same as validateConfig()
+ * @returns {string[]} Problems, each starting with the path ([] if the value is fine)
+ */
+function validateConfigValue(keyPath, value, options = {}) {
+  const segments = String(keyPath).split('.');
+  const schema = segments.reduce((node, key) => (node && node.properties ? node.properties[key] : undefined), CONFIG_SCHEMA);
+  if (!schema) return [`${keyPath} is not a known config key`];
+  const ctx = {
+    errors: [],
+    fallback: {},
+    knownAppIds: Array.isArray(options.knownAppIds) ? new Set(options.knownAppIds) : null
+  };
+  checkNode(value, schema, segments, keyPath, ctx);
+  return ctx.errors;
+}
+
+/**
+ * App ids that exist in this checkout (`src/js/apps/<id>/app.js`)
+ * @param {string} rootDir - Project root
+ * @returns {string[]|null} Ids, or null if the source tree isn't there
+ */
+function discoverAppIds(rootDir) {
+  const appsDir = path.join(rootDir, 'src', 'js', 'apps');
+  if (!fs.existsSync(appsDir)) return null;
+  return fs.readdirSync(appsDir, { withFileTypes: true })
+    .filter((d) => d.isDirectory() && fs.existsSync(path.join(appsDir, d.name, 'app.js')))
+    .map((d) => d.name)
+    .sort();
+}
+
+const ENV_PREFIX = 'WINNIEOS_';
+const CLI_PREFIX = '--config.';
+
+function isPlainObject(value) {
+  return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Dotted paths of every leaf (non-object value; arrays count as leaves)
+ * @param {object} obj - Config object
+ * @param {string} prefix - Path so far
+ * @returns {string[]}
+ */
+function leafPaths(obj, prefix = '') {
+  if (!isPlainObject(obj)) return [];
+  return Object.keys(obj).reduce((paths, key) => {
+    if (obj[key] === null || obj[key] === undefined) return paths;
+    const keyPath = prefix ? `${prefix}.${key}` : key;
+    return paths.concat(isPlainObject(obj[key]) ? leafPaths(obj[key], keyPath) : [keyPath]);
+  }, []);
+}
+
+function setPath(obj, keyPath, value) {
+  const segments = keyPath.split('.');
+  const patch = {};
+  let node = patch;
+  segments.slice(0, -1).forEach((key) => {
+    node[key] = {};
+    node = node[key];
+  });
+  node[segments[segments.length - 1]] = value;
+  return deepMerge(obj, patch);
+}
+
+// storage.dataDir -> WINNIEOS_STORAGE_DATA_DIR
+function envNameFor(keyPath) {
+  return ENV_PREFIX + keyPath
+    .split('.')
+    .map((key) => key.replace(/([a-z0-9])([A-Z])/g, '$1_$2').toUpperCase())
+    .join('_');
+}
+
+/**
+ * Coerce a string from the environment or CLI to the type of the value it replaces.
+ * Values that don't coerce are kept as strings, so validateConfig() reports them.
+ * @param {string} raw - Raw string
+ * @param {*} current - Current value at that path (undefined for new keys)
+ * @returns {*}
+ */
+function coerceValue(raw, current) {
+  const text = String(raw).trim();
+  if (typeof current === 'number') {
+    const n = Number(text);
+    return text !== '' && Number.isFinite(n) ? n : text;
+  }
+  if (typeof current === 'boolean') {
+    if (/^(true|1|yes|on)$/i.test(text)) return true;
+    if (/^(false|0|no|off)$/i.test(text)) return false;
+    return text;
+  }
+  if (Array.isArray(current)) {
+    if (text.startsWith('[')) {
+      try { return JSON.parse(text); } catch (_) { return text; }
+    }
+    return text.split(',').map((item) => item.trim()).filter(Boolean);
+  }
+  if (typeof current === 'string') return text;
+  // Unknown key: take JSON if it parses (numbers, booleans, arrays), else the string.
+  try { return JSON.parse(text); } catch (_) { return text; }
+}
+
 /**
- * Load configuration from files
+ * Read `WINNIEOS_*` variables that name a known leaf key
+ * @param {object} env - Environment (e.g. process.env)
+ * @param {object} config - Config the overrides apply to (defines the known keys)
+ * @returns {{overrides: Array<{path: string, raw: string, name: string}>, unknown: string[]}}
+ */
+function readEnvOverrides(env, config) {
+  const byName = {};
+  leafPaths(deepMerge(FALLBACK_DEFAULTS, config)).forEach((keyPath) => {
+    byName[envNameFor(keyPath)] = keyPath;
+  });
+  const overrides = [];
+  const unknown = [];
+  Object.keys(env || {}).sort().forEach((name) => {
+    if (!name.startsWith(ENV_PREFIX)) return;
+    if (byName[name]) {
+      overrides.push({ path: byName[name], raw: env[name], name });
+    } else {
+      unknown.push(name);
+    }
+  });
+  return { overrides, unknown };
+}
+
+/**
+ * Read `--config.<path>=<value>` flags
+ * @param {string[]} argv - Arguments (e.g. process.argv.slice(2))
+ * @returns {Array<{path: string, raw: string, name: string}>}
+ */
+function readCliOverrides(argv) {
+  return (argv || []).reduce((overrides, arg) => {
+    if (typeof arg !== 'string' || !arg.startsWith(CLI_PREFIX)) return overrides;
+    const eq = arg.indexOf('=');
+    const keyPath = arg.slice(CLI_PREFIX.length, eq === -1 ? undefined : eq);
+    if (!/^[A-Za-z0-9_]+(\.[A-Za-z0-9_]+)*$/.test(keyPath)) return overrides;
+    // A bare flag (`--config.x`) means true.
+    overrides.push({ path: keyPath, raw: eq === -1 ? 'true' : arg.slice(eq + 1), name: arg });
+    return overrides;
+  }, []);
+}
+
+function getLeaf(obj, keyPath) {
+  return getPath(obj, keyPath.split('.'));
+}
+
+/**
+ * Load configuration from files, environment and CLI
  * 
  * @param {string} configDir - Directory containing config files (default: process.cwd() + '/config')
  * @param {object} options - Options
  * @param {boolean} options.createDefaultIfMissing - Create default.json if missing (default: true)
  * @param {boolean} options.verbose - Log loading details (default: false)
+ * @param {object} options.env - Environment for `WINNIEOS_*` overrides (default: process.env)
+ * @param {string[]} options.argv - Arguments for `--config.*` overrides (default: process.argv.slice(2))
  * @returns {object} - Merged configuration object
  */
 function loadConfig(configDir = null, options = {}) {
+  return loadLayers(configDir, options).config;
+}
+
+/**
+ * loadConfig() plus where each value came from
+ * @returns {{config: object, sources: object, ignoredEnv: string[]}} sources maps each
+ *   leaf path to 'default' | 'local' | 'env' | 'cli'
+ */
+function loadLayers(configDir, options) {
   const {
     createDefaultIfMissing = true,
-    verbose = false
+    verbose = false,
+    env = process.env,
+    argv = process.argv.slice(2)
   } = options;
   
   // Determine config directory
@@ -186,7 +590,21 @@ function loadConfig(configDir = null, options = {}) {
   }
   
   // Deep merge: local overrides default
-  const mergedConfig = deepMerge(defaultConfig, localConfig);
+  const fileConfig = deepMerge(defaultConfig, localConfig);
+
+  // Then environment, then CLI (last one wins)
+  const envResult = readEnvOverrides(env, fileConfig);
+  const overrides = envResult.overrides.map((o) => ({ ...o, source: 'env' }))
+    .concat(readCliOverrides(argv).map((o) => ({ ...o, source: 'cli' })));
+  let mergedConfig = fileConfig;
+  overrides.forEach((o) => {
+    mergedConfig = setPath(mergedConfig, o.path, coerceValue(o.raw, getLeaf(mergedConfig, o.path)));
+  });
+
+  const sources = {};
+  leafPaths(defaultConfig).forEach((p) => { sources[p] = 'default'; });
+  leafPaths(localConfig).forEach((p) => { sources[p] = 'local'; });
+  overrides.forEach((o) => { sources[o.path] = o.source; });
   
   if (verbose) {
     console.log('Configuration loaded:');
@@ -196,14 +614,56 @@ function loadConfig(configDir = null, options = {}) {
     } else {
       console.log('  Local overrides: none (using defaults only)');
     }
+    overrides.forEach((o) => console.log(`  Override (${o.source}): ${o.name} -> ${o.path}`));
     console.log('  Final merged config:', JSON.stringify(mergedConfig, null, 2));
   }
+  if (envResult.unknown.length > 0) {
+    console.error(`Ignoring unknown config environment variables: ${envResult.unknown.join(', ')}`);
+  }
   
-  return mergedConfig;
+  return { config: mergedConfig, sources, ignoredEnv: envResult.unknown };
+}
+
+/**
+ * Load configuration and validate it against CONFIG_SCHEMA
+ *
+ * Same options as loadConfig(), plus `knownAppIds` (see validateConfig). Problems
+ * are logged and repaired; callers get the repaired config and the report, plus
+ * the layer each effective value came from (`sources`, keyed by dotted path).
+ * @returns {{config: object, validation: {valid: boolean, errors: string[]}, sources: object}}
+ */
+function loadConfigDetailed(configDir = null, options = {}) {
+  const layers = loadLayers(configDir, options);
+  const result = validateConfig(layers.config, { knownAppIds: options.knownAppIds });
+  result.errors.forEach((e) => console.error(`Config problem (using a safe value instead): ${e}`));
+
+  // A value repaired from FALLBACK_DEFAULTS no longer comes from the layer that supplied the bad one.
+  const sources = {};
+  leafPaths(result.config).forEach((p) => {
+    const value = JSON.stringify(getLeaf(result.config, p));
+    const repaired = value !== JSON.stringify(getLeaf(layers.config, p))
+      && value === JSON.stringify(getLeaf(FALLBACK_DEFAULTS, p));
+    sources[p] = repaired ? 'default' : (layers.sources[p] || 'default');
+  });
+  return {
+    config: result.config,
+    validation: { valid: result.valid, errors: result.errors },
+    sources
+  };
 }
 
 // Export for CommonJS
 if (typeof module !== 'undefined' && module.exports) {
-  module.exports = { loadConfig, deepMerge, FALLBACK_DEFAULTS };
+  module.exports = {
+    loadConfig,
+    loadConfigDetailed,
+    validateConfig,
+    validateConfigValue,
+    discoverAppIds,
+    deepMerge,
+    FALLBACK_DEFAULTS,
+    CONFIG_SCHEMA,
+    LOG_LEVELS
+  };
 }
 
@@ -0,0 +1,99 @@
+/**
+ * Configuration Writer
+ *
+ * Applies a validated patch to config/local.json so the running server (and the
+ * parent Settings app) can change config without an SSH session or a restart.
+ *
+ * Only keys that take effect at runtime are patchable (see RUNTIME_KEYS); things
+ * like server.port or storage.dataDir still need a restart and stay SSH-only.
+ * Values are checked against the loader's CONFIG_SCHEMA (validateConfigValue), so
+ * a write is accepted or rejected exactly as the loader will read it back.
+ * The patch is deep-merged into the existing local.json (same rules as the loader:
+ * arrays replace) and written atomically, so a power cut can't leave a truncated file.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { deepMerge, validateConfigValue, LOG_LEVELS } = require('./config-loader');
+const { writeFileAtomic } = require('./storage-store');
+
+function isPlainObject(value) {
+  return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Leaf paths a patch may set. Each is checked against the schema; some add a
+// write-only rule on top, returning an error message or null.
+const RUNTIME_KEYS = {
+  'apps.enabled': (value) => (Array.isArray(value) && new Set(value).size !== value.length ? 'must not repeat app ids' : null),
+  'display.reference.width': null,
+  'display.reference.height': null,
+  'logging.level': null
+};
+
+/**
+ * Validate a config patch
+ * @param {*} patch - Partial config, e.g. { apps: { enabled: ['colors'] } }
+ * @param {object} [options] - Options
+ * @param {string[]} [options.knownAppIds] - If given, apps.enabled may only name these
+ * @returns {{valid: boolean, errors: string[]}} Errors name the offending path
+ */
+function validateConfigPatch(patch, options = {}) {
+  if (!isPlainObject(patch) || Object.keys(patch).length === 0) {
+    return { valid: false, errors: ['patch must be a non-empty object'] };
+  }
+  const errors = [];
+  const walk = (value, prefix) => {
+    Object.keys(value).forEach((key) => {
+      const keyPath = prefix ? `${prefix}.${key}` : key;
+      if (Object.prototype.hasOwnProperty.call(RUNTIME_KEYS, keyPath)) {
+        const problems = validateConfigValue(keyPath, value[key], options);
+        const extra = problems.length === 0 && RUNTIME_KEYS[keyPath] ? RUNTIME_KEYS[keyPath](value[key]) : null;
+        errors.push(...problems, ...(extra ? [`${keyPath} ${extra}`] : []));
+        return;
+      }
+      const isBranch = Object.keys(RUNTIME_KEYS).some((k) => k.startsWith(keyPath + '.'));
+      if (isBranch && isPlainObject(value[key])) {
+        walk(value[key], keyPath);
+        return;
+      }
+      errors.push(`${keyPath} cannot be changed at runtime`);
+    });
+  };
+  walk(patch, '');
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Merge a validated patch into config/local.json (atomic write)
+ * @param {string} rootDir - Project root (the directory containing config/)
+ * @param {object} patch - Partial config
+ * @param {object} [options] - Same as validateConfigPatch()
+ * @returns {object} The new local.json contents
+ */
+function writeLocalConfig(rootDir, patch, options = {}) {
+  const result = validateConfigPatch(patch, options);
+  if (!result.valid) {
+    throw new Error(`Invalid config patch: ${result.errors.join('; ')}`);
+  }
+  const configDir = path.join(rootDir, 'config');
+  const localPath = path.join(configDir, 'local.json');
+
+  let current = {};
+  if (fs.existsSync(localPath)) {
+    // Refuse to clobber a hand-edited file we can't parse; the caller reports it.
+    current = JSON.parse(fs.readFileSync(localPath, 'utf8'));
+    if (!isPlainObject(current)) current = {};
+  }
+  if (!fs.existsSync(configDir)) {
+    fs.mkdirSync(configDir, { recursive: true });
+  }
+
+  const next = deepMerge(current, patch);
+  writeFileAtomic(localPath, JSON.stringify(next, null, 2) + '\n');
+  return next;
+}
+
+// Export for CommonJS
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { validateConfigPatch, writeLocalConfig, LOG_LEVELS };
+}
@@ -0,0 +1,163 @@
+/**
+ * Storage Store
+ *
+ * Server-side JSON key/value store backing the frontend `Storage` utility.
+ * Each key lives in its own file under the data directory so a single bad
+ * write can never corrupt unrelated data (Notepad, Letters scores, etc.).
+ *
+ * Writes are atomic: the value is written to a temp file in the same
+ * directory and then renamed over the target, so a power cut mid-write
+ * leaves either the old value or the new one — never a truncated file.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Keys mirror the frontend Storage keys (without the 'winnieos.' prefix),
+// e.g. 'apps.notepad.v1'. Restricting the alphabet keeps keys safe to use
+// directly as file names (no path separators, no '..' traversal).
+const KEY_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._-]{0,199}$/;
+const FILE_SUFFIX = '.json';
+
+/**
+ * Check whether a key is safe to store
+ * @param {string} key - Storage key
+ * @returns {boolean} True if the key can be used as a file name
+ */
+function isValidKey(key) {
+  return typeof key === 'string' && KEY_PATTERN.test(key) && !key.includes('..');
+}
+
+/**
+ * Write a file atomically (temp file + rename)
+ * @param {string} filePath - Destination path
+ * @param {string} contents - File contents
+ */
+function writeFileAtomic(filePath, contents) {
+  const dir = path.dirname(filePath);
+  const tmpPath = path.join(dir, `.${path.basename(filePath)}.${process.pid}.${Date.now()}.tmp`);
+  try {
+    fs.writeFileSync(tmpPath, contents, 'utf8');
+    fs.renameSync(tmpPath, filePath);
+  } catch (err) {
+    try { fs.rmSync(tmpPath, { force: true }); } catch (_) { /* ignore */ }
+    throw err;
+  }
+}
+
+/**
+ * Create a file-backed key/value store
+ *
+ * @param {string} dataDir - Directory holding one `<key>.json` file per key (created if missing)
+ * @returns {object} Store with get/set/remove/list
+ */
+function createStorageStore(dataDir) {
+  if (!dataDir || typeof dataDir !== 'string') {
+    throw new Error('Storage data directory must be a non-empty string');
+  }
+
+  function ensureDir() {
+    if (!fs.existsSync(dataDir)) {
+      fs.mkdirSync(dataDir, { recursive: true });
+    }
+  }
+
+  function filePathFor(key) {
+    if (!isValidKey(key)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return path.join(dataDir, key + FILE_SUFFIX);
+  }
+
+  return {
+    dataDir,
+
+    /**
+     * Read a key
+     * @param {string} key - Storage key
+     * @returns {{found: boolean, value: *}} found=false if the key does not exist
+     */
+    get: function(key) {
+      const filePath = filePathFor(key);
+      if (!fs.existsSync(filePath)) {
+        return { found: false, value: null };
+      }
+      const raw = fs.readFileSync(filePath, 'utf8');
+      return { found: true, value: JSON.parse(raw) };
+    },
+
+    /**
+     * Write a key (atomic)
+     * @param {string} key - Storage key
+     * @param {*} value - JSON-serializable value
+     */
+    set: function(key, value) {
+      const filePath = filePathFor(key);
+      ensureDir();
+      writeFileAtomic(filePath, JSON.stringify(value));
+    },
+
+    /**
+     * Delete a key
+     * @param {string} key - Storage key
+     * @returns {boolean} True if the key existed
+     */
+    remove: function(key) {
+      const filePath = filePathFor(key);
+      if (!fs.existsSync(filePath)) return false;
+      fs.rmSync(filePath, { force: true });
+      return true;
+    },
+
+    /**
+     * On-disk size of every stored key (for diagnostics)
+     * @returns {{totalBytes: number, keys: object}} Bytes per key and in total
+     */
+    usage: function() {
+      const keys = {};
+      let totalBytes = 0;
+      if (!fs.existsSync(dataDir)) {
+        return { totalBytes, keys };
+      }
+      fs.readdirSync(dataDir).forEach((file) => {
+        if (!file.endsWith(FILE_SUFFIX) || file.startsWith('.')) return;
+        const key = file.slice(0, -FILE_SUFFIX.length);
+        if (!isValidKey(key)) return;
+        const size = fs.statSync(path.join(dataDir, file)).size;
+        keys[key] = size;
+        totalBytes += size;
+      });
+      return { totalBytes, keys };
+    },
+
+    /**
+     * Read every stored key
+     * Unreadable/corrupt files are skipped and reported rather than failing the whole listing,
+     * so one bad file can't block the kiosk from hydrating everything else.
+     * @returns {{items: object, errors: Array<{key: string, error: string}>}}
+     */
+    list: function() {
+      const items = {};
+      const errors = [];
+      if (!fs.existsSync(dataDir)) {
+        return { items, errors };
+      }
+      fs.readdirSync(dataDir).forEach((file) => {
+        if (!file.endsWith(FILE_SUFFIX) || file.startsWith('.')) return;
+        const key = file.slice(0, -FILE_SUFFIX.length);
+        if (!isValidKey(key)) return;
+        try {
+          items[key] = JSON.parse(fs.readFileSync(path.join(dataDir, file), 'utf8'));
+        } catch (err) {
+          errors.push({ key, error: err && err.message ? err.message : String(err) });
+        }
+      });
+      return { items, errors };
+    }
+  };
+}
+
+// Export for CommonJS
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { createStorageStore, isValidKey, writeFileAtomic };
+}
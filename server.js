@@ -1,16 +1,28 @@
 const express = require('express');
 const path = require('path');
 const fs = require('fs');
+const crypto = require('crypto');
 const { execSync } = require('child_process');
 const winston = require('winston');
-const { loadConfig } = require('./lib/config-loader');
+const { loadConfigDetailed, discoverAppIds } = require('./lib/config-loader');
+const { createStorageStore, isValidKey } = require('./lib/storage-store');
+const { createBackupStore, validateBackup } = require('./lib/backup-store');
+const { validateConfigPatch, writeLocalConfig } = require('./lib/config-writer');
+const { validateClientBatch, toStorageQuotaSnapshot, createRateLimiter } = require('./lib/client-log');
 
 // Load configuration (default.json + local.json merged)
 // Verbose logging only in development (set NODE_ENV=development for detailed logs)
 const isDevelopment = process.env.NODE_ENV === 'development';
-const config = loadConfig(__dirname, {
+// App ids present in this checkout; `apps.enabled` entries outside this list are config typos.
+const knownAppIds = discoverAppIds(__dirname);
+// `let`: PUT /api/config reloads it in place (see reloadConfig below).
+// Schema problems are repaired with safe values; configValidation keeps the report
+// and configSources the layer (default/local/env/cli) of each value, for /winnieos-debug.json.
+// Temporary overrides: WINNIEOS_SERVER_PORT=8080 or `node server.js --config.server.port=8080`.
+let { config, validation: configValidation, sources: configSources } = loadConfigDetailed(__dirname, {
   createDefaultIfMissing: true,
-  verbose: isDevelopment
+  verbose: isDevelopment,
+  knownAppIds
 });
 
 // Ensure logs directory exists
@@ -69,30 +81,78 @@ const VERSION = (() => {
   }
 })();
 
+// Frontend-safe subset of the merged config
+function getPublicConfig() {
+  return {
+    display: config.display,
+    apps: config.apps
+  };
+}
+
+// Short hash of the public config. Clients compare it on each /healthz poll and
+// refetch config when it changes, so a config write reaches an open page without a reload.
+function getConfigRevision() {
+  return crypto.createHash('sha1').update(JSON.stringify(getPublicConfig())).digest('hex').slice(0, 12);
+}
+
+/**
+ * Re-read default.json + local.json into the running server.
+ * Settings that are wired up at startup (port, data directories, log file) keep
+ * their startup values until the next restart; the log level applies immediately.
+ */
+function reloadConfig() {
+  ({ config, validation: configValidation, sources: configSources } = loadConfigDetailed(__dirname, {
+    createDefaultIfMissing: true,
+    verbose: isDevelopment,
+    knownAppIds
+  }));
+  logger.level = config.logging.level;
+}
+
 app.get('/healthz', (req, res) => {
   res.setHeader('Cache-Control', 'no-store');
-  res.status(200).json({ version: VERSION });
+  res.status(200).json({ version: VERSION, configRevision: getConfigRevision() });
 });
 
 // Public runtime config for the frontend (safe subset only)
 app.get('/winnieos-config.json', (req, res) => {
   res.setHeader('Content-Type', 'application/json; charset=utf-8');
   res.setHeader('Cache-Control', 'no-store');
-  res.status(200).json({
-    display: config.display,
-    apps: config.apps
-  });
+  res.status(200).json(getPublicConfig());
 });
 
-// Debug endpoint (safe for local/offline use) to diagnose "wrong dist" / "wrong config" issues in production.
-// This helps confirm which config the running server loaded and which dist asset it is serving.
-app.get('/winnieos-debug.json', (req, res) => {
+// Persistent key/value storage for the frontend `Storage` utility.
+// localStorage lives inside the Chromium profile, so a profile reset would wipe
+// everything Winnie has made. The client mirrors every write here and hydrates
+// from it at boot. Static hosts (GitHub Pages) have no /api, and the client
+// falls back to localStorage alone.
+const storageStore = createStorageStore(path.resolve(__dirname, config.storage.dataDir));
+
+// The kiosk's own Chromium always connects over loopback. Anything that exposes
+// or changes local state is restricted to it, since the server binds all interfaces.
+function isLocalRequest(req) {
   const remote = req.socket && req.socket.remoteAddress ? req.socket.remoteAddress : '';
-  const isLocal =
+  return (
     remote === '127.0.0.1' ||
     remote === '::1' ||
-    remote === '::ffff:127.0.0.1';
-  if (!isLocal) {
+    remote === '::ffff:127.0.0.1'
+  );
+}
+
+// Middleware form of isLocalRequest for the /api routers (never cached).
+function localApiOnly(req, res, next) {
+  res.setHeader('Cache-Control', 'no-store');
+  if (!isLocalRequest(req)) {
+    res.status(403).json({ error: 'forbidden' });
+    return;
+  }
+  next();
+}
+
+// Debug endpoint (safe for local/offline use) to diagnose "wrong dist" / "wrong config" issues in production.
+// This helps confirm which config the running server loaded and which dist asset it is serving.
+app.get('/winnieos-debug.json', (req, res) => {
+  if (!isLocalRequest(req)) {
     res.status(403).json({ error: 'forbidden' });
     return;
   }
@@ -111,6 +171,17 @@ app.get('/winnieos-debug.json', (req, res) => {
     logger.warn(`Failed to read dist/assets for /winnieos-debug.json: ${assetReadError}`);
   }
 
+  // Server-side mirror of the frontend Storage. Sizes here are UTF-8 JSON on disk;
+  // the browser's own quota level (what drives the "Saving is full" indicator) is
+  // under `client`, as last reported by the page through /api/client-log.
+  let storageUsage = null;
+  let storageUsageError = null;
+  try {
+    storageUsage = storageStore.usage();
+  } catch (err) {
+    storageUsageError = err && err.message ? err.message : String(err);
+  }
+
   res.setHeader('Content-Type', 'application/json; charset=utf-8');
   res.setHeader('Cache-Control', 'no-store');
   res.status(200).json({
@@ -126,13 +197,218 @@ app.get('/winnieos-debug.json', (req, res) => {
       display: config.display,
       apps: config.apps
     },
+    configValidation: {
+      valid: configValidation.valid,
+      errors: configValidation.errors,
+      knownAppIds
+    },
+    configSources,
     dist: {
       assets: assetFiles,
       assetReadError
+    },
+    storage: {
+      dataDir: storageStore.dataDir,
+      totalBytes: storageUsage ? storageUsage.totalBytes : null,
+      keys: storageUsage ? storageUsage.keys : null,
+      usageError: storageUsageError,
+      client: clientStorageQuota
     }
   });
 });
 
+const storageRouter = express.Router();
+
+storageRouter.use(localApiOnly);
+storageRouter.use(express.json({ limit: '2mb' }));
+
+storageRouter.param('key', (req, res, next, key) => {
+  if (!isValidKey(key)) {
+    res.status(400).json({ error: 'invalid key' });
+    return;
+  }
+  next();
+});
+
+storageRouter.get('/', (req, res) => {
+  try {
+    const { items, errors } = storageStore.list();
+    errors.forEach((e) => logger.warn(`Skipping unreadable storage key "${e.key}": ${e.error}`));
+    res.status(200).json({ items });
+  } catch (err) {
+    logger.error(`Failed to list storage: ${err.message}`);
+    res.status(500).json({ error: 'storage unavailable' });
+  }
+});
+
+storageRouter.get('/:key', (req, res) => {
+  try {
+    const { found, value } = storageStore.get(req.params.key);
+    if (!found) {
+      res.status(404).json({ error: 'not found' });
+      return;
+    }
+    res.status(200).json({ key: req.params.key, value });
+  } catch (err) {
+    logger.error(`Failed to read storage key "${req.params.key}": ${err.message}`);
+    res.status(500).json({ error: 'storage unavailable' });
+  }
+});
+
+storageRouter.put('/:key', (req, res) => {
+  const body = req.body;
+  if (!body || typeof body !== 'object' || !Object.prototype.hasOwnProperty.call(body, 'value')) {
+    res.status(400).json({ error: 'expected JSON body { value }' });
+    return;
+  }
+  try {
+    storageStore.set(req.params.key, body.value);
+    res.status(204).end();
+  } catch (err) {
+    logger.error(`Failed to write storage key "${req.params.key}": ${err.message}`);
+    res.status(500).json({ error: 'storage unavailable' });
+  }
+});
+
+storageRouter.delete('/:key', (req, res) => {
+  try {
+    storageStore.remove(req.params.key);
+    res.status(204).end();
+  } catch (err) {
+    logger.error(`Failed to delete storage key "${req.params.key}": ${err.message}`);
+    res.status(500).json({ error: 'storage unavailable' });
+  }
+});
+
+app.use('/api/storage', storageRouter);
+
+// Full backup bundles (all Storage keys + metadata), for snapshots before risky
+// updates and for moving Winnie's world to a new laptop. The client builds and
+// restores bundles (src/js/utils/backup.js); the server validates, stamps the
+// build SHA if missing, and keeps the newest `backups.keep` files.
+const backupStore = createBackupStore(path.resolve(__dirname, config.backups.dir), {
+  keep: config.backups.keep
+});
+const backupsRouter = express.Router();
+
+backupsRouter.use(localApiOnly);
+backupsRouter.use(express.json({ limit: '20mb' }));
+
+backupsRouter.get('/', (req, res) => {
+  try {
+    res.status(200).json({ backups: backupStore.list() });
+  } catch (err) {
+    logger.error(`Failed to list backups: ${err.message}`);
+    res.status(500).json({ error: 'backups unavailable' });
+  }
+});
+
+backupsRouter.post('/', (req, res) => {
+  const bundle = req.body;
+  const result = validateBackup(bundle);
+  if (!result.valid) {
+    res.status(400).json({ error: 'invalid backup', details: result.errors });
+    return;
+  }
+  if (!bundle.build) bundle.build = VERSION;
+  try {
+    const id = backupStore.save(bundle);
+    logger.info(`Saved backup ${id} (${Object.keys(bundle.data).length} keys)`);
+    res.status(201).json({ id });
+  } catch (err) {
+    logger.error(`Failed to save backup: ${err.message}`);
+    res.status(500).json({ error: 'backups unavailable' });
+  }
+});
+
+backupsRouter.get('/:id', (req, res) => {
+  let bundle;
+  try {
+    bundle = backupStore.read(req.params.id);
+  } catch (err) {
+    if (String(err.message).startsWith('Invalid backup id')) {
+      res.status(400).json({ error: 'invalid backup id' });
+      return;
+    }
+    logger.error(`Failed to read backup ${req.params.id}: ${err.message}`);
+    res.status(500).json({ error: 'backups unavailable' });
+    return;
+  }
+  if (!bundle) {
+    res.status(404).json({ error: 'not found' });
+    return;
+  }
+  res.status(200).json(bundle);
+});
+
+app.use('/api/backups', backupsRouter);
+
+// Runtime config changes (parent Settings app). A patch of runtime-safe keys is
+// validated, merged into config/local.json, and the merged config is reloaded.
+const configRouter = express.Router();
+
+configRouter.use(localApiOnly);
+configRouter.use(express.json({ limit: '64kb' }));
+
+configRouter.get('/', (req, res) => {
+  res.status(200).json({ config: getPublicConfig(), revision: getConfigRevision() });
+});
+
+configRouter.put('/', (req, res) => {
+  const patch = req.body;
+  const result = validateConfigPatch(patch, { knownAppIds });
+  if (!result.valid) {
+    res.status(400).json({ error: 'invalid config patch', details: result.errors });
+    return;
+  }
+  try {
+    writeLocalConfig(__dirname, patch, { knownAppIds });
+    reloadConfig();
+  } catch (err) {
+    logger.error(`Failed to write config/local.json: ${err.message}`);
+    res.status(500).json({ error: 'config unavailable' });
+    return;
+  }
+  logger.info(`Config updated via /api/config: ${JSON.stringify(patch)}`);
+  res.status(200).json({ config: getPublicConfig(), revision: getConfigRevision() });
+});
+
+app.use('/api/config', configRouter);
+
+// Front-end errors, app launches and navigation, batched by src/js/utils/client-log.js
+// and written into the same winston log with `source: 'client'`. Rate-limited so a
+// page stuck in an error loop can't fill the disk.
+const clientLogLimiter = createRateLimiter({ limit: 120, windowMs: 60000 });
+// Latest localStorage quota state reported by the page (null until one arrives).
+let clientStorageQuota = null;
+const clientLogRouter = express.Router();
+
+clientLogRouter.use(localApiOnly);
+clientLogRouter.use(express.json({ limit: '256kb' }));
+
+clientLogRouter.post('/', (req, res) => {
+  const result = validateClientBatch(req.body);
+  if (!result.valid) {
+    res.status(400).json({ error: 'invalid client log batch', details: result.errors });
+    return;
+  }
+  const granted = clientLogLimiter.take(result.events.length);
+  result.events.slice(0, granted).forEach((event) => {
+    const quota = toStorageQuotaSnapshot(event);
+    if (quota) clientStorageQuota = quota;
+    logger.log(event.level, event.message, { source: 'client', type: event.type, clientAt: event.at, data: event.data });
+  });
+  const dropped = result.events.length - granted;
+  if (granted === 0) {
+    res.status(429).json({ error: 'too many client log events' });
+    return;
+  }
+  if (dropped > 0) logger.warn(`Dropped ${dropped} client log events (rate limit)`);
+  res.status(202).json({ accepted: granted, dropped });
+});
+
+app.use('/api/client-log', clientLogRouter);
+
 app.use(express.static(distPath));
 
 // Fallback to index.html for SPA routing (if needed in future)
@@ -152,6 +428,7 @@ const listenHost = config.server.host === 'localhost' ? undefined : config.serve
 const server = app.listen(config.server.port, listenHost, () => {
   logger.info(`WinnieOS Server started on http://${config.server.host}:${config.server.port}`);
   logger.info(`Serving files from: ${distPath}`);
+  logger.info(`Storing data in: ${storageStore.dataDir}`);
 });
 
 // Graceful shutdown
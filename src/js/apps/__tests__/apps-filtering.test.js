@@ -23,6 +23,7 @@ describe('Apps registry filtering by config', () => {
 
     beforeEach(async () => {
         vi.resetModules();
+        localStorage.clear();
         mockConfig = null;
         mockConfigLoadError = null;
 
@@ -90,4 +91,131 @@ describe('Apps registry filtering by config', () => {
         expect(after.length).toBe(1);
         expect(after[0].id).toBe('colors');
     });
+
+    // Settings is reachable only via the Home-button hold + parent gate, never as a desktop tile.
+    it('keeps hidden apps off the desktop but still openable', async () => {
+        mockConfig = { apps: { enabled: ['colors'] } };
+        await Apps.refreshConfig();
+
+        expect(Apps.list().map(a => a.id)).not.toContain('settings');
+        expect(Apps.listAll().map(a => a.id)).not.toContain('settings');
+        expect(Apps.get('settings')).not.toBeNull();
+    });
+
+    it('prefers the Settings override over config apps.enabled', async () => {
+        mockConfig = { apps: { enabled: ['colors'] } };
+        await Apps.refreshConfig();
+
+        expect(await Apps.setEnabled(['letters', 'notepad', 'not-an-app'])).toBe(true);
+        await Apps.refreshConfig();
+        expect(Apps.list().map(a => a.id).sort()).toEqual(['letters', 'notepad']);
+        expect(Apps.isEnabled('colors')).toBe(false);
+
+        await Apps.clearEnabledOverride();
+        expect(Apps.list().map(a => a.id)).toEqual(['colors']);
+    });
+
+    // apps.config.<id> is merged over what the app declares; nothing undeclared gets through.
+    it('resolves per-app config over the app\'s declared defaults', async () => {
+        const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+        mockConfig = {
+            apps: {
+                enabled: ['letters'],
+                config: { letters: { gravityY: 2, introBeatMs: 'slow', confetti: true } }
+            }
+        };
+        await Apps.refreshConfig();
+
+        const config = Apps.getConfig('letters');
+        expect(config.gravityY).toBe(2);
+        expect(config.introBeatMs).toBe(650);
+        expect(config).not.toHaveProperty('confetti');
+        expect(warn).toHaveBeenCalledWith(expect.stringContaining('apps.config.letters.introBeatMs must be a number'));
+        expect(warn).toHaveBeenCalledWith(expect.stringContaining('apps.config.letters.confetti is not a setting'));
+        warn.mockRestore();
+    });
+
+    it('resolves config folders against the enabled apps', async () => {
+        const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+        mockConfig = {
+            apps: {
+                enabled: ['colors', 'letters', 'slalom'],
+                folders: [
+                    { id: 'games', title: 'Games', iconEmoji: '🎮', apps: ['slalom', 'letters', 'notepad'] },
+                    { id: 'quiet', title: 'Quiet', apps: ['notepad'] },
+                    { id: 'art', title: 'Art', apps: ['colors', 'letters'] },
+                    { title: 'No id', apps: ['colors'] }
+                ]
+            }
+        };
+        await Apps.refreshConfig();
+
+        const folders = Apps.folders();
+        expect(folders.map((f) => f.id)).toEqual(['games', 'art']);
+        expect(folders[0]).toMatchObject({ title: 'Games', iconEmoji: '🎮' });
+        expect(folders[0].apps.map((a) => a.id)).toEqual(['slalom', 'letters']);
+        // letters already lives in Games
+        expect(folders[1].apps.map((a) => a.id)).toEqual(['colors']);
+        expect(warn).toHaveBeenCalledTimes(1);
+    });
+
+    it('gives apps their defaults when config has no block for them', async () => {
+        mockConfig = { apps: { enabled: ['colors', 'letters'] } };
+        await Apps.refreshConfig();
+
+        expect(Apps.getConfig('letters').gravityY).toBe(1.15);
+        expect(Apps.getConfig('colors')).toEqual({});
+        expect(Apps.getConfig('nope')).toEqual({});
+    });
+
+    it('exposes manifest fields from Apps.list()', async () => {
+        mockConfig = { apps: { enabled: ['letters'] } };
+        await Apps.refreshConfig();
+
+        const [letters] = Apps.list();
+        expect(letters.description).toEqual(expect.any(String));
+        expect(letters.minAge).toBe(3);
+        expect(letters.skills).toContain('keyboard');
+        expect(letters.inputs).toEqual(['keyboard']);
+        expect(letters.version).toMatch(/^\d+\.\d+\.\d+$/);
+        expect(letters.skills.every((skill) => Apps.SKILLS.includes(skill))).toBe(true);
+    });
+
+    it('filters the desktop list by skill, input mode and age', async () => {
+        mockConfig = { apps: { enabled: ['colors', 'letters', 'notepad', 'slalom'] } };
+        await Apps.refreshConfig();
+
+        expect(Apps.list({ skill: 'color' }).map(a => a.id)).toEqual(['colors']);
+        expect(Apps.list({ input: 'touch' }).map(a => a.id)).not.toContain('letters');
+        expect(Apps.list({ age: 2 }).map(a => a.id)).toEqual(['colors']);
+        expect(Apps.list({}).length).toBe(4);
+    });
+
+    // Registration is manifest-only; app code arrives on first open.
+    it('loads an app\'s code on demand', async () => {
+        mockConfig = { apps: { enabled: ['colors'] } };
+        await Apps.refreshConfig();
+
+        expect(Apps.get('colors').mount).toBeUndefined();
+        const app = await Apps.load('colors');
+        expect(typeof app.mount).toBe('function');
+        expect(app.title).toBe('Colors');
+        expect(await Apps.load('colors')).toBe(app);
+
+        await expect(Apps.load('letters')).rejects.toThrow('unknown or disabled');
+    });
+
+    // Settings' per-app Reset runs without the app's code ever having loaded.
+    it('registers manifest storage schemas at startup, so a reset sweeps legacy keys', async () => {
+        const { Storage } = await import('../../utils/storage.js');
+        localStorage.setItem('winnieos.letters.score.v1', JSON.stringify({ red: { count: 3, stars: 1 } }));
+        localStorage.setItem('winnieos.apps.notepad.v1', JSON.stringify({ html: 'hi', color: '#111111' }));
+
+        Storage.forApp('letters').clear();
+        Storage.forApp('notepad').clear();
+
+        expect(localStorage.getItem('winnieos.letters.score.v1')).toBeNull();
+        expect(localStorage.getItem('winnieos.apps.notepad.v1')).toBeNull();
+        expect(Storage.forApp('letters').get('score', null)).toBeNull();
+    });
 });
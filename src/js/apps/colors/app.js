@@ -7,12 +7,10 @@
 
 import { Background } from '../../utils/background.js';
 import { Audio } from '../../utils/audio.js';
+import manifest from './manifest.js';
 
 export default {
-    id: 'colors',
-    title: 'Colors',
-    iconEmoji: '🌈',
-    sortOrder: 30,
+    ...manifest,
 
     mount: function({ root }) {
         if (!root) return;
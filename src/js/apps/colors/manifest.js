@@ -0,0 +1,16 @@
+/**
+ * Colors: manifest (eagerly loaded for the desktop tile; the picker is in app.js).
+ */
+
+export default {
+    id: 'colors',
+    title: 'Colors',
+    iconEmoji: '🌈',
+    sortOrder: 30,
+    description: 'Drag around the rainbow to pick a color for the whole screen.',
+    minAge: 2,
+    skills: ['color', 'motor'],
+    inputs: ['pointer', 'touch'],
+    version: '1.0.0',
+    author: 'Dad'
+};
@@ -15,13 +15,12 @@
  *     is no white flash while the Three.js bundle boots.
  */
 
+import manifest from './manifest.js';
+
 const GAME_URL = 'https://tylerstraub.github.io/floor-zero/?view=winnie';
 
 export default {
-    id: 'floorzero',
-    title: 'Space',
-    iconEmoji: '🛸',
-    sortOrder: 10,
+    ...manifest,
 
     mount: function({ root }) {
         if (!root) return;
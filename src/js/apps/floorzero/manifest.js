@@ -0,0 +1,16 @@
+/**
+ * Space (floor-zero): manifest. The iframe adapter in app.js loads on open.
+ */
+
+export default {
+    id: 'floorzero',
+    title: 'Space',
+    iconEmoji: '🛸',
+    sortOrder: 10,
+    description: 'Explore a little world in space (needs the internet).',
+    minAge: 5,
+    skills: ['spatial', 'keyboard'],
+    inputs: ['keyboard', 'pointer'],
+    version: '1.0.0',
+    author: 'Dad'
+};
@@ -2,41 +2,207 @@
  * WinnieOS Apps Registry
  *
  * Apps are discoverable plug-ins. Dad adds a new app by creating:
- * - `src/js/apps/<appId>/app.js`
+ * - `src/js/apps/<appId>/manifest.js` — id, title, icon and the other fields below
+ * - `src/js/apps/<appId>/app.js` — `{ ...manifest, mount, unmount }`
  *
- * Vite auto-registers these modules via `import.meta.glob`.
- * Apps can be enabled/disabled via config/apps.enabled array.
+ * Vite auto-registers both via `import.meta.glob`: manifests eagerly (they're tiny
+ * and the desktop needs them), app modules lazily, so each app's code (Matter.js,
+ * game assets, ...) is a separate chunk fetched the first time the app is opened.
+ * get(id) returns the registration; load(id) resolves to the mountable app.
+ * Apps can be enabled/disabled via config/apps.enabled array. The parent Settings
+ * app writes that through the server (`RuntimeConfig.save`); on hosts without one
+ * (GitHub Pages) its choice is kept as a device-level Storage override instead.
+ *
+ * Apps marked `hidden: true` (e.g. Settings) never appear on the child desktop
+ * and aren't subject to apps.enabled; they are opened by other means.
+ *
+ * Per-app settings live in config `apps.config.<id>`. An app declares the keys it
+ * accepts, with their default values, as `configDefaults` in its definition;
+ * getConfig(id) merges the config block over those defaults, dropping (with a
+ * warning) keys the app didn't declare and values of the wrong type. AppHostScreen
+ * passes the result to mount() as `config`.
+ *
+ * Parents can group desktop apps into folders with config `apps.folders`
+ * (`[{ id, title, iconEmoji?, apps: [ids] }]`); folders() resolves them against the
+ * enabled apps, so a folder whose apps are all disabled disappears.
+ *
+ * Optional manifest fields describe the app for the desktop and an "about" sheet:
+ * `description`, `minAge` (years), `skills` (from SKILLS), `inputs` (from INPUTS),
+ * `version` and `author`. They're checked at registration; a bad value is replaced
+ * by its default with a console warning rather than dropping the app.
+ *
+ * A manifest can also declare `storageSchemas` (`{ <key>: { version, upgrades?, legacyKeys? } }`,
+ * keys relative to the app's `apps.<id>.` scope). They're registered with Storage at
+ * startup, so old keys are upgraded or reset (Settings' per-app Reset) even if the
+ * app's code hasn't been loaded yet. app.js may register the same key again to add
+ * a `normalize`.
  */
 
 import { RuntimeConfig } from '../core/config.js';
+import { Storage } from '../utils/storage.js';
+
+// Device-level (shared by all profiles): the parent's choice from Settings.
+const ENABLED_OVERRIDE_KEY = 'settings.apps.enabled';
+
+// What an app can teach / exercise. Extend this list when an app needs a new one.
+const SKILLS = ['keyboard', 'letters', 'numbers', 'reading', 'writing', 'color', 'spatial', 'motor', 'music', 'creativity'];
+// How an app can be driven.
+const INPUTS = ['keyboard', 'pointer', 'touch'];
+const DESCRIPTION_MAX_LENGTH = 200;
+const VERSION_PATTERN = /^\d+\.\d+\.\d+$/;
+
+function isPlainObject(value) {
+    return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+function typeOf(value) {
+    if (Array.isArray(value)) return 'array';
+    if (typeof value === 'number') return Number.isFinite(value) ? 'number' : 'invalid';
+    return typeof value;
+}
+
+/**
+ * Merge an app's config block over its declared defaults
+ * @param {string} appId - App id (for messages)
+ * @param {object} defaults - Declared keys and default values (`null` accepts any type)
+ * @param {*} overrides - `apps.config.<id>` from config
+ * @returns {{config: object, errors: string[]}}
+ */
+function resolveAppConfig(appId, defaults, overrides) {
+    const config = JSON.parse(JSON.stringify(defaults || {}));
+    const errors = [];
+    if (overrides === undefined || overrides === null) return { config, errors };
+    if (!isPlainObject(overrides)) {
+        return { config, errors: [`apps.config.${appId} must be an object`] };
+    }
+    Object.keys(overrides).forEach((key) => {
+        const label = `apps.config.${appId}.${key}`;
+        if (!Object.prototype.hasOwnProperty.call(config, key)) {
+            errors.push(`${label} is not a setting of this app`);
+            return;
+        }
+        const expected = defaults[key] === null ? null : typeOf(defaults[key]);
+        const actual = typeOf(overrides[key]);
+        if (expected && actual !== expected) {
+            errors.push(`${label} must be a ${expected}`);
+            return;
+        }
+        config[key] = overrides[key];
+    });
+    return { config, errors };
+}
+
+/**
+ * Check the optional manifest fields of an app definition
+ * @param {object} def - App definition
+ * @param {string} id - App id (for messages)
+ * @returns {object} Manifest fields with defaults for anything missing or invalid
+ */
+function normalizeManifest(def, id) {
+    const warn = (field, value) => {
+        console.warn(`WinnieOS.Apps: app "${id}" has invalid ${field} (${JSON.stringify(value)}), using the default`);
+    };
+    const pickList = (field, allowed, fallback) => {
+        const value = def[field];
+        if (value === undefined) return fallback.slice();
+        if (!Array.isArray(value)) {
+            warn(field, value);
+            return fallback.slice();
+        }
+        const unknown = value.filter((v) => !allowed.includes(v));
+        if (unknown.length > 0) warn(field, unknown);
+        return Array.from(new Set(value.filter((v) => allowed.includes(v))));
+    };
+    const pickString = (field, test) => {
+        const value = def[field];
+        if (value === undefined || value === null) return null;
+        if (typeof value === 'string' && value.trim() && (!test || test(value.trim()))) return value.trim();
+        warn(field, value);
+        return null;
+    };
+
+    let minAge = 0;
+    if (def.minAge !== undefined) {
+        if (Number.isInteger(def.minAge) && def.minAge >= 0 && def.minAge <= 18) {
+            minAge = def.minAge;
+        } else {
+            warn('minAge', def.minAge);
+        }
+    }
+
+    return {
+        description: pickString('description', (v) => v.length <= DESCRIPTION_MAX_LENGTH),
+        minAge,
+        skills: pickList('skills', SKILLS, []),
+        inputs: pickList('inputs', INPUTS, INPUTS),
+        version: pickString('version', (v) => VERSION_PATTERN.test(v)),
+        author: pickString('author')
+    };
+}
+
+function matchesFilter(app, filter) {
+    if (!filter) return true;
+    if (filter.skill && !app.skills.includes(filter.skill)) return false;
+    if (filter.input && !app.inputs.includes(filter.input)) return false;
+    if (Number.isFinite(filter.age) && app.minAge > filter.age) return false;
+    return true;
+}
 
 function normalizeApp(def) {
     if (!def || typeof def !== 'object') return null;
     const id = typeof def.id === 'string' && def.id.trim() ? def.id.trim() : null;
     const title = typeof def.title === 'string' && def.title.trim() ? def.title.trim() : null;
-    const mount = typeof def.mount === 'function' ? def.mount : null;
-    const unmount = typeof def.unmount === 'function' ? def.unmount : null;
-    if (!id || !title || !mount) return null;
+    if (!id || !title) return null;
     return {
+        ...normalizeManifest(def, id),
         id,
         title,
         iconSrc: typeof def.iconSrc === 'string' ? def.iconSrc : null,
         iconEmoji: typeof def.iconEmoji === 'string' ? def.iconEmoji : null,
         sortOrder: Number.isFinite(def.sortOrder) ? def.sortOrder : 0,
-        mount,
-        unmount
+        hidden: def.hidden === true,
+        configDefaults: isPlainObject(def.configDefaults) ? def.configDefaults : {}
     };
 }
 
-const modules = import.meta.glob('./*/app.js', { eager: true });
+/**
+ * Register the storage schemas an app declares in its manifest
+ * @param {string} appId - App id
+ * @param {*} defs - `storageSchemas` from the manifest
+ */
+function registerStorageSchemas(appId, defs) {
+    if (defs === undefined) return;
+    if (!isPlainObject(defs)) {
+        console.warn(`WinnieOS.Apps: app "${appId}" has invalid storageSchemas (${JSON.stringify(defs)}), ignoring them`);
+        return;
+    }
+    const storage = Storage.forApp(appId);
+    Object.keys(defs).forEach((key) => {
+        try {
+            storage.registerSchema({ ...defs[key], key });
+        } catch (err) {
+            console.warn(`WinnieOS.Apps: app "${appId}" has an invalid storage schema for "${key}", ignoring it`, err);
+        }
+    });
+}
+
+const manifests = import.meta.glob('./*/manifest.js', { eager: true });
+const appLoaders = import.meta.glob('./*/app.js');
 const appsById = new Map();
+const loadersById = new Map();
+// id -> Promise of the mountable app (cleared on failure so the next open retries)
+const loading = new Map();
 
-Object.keys(modules).forEach((path) => {
-    const mod = modules[path];
-    const candidate = (mod && (mod.default || mod.app)) || null;
-    const app = normalizeApp(candidate);
+Object.keys(manifests).forEach((path) => {
+    const mod = manifests[path];
+    const app = normalizeApp((mod && mod.default) || null);
     if (!app) {
-        console.warn(`WinnieOS.Apps: invalid app module at ${path}`);
+        console.warn(`WinnieOS.Apps: invalid app manifest at ${path}`);
+        return;
+    }
+    const loader = appLoaders[path.replace(/manifest\.js$/, 'app.js')];
+    if (!loader) {
+        console.warn(`WinnieOS.Apps: no app.js next to ${path}`);
         return;
     }
     if (appsById.has(app.id)) {
@@ -44,16 +210,87 @@ Object.keys(modules).forEach((path) => {
         return;
     }
     appsById.set(app.id, app);
+    loadersById.set(app.id, loader);
+    registerStorageSchemas(app.id, mod.default.storageSchemas);
 });
 
+async function importApp(app) {
+    const mod = await loadersById.get(app.id)();
+    const def = (mod && (mod.default || mod.app)) || null;
+    if (!def || typeof def.mount !== 'function') {
+        throw new Error(`WinnieOS.Apps: app "${app.id}" has no mount()`);
+    }
+    return {
+        ...app,
+        mount: def.mount,
+        unmount: typeof def.unmount === 'function' ? def.unmount : null,
+        onPause: typeof def.onPause === 'function' ? def.onPause : null,
+        onResume: typeof def.onResume === 'function' ? def.onResume : null,
+        onRouteChange: typeof def.onRouteChange === 'function' ? def.onRouteChange : null
+    };
+}
+
 // Cache for enabled app IDs from config (null = not loaded yet, Set = loaded)
 let enabledAppIds = null;
+// `apps.config` from the last config load ({} until then: apps get their defaults)
+let appConfigBlocks = {};
+// `apps.folders` from the last config load, checked by normalizeFolders()
+let folderDefs = [];
+
+/**
+ * Check `apps.folders` from config (the server already repaired it; this guards
+ * against older servers and static hosts)
+ * @param {*} raw - `apps.folders`
+ * @returns {Array<{id: string, title: string, iconEmoji: string|null, appIds: string[]}>}
+ */
+function normalizeFolders(raw) {
+    if (!Array.isArray(raw)) return [];
+    const seenIds = new Set();
+    const seenApps = new Set();
+    return raw.reduce((folders, def) => {
+        const id = def && typeof def.id === 'string' ? def.id.trim() : '';
+        const title = def && typeof def.title === 'string' ? def.title.trim() : '';
+        if (!id || !title || !Array.isArray(def.apps) || seenIds.has(id)) {
+            console.warn(`WinnieOS.Apps: ignoring invalid folder ${JSON.stringify(def)}`);
+            return folders;
+        }
+        seenIds.add(id);
+        // An app lives in one place: the first folder that lists it.
+        const appIds = def.apps.map((a) => String(a).trim()).filter((a) => a && !seenApps.has(a));
+        appIds.forEach((a) => seenApps.add(a));
+        folders.push({ id, title, iconEmoji: typeof def.iconEmoji === 'string' ? def.iconEmoji : null, appIds });
+        return folders;
+    }, []);
+}
+
+function rememberAppConfigs(config) {
+    appConfigBlocks = config && config.apps && isPlainObject(config.apps.config) ? config.apps.config : {};
+    folderDefs = normalizeFolders(config && config.apps ? config.apps.folders : null);
+}
+
+function readEnabledOverride() {
+    const ids = Storage.get(ENABLED_OVERRIDE_KEY, null);
+    if (!Array.isArray(ids)) return null;
+    return new Set(ids.map(id => String(id).trim()).filter(Boolean));
+}
 
 async function loadEnabledAppIds() {
     if (enabledAppIds !== null) return enabledAppIds;
-    
+
+    const override = readEnabledOverride();
+    if (override) {
+        enabledAppIds = override;
+        // Folders and per-app settings still come from config, and the desktop
+        // needs the folders to lay itself out.
+        try {
+            rememberAppConfigs(await RuntimeConfig.load());
+        } catch (_) { /* keep the last ones */ }
+        return enabledAppIds;
+    }
+
     try {
         const config = await RuntimeConfig.load();
+        rememberAppConfigs(config);
         if (config && config.apps && Array.isArray(config.apps.enabled)) {
             const enabledArray = config.apps.enabled.map(id => String(id).trim()).filter(Boolean);
             enabledAppIds = new Set(enabledArray);
@@ -76,7 +313,7 @@ async function loadEnabledAppIds() {
 }
 
 function listSorted() {
-    return Array.from(appsById.values()).sort((a, b) => {
+    return Array.from(appsById.values()).filter(app => !app.hidden).sort((a, b) => {
         if (a.sortOrder !== b.sortOrder) return a.sortOrder - b.sortOrder;
         return a.title.localeCompare(b.title);
     });
@@ -95,27 +332,125 @@ function listSortedFiltered(enabledSet) {
 // DesktopScreen now waits for config before rendering, so eager load is not needed
 
 export const Apps = {
-    list: function() {
+    SKILLS: SKILLS.slice(),
+    INPUTS: INPUTS.slice(),
+
+    /**
+     * Enabled desktop apps, sorted, with their manifest fields
+     * @param {object} [filter] - Optional filter
+     * @param {string} [filter.skill] - Only apps that list this skill
+     * @param {string} [filter.input] - Only apps that support this input mode
+     * @param {number} [filter.age] - Only apps whose minAge is at most this
+     * @returns {object[]} Apps
+     */
+    list: function(filter) {
         // If config is loaded, filter; otherwise return all (will be filtered on next call)
         if (enabledAppIds !== null) {
-            return listSortedFiltered(enabledAppIds);
+            return listSortedFiltered(enabledAppIds).filter(app => matchesFilter(app, filter));
         }
         // Config not loaded yet - return all apps
         // Trigger async load for next time
         loadEnabledAppIds().catch(() => {});
-        return listSorted();
+        return listSorted().filter(app => matchesFilter(app, filter));
     },
     get: function(id) {
         const app = appsById.get(String(id || '')) || null;
         if (!app) return null;
         
         // If config is loaded, check if app is enabled
-        if (enabledAppIds !== null && !enabledAppIds.has(app.id)) {
+        if (!app.hidden && enabledAppIds !== null && !enabledAppIds.has(app.id)) {
             return null; // App is disabled
         }
         
         return app;
     },
+    /**
+     * Fetch an app's code (first open only) and return the mountable app.
+     * @param {string} id - App id (must pass get(): registered and enabled, or hidden)
+     * @returns {Promise<object>} The app with mount()/unmount(); rejects if the chunk fails to load
+     */
+    load: function(id) {
+        const app = Apps.get(id);
+        if (!app) return Promise.reject(new Error(`WinnieOS.Apps: unknown or disabled app "${id}"`));
+        if (!loading.has(app.id)) {
+            const promise = importApp(app);
+            loading.set(app.id, promise);
+            promise.catch(() => loading.delete(app.id));
+        }
+        return loading.get(app.id);
+    },
+    /**
+     * An app's settings: its declared `configDefaults` with `apps.config.<id>` merged over.
+     * Undeclared keys and wrongly typed values are ignored with a console warning.
+     * @param {string} id - App id
+     * @returns {object} Settings (empty for unknown apps)
+     */
+    getConfig: function(id) {
+        const app = appsById.get(String(id || ''));
+        if (!app) return {};
+        const result = resolveAppConfig(app.id, app.configDefaults, appConfigBlocks[app.id]);
+        result.errors.forEach((e) => console.warn(`WinnieOS.Apps: ignoring ${e}`));
+        return result.config;
+    },
+    /**
+     * Desktop folders from config `apps.folders`, with their enabled apps in config order.
+     * Folders without an enabled app are left out.
+     * @returns {Array<{id: string, title: string, iconEmoji: string|null, apps: object[]}>}
+     */
+    folders: function() {
+        const byId = new Map(Apps.list().map((app) => [app.id, app]));
+        return folderDefs
+            .map((folder) => ({
+                id: folder.id,
+                title: folder.title,
+                iconEmoji: folder.iconEmoji,
+                apps: folder.appIds.map((id) => byId.get(id)).filter(Boolean)
+            }))
+            .filter((folder) => folder.apps.length > 0);
+    },
+    /**
+     * Every registered desktop app, enabled or not (for the Settings app).
+     * @returns {object[]} Apps sorted like list()
+     */
+    listAll: function() {
+        return listSorted();
+    },
+    /**
+     * @param {string} id - App id
+     * @returns {boolean} True if the app is shown on the desktop (once config has loaded)
+     */
+    isEnabled: function(id) {
+        const app = appsById.get(String(id || ''));
+        if (!app || app.hidden) return false;
+        return enabledAppIds === null || enabledAppIds.has(app.id);
+    },
+    /**
+     * Save the parent's choice of desktop apps: to config/local.json via the server
+     * when there is one, otherwise as a Storage override on this device.
+     * @param {string[]} ids - App ids to show
+     * @returns {Promise<boolean>} True if saved
+     */
+    setEnabled: async function(ids) {
+        const list = (Array.isArray(ids) ? ids : []).map(id => String(id).trim()).filter(id => appsById.has(id));
+        const saved = typeof RuntimeConfig.save === 'function'
+            ? await RuntimeConfig.save({ apps: { enabled: list } })
+            : null;
+        if (saved) {
+            // Config is now the source of truth; drop any older device override.
+            Storage.remove(ENABLED_OVERRIDE_KEY);
+        } else if (!Storage.set(ENABLED_OVERRIDE_KEY, list)) {
+            return false;
+        }
+        enabledAppIds = new Set(list);
+        return true;
+    },
+    /**
+     * Drop the Settings override and go back to config apps.enabled.
+     */
+    clearEnabledOverride: async function() {
+        Storage.remove(ENABLED_OVERRIDE_KEY);
+        await Apps.refreshConfig();
+    },
     /**
      * Refresh the enabled apps list from config.
      * Useful after config changes.
@@ -10,16 +10,21 @@
  * so future games can share scaffolding patterns.
  */
 
-import { createLettersGame } from '../../games/letters/game.js';
-import { RuntimeConfig } from '../../core/config.js';
+import { createLettersGame, normalizeScore, SCORE_KEY } from '../../games/letters/game.js';
+import { Storage } from '../../utils/storage.js';
+import manifest from './manifest.js';
+
+// Versions and legacy keys are declared in the manifest; this adds the shape guard.
+Storage.forApp('letters').registerSchema({
+    ...manifest.storageSchemas[SCORE_KEY],
+    key: SCORE_KEY,
+    normalize: normalizeScore
+});
 
 export default {
-    id: 'letters',
-    title: 'Letters',
-    iconEmoji: '🔤',
-    sortOrder: 10,
+    ...manifest,
 
-    mount: function({ root }) {
+    mount: function({ root, storage, config }) {
         if (!root) return;
 
         root.className = 'wos-letters-app';
@@ -42,43 +47,35 @@ export default {
         root.appendChild(canvas);
         root.appendChild(hud);
 
-        // Load runtime config (safe subset) and pass app-specific config down if present.
-        // We don't block mount if config isn't ready yet.
-        let cancelled = false;
-        let game = null;
-
-        const start = async () => {
-            let cfg = null;
-            try { cfg = await RuntimeConfig.load(); } catch (_) { /* ignore */ }
-            if (cancelled) return;
-
-            const appCfg =
-                cfg && cfg.apps && cfg.apps.config && typeof cfg.apps.config === 'object'
-                    ? (cfg.apps.config.letters || null)
-                    : null;
-
-            game = createLettersGame({
-                canvas,
-                hudEl: hud,
-                glyphEl: glyphCanvas,
-                config: appCfg
-            });
-            game.start();
-        };
-
-        start();
-
-        return function cleanup() {
-            cancelled = true;
-            if (game && typeof game.dispose === 'function') {
-                try { game.dispose(); } catch (_) { /* ignore */ }
+        // `config` is configDefaults merged with apps.config.letters (resolved by the host).
+        let game = createLettersGame({
+            canvas,
+            hudEl: hud,
+            glyphEl: glyphCanvas,
+            config,
+            storage
+        });
+        game.start();
+
+        // The host pauses us when the screen blanks, focus leaves, or an overlay covers the app.
+        return {
+            cleanup: function() {
+                if (game && typeof game.dispose === 'function') {
+                    try { game.dispose(); } catch (_) { /* ignore */ }
+                }
+                game = null;
+            },
+            onPause: function() {
+                if (game) game.pause();
+            },
+            onResume: function() {
+                if (game) game.resume();
             }
-            game = null;
         };
     },
 
     unmount: function() {
-        // Cleanup handled by mount() return fn via AppHostScreen convention.
+        // Cleanup handled by the object mount() returns, via AppHostScreen convention.
     }
 };
 
@@ -0,0 +1,42 @@
+/**
+ * Letters: manifest. app.js pulls in the game and Matter.js, so it's loaded on open.
+ */
+
+export default {
+    id: 'letters',
+    title: 'Letters',
+    iconEmoji: '🔤',
+    sortOrder: 10,
+    description: 'Find the letter on the keyboard and watch it bounce down into a bin.',
+    minAge: 3,
+    skills: ['letters', 'keyboard'],
+    inputs: ['keyboard'],
+    version: '1.0.0',
+    author: 'Dad',
+
+    // Saved score (per bin), registered at startup so a Reset also sweeps the pre-schema key.
+    // Schema v1 is the original `letters.score.v1` shape; add upgrades here (e.g. per-letter stats).
+    storageSchemas: {
+        score: { version: 1, legacyKeys: ['letters.score.v1'] }
+    },
+
+    // Tunable via config `apps.config.letters` (physics and pacing, in ms where named so).
+    configDefaults: {
+        gravityY: 1.15,
+        settleBeatMs: 1100,
+        introBeatMs: 650,
+        postLaunchLockMs: 200,
+        scoreBeatMs: 650,
+        catchLingerMinMs: 1200,
+        catchStillMs: 520,
+        catchPostConfirmHoldMs: 1100,
+        nextReadyBaseMs: 1800,
+        nextReadyRandomMinMs: 1000,
+        nextReadyRandomMaxMs: 3000,
+        stuckMinDropMs: 2200,
+        stuckNoMotionMs: 2600,
+        stuckPulseMs: 2200,
+        stuckSpeedEps: 0.22,
+        catchStillSpeedEps: 0.32
+    }
+};
@@ -10,8 +10,10 @@
 
 import { Storage } from '../../utils/storage.js';
 import { Audio } from '../../utils/audio.js';
+import manifest from './manifest.js';
 
-const STORAGE_KEY = 'apps.notepad.v1';
+// Key within the app's scoped storage (`apps.notepad.`)
+const STORAGE_KEY = 'note';
 
 // Small, recognizable palette — high-contrast on "paper"
 const COLOR_SWATCHES = [
@@ -147,8 +149,7 @@ function insertTextAtCaret(text) {
     return true;
 }
 
-function getSavedState() {
-    const state = Storage.get(STORAGE_KEY, null);
+function normalizeSavedState(state) {
     if (!state || typeof state !== 'object') return null;
     return {
         html: typeof state.html === 'string' ? state.html : '',
@@ -156,6 +157,17 @@ function getSavedState() {
     };
 }
 
+// Versions and legacy keys are declared in the manifest; this adds the shape guard.
+Storage.forApp('notepad').registerSchema({
+    ...manifest.storageSchemas[STORAGE_KEY],
+    key: STORAGE_KEY,
+    normalize: normalizeSavedState
+});
+
+function getSavedState(storage) {
+    return storage.get(STORAGE_KEY, null);
+}
+
 function setActiveSwatch(toolbarEl, activeHex) {
     if (!toolbarEl || typeof toolbarEl.querySelectorAll !== 'function') return;
     const swatches = toolbarEl.querySelectorAll('[data-wos-notepad-swatch]');
@@ -170,13 +182,11 @@ function setActiveSwatch(toolbarEl, activeHex) {
 }
 
 export default {
-    id: 'notepad',
-    title: 'Notepad',
-    iconEmoji: '📝',
-    sortOrder: 5,
+    ...manifest,
 
-    mount: function({ root }) {
+    mount: function({ root, storage }) {
         if (!root) return;
+        const appStorage = storage || Storage.forApp('notepad');
 
         // Prepare audio graph early; unlock happens on first user gesture.
         try { Audio.ensure(); } catch (_) { /* ignore */ }
@@ -184,7 +194,7 @@ export default {
         root.className = 'wos-notepad-app';
         root.innerHTML = '';
 
-        const saved = getSavedState();
+        const saved = getSavedState(appStorage);
         let currentColor = (saved && saved.color) || COLOR_SWATCHES[0].hex;
 
         const wrap = document.createElement('div');
@@ -284,7 +294,7 @@ export default {
 
         // Persistence
         const saveNow = () => {
-            Storage.set(STORAGE_KEY, {
+            appStorage.set(STORAGE_KEY, {
                 html: sanitizeNotepadHtml(editor.innerHTML),
                 color: currentColor
             });
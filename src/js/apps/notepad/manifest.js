@@ -0,0 +1,22 @@
+/**
+ * Notepad: manifest (tile + about info; the editor is in app.js).
+ */
+
+export default {
+    id: 'notepad',
+    title: 'Notepad',
+    iconEmoji: '📝',
+    sortOrder: 5,
+    description: 'Type anything in any color, and add emoji. It saves by itself.',
+    minAge: 3,
+    skills: ['keyboard', 'writing', 'creativity'],
+    inputs: ['keyboard', 'pointer', 'touch'],
+    version: '1.0.0',
+    author: 'Dad',
+
+    // Schema v1 is the original single-note `{ html, color }` shape (formerly `apps.notepad.v1`).
+    // Multi-page notes would bump this to v2 with an upgrade like `(v1) => ({ pages: [v1] })`.
+    storageSchemas: {
+        note: { version: 1, legacyKeys: ['apps.notepad.v1'] }
+    }
+};
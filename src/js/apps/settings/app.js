@@ -0,0 +1,315 @@
+/**
+ * Settings App (grown-ups only)
+ *
+ * Hidden from the child desktop (`hidden: true`). The Shell opens it when the
+ * Home button is pressed and held, after the parent gate is passed.
+ * - Master volume (Audio.setMasterLevel), saved per device
+ * - Reference resolution (Display.setReferenceSize)
+ * - Which apps appear on the desktop (Apps.setEnabled)
+ * - The current profile's favorites for the desktop's "Play again" row (AppUsage)
+ * - Background reset and per-app data reset for the current profile
+ * - Storage usage
+ * - Recent app crashes (CrashLog)
+ *
+ * Enabled apps go to config/local.json through PUT /api/config when the server is
+ * there; everything else is saved through Storage under device-level keys
+ * (`settings.*`, `display.*`), so it survives reboots and is mirrored to the server.
+ */
+
+import { Apps } from '../index.js';
+import { AppUsage } from '../../utils/app-usage.js';
+import { Audio } from '../../utils/audio.js';
+import { Background } from '../../utils/background.js';
+import { CrashLog } from '../../utils/crash-log.js';
+import { Display } from '../../core/display.js';
+import { Profiles } from '../../utils/profiles.js';
+import { Storage } from '../../utils/storage.js';
+import manifest from './manifest.js';
+
+const MASTER_LEVEL_KEY = 'settings.audio.masterLevel';
+
+const RESOLUTION_PRESETS = [
+    { width: 1024, height: 600 },
+    { width: 1280, height: 800 },
+    { width: 1366, height: 768 },
+    { width: 1920, height: 1080 }
+];
+
+// A reset needs a second tap within this window, so a stray tap can't wipe anything.
+const CONFIRM_WINDOW_MS = 3000;
+
+function formatBytes(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+function el(tag, className, text) {
+    const node = document.createElement(tag);
+    if (className) node.className = className;
+    if (text != null) node.textContent = text;
+    return node;
+}
+
+function timeAgo(iso) {
+    const ms = Date.now() - Date.parse(iso);
+    if (!Number.isFinite(ms)) return '';
+    const minutes = Math.round(ms / 60000);
+    if (minutes < 1) return 'just now';
+    if (minutes < 60) return `${minutes} min ago`;
+    const hours = Math.round(minutes / 60);
+    if (hours < 24) return `${hours} h ago`;
+    return `${Math.round(hours / 24)} d ago`;
+}
+
+function section(title) {
+    const wrap = el('section', 'wos-settings-section');
+    wrap.appendChild(el('h2', 'wos-settings-heading', title));
+    return wrap;
+}
+
+export default {
+    ...manifest,
+
+    mount: function({ root }) {
+        if (!root) return;
+
+        const timers = new Set();
+        root.className = 'wos-settings-app';
+        root.innerHTML = '';
+
+        const panel = el('div', 'wos-settings-panel');
+        root.appendChild(panel);
+        panel.appendChild(el('h1', 'wos-settings-title', 'Settings'));
+
+        // Two-tap confirm for destructive buttons.
+        const confirmable = (btn, label, action) => {
+            let armed = null;
+            btn.textContent = label;
+            btn.addEventListener('click', () => {
+                if (armed) {
+                    clearTimeout(armed);
+                    timers.delete(armed);
+                    armed = null;
+                    btn.textContent = label;
+                    btn.classList.remove('is-armed');
+                    action();
+                    return;
+                }
+                btn.textContent = 'Tap again to confirm';
+                btn.classList.add('is-armed');
+                armed = setTimeout(() => {
+                    timers.delete(armed);
+                    armed = null;
+                    btn.textContent = label;
+                    btn.classList.remove('is-armed');
+                }, CONFIRM_WINDOW_MS);
+                timers.add(armed);
+            });
+        };
+
+        // --- Volume ---
+        const volume = section('Volume');
+        const slider = el('input', 'wos-settings-slider');
+        slider.type = 'range';
+        slider.min = '0';
+        slider.max = '100';
+        slider.value = String(Math.round(Audio.getMasterLevel() * 100));
+        slider.setAttribute('aria-label', 'Master volume');
+        const volumeValue = el('span', 'wos-settings-value', `${slider.value}%`);
+        slider.addEventListener('input', () => {
+            const level = Number(slider.value) / 100;
+            Audio.setMasterLevel(level);
+            volumeValue.textContent = `${slider.value}%`;
+        });
+        slider.addEventListener('change', () => {
+            Storage.set(MASTER_LEVEL_KEY, Audio.getMasterLevel());
+            try { Audio.tick(); } catch (_) { /* ignore */ }
+        });
+        const volumeRow = el('div', 'wos-settings-row');
+        volumeRow.append(slider, volumeValue);
+        volume.appendChild(volumeRow);
+        panel.appendChild(volume);
+
+        // --- Screen size ---
+        const screen = section('Screen size');
+        const screenRow = el('div', 'wos-settings-row wos-settings-choices');
+        const renderResolution = () => {
+            const current = Display.getReferenceSize();
+            screenRow.querySelectorAll('[data-width]').forEach((btn) => {
+                const selected = Number(btn.dataset.width) === current.width && Number(btn.dataset.height) === current.height;
+                btn.classList.toggle('is-selected', selected);
+            });
+        };
+        RESOLUTION_PRESETS.forEach((preset) => {
+            const btn = el('button', 'wos-settings-btn', `${preset.width} × ${preset.height}`);
+            btn.type = 'button';
+            btn.dataset.width = String(preset.width);
+            btn.dataset.height = String(preset.height);
+            btn.addEventListener('click', () => {
+                Display.setReferenceSize({ width: preset.width, height: preset.height });
+                renderResolution();
+            });
+            screenRow.appendChild(btn);
+        });
+        const resetScreen = el('button', 'wos-settings-btn', 'Default');
+        resetScreen.type = 'button';
+        resetScreen.addEventListener('click', () => {
+            Display.resetReferenceSize();
+            renderResolution();
+        });
+        screenRow.appendChild(resetScreen);
+        screen.appendChild(screenRow);
+        panel.appendChild(screen);
+        renderResolution();
+
+        // --- Apps on the desktop ---
+        const appsSection = section('Apps on the desktop');
+        const appsList = el('div', 'wos-settings-list');
+        Apps.listAll().forEach((app) => {
+            const label = el('label', 'wos-settings-toggle');
+            const box = document.createElement('input');
+            box.type = 'checkbox';
+            box.checked = Apps.isEnabled(app.id);
+            box.dataset.appId = app.id;
+            box.addEventListener('change', () => {
+                const ids = Array.from(appsList.querySelectorAll('input[data-app-id]'))
+                    .filter((b) => b.checked)
+                    .map((b) => b.dataset.appId);
+                // Kiosk: written to config/local.json; elsewhere kept on this device.
+                // Favorites below follow: only apps on the desktop can be pinned.
+                Apps.setEnabled(ids).then(() => renderFavorites()).catch(() => {});
+            });
+            label.append(box, el('span', null, `${app.iconEmoji || '⭐'} ${app.title}`));
+            appsList.appendChild(label);
+        });
+        appsSection.appendChild(appsList);
+        panel.appendChild(appsSection);
+
+        const profile = Profiles.getActive();
+
+        // --- Favorites (pinned to the front of the desktop's Play again row) ---
+        const favSection = section(profile ? `${profile.name}'s favorites` : 'Favorites');
+        const favList = el('div', 'wos-settings-list');
+        const renderFavorites = () => {
+            favList.innerHTML = '';
+            Apps.listAll().forEach((app) => {
+                // A turned-off app never shows in Play again, so pinning it would do nothing.
+                const enabled = Apps.isEnabled(app.id);
+                const row = el('div', 'wos-settings-row');
+                row.appendChild(el('span', 'wos-settings-label', `${app.iconEmoji || '⭐'} ${app.title}${enabled ? '' : ' (turned off)'}`));
+                const usage = AppUsage.get(app.id);
+                const played = usage
+                    ? `Played ${usage.count} ${usage.count === 1 ? 'time' : 'times'}, last ${timeAgo(usage.lastAt)}`
+                    : 'Not played yet';
+                row.appendChild(el('span', 'wos-settings-value', played));
+                const pinned = AppUsage.isFavorite(app.id);
+                if (!enabled && !pinned) {
+                    favList.appendChild(row);
+                    return;
+                }
+                const btn = el('button', 'wos-settings-btn' + (pinned ? ' is-selected' : ''), pinned ? '★ Pinned' : '☆ Pin');
+                btn.type = 'button';
+                btn.dataset.favoriteApp = app.id;
+                btn.addEventListener('click', () => {
+                    AppUsage.setFavorite(app.id, !pinned);
+                    renderFavorites();
+                });
+                row.appendChild(btn);
+                favList.appendChild(row);
+            });
+            const clearRow = el('div', 'wos-settings-row');
+            const clearBtn = el('button', 'wos-settings-btn');
+            clearBtn.type = 'button';
+            confirmable(clearBtn, 'Forget recent apps', () => {
+                AppUsage.clearRecent();
+                renderFavorites();
+            });
+            clearRow.appendChild(clearBtn);
+            favList.appendChild(clearRow);
+        };
+        favSection.appendChild(favList);
+        panel.appendChild(favSection);
+        renderFavorites();
+
+        // --- This profile's data ---
+        const dataSection = section(profile ? `${profile.name}'s things` : 'Saved things');
+        const usageLine = el('div', 'wos-settings-value');
+        const dataList = el('div', 'wos-settings-list');
+        const renderUsage = () => {
+            const usage = Storage.usage();
+            usageLine.textContent = `Using ${formatBytes(usage.totalBytes)} of about ${formatBytes(usage.quotaBytes)}`;
+            dataList.querySelectorAll('[data-usage-app]').forEach((span) => {
+                span.textContent = formatBytes(Storage.forApp(span.dataset.usageApp).usageBytes());
+            });
+        };
+
+        const bgRow = el('div', 'wos-settings-row');
+        bgRow.appendChild(el('span', 'wos-settings-label', 'Background color'));
+        const bgBtn = el('button', 'wos-settings-btn');
+        bgBtn.type = 'button';
+        confirmable(bgBtn, 'Reset', () => {
+            Background.reset();
+            renderUsage();
+        });
+        bgRow.appendChild(bgBtn);
+        dataList.appendChild(bgRow);
+
+        Apps.listAll().forEach((app) => {
+            const row = el('div', 'wos-settings-row');
+            row.appendChild(el('span', 'wos-settings-label', app.title));
+            const size = el('span', 'wos-settings-value');
+            size.dataset.usageApp = app.id;
+            row.appendChild(size);
+            const btn = el('button', 'wos-settings-btn');
+            btn.type = 'button';
+            confirmable(btn, 'Reset', () => {
+                Storage.forApp(app.id).clear();
+                renderUsage();
+            });
+            row.appendChild(btn);
+            dataList.appendChild(row);
+        });
+        dataSection.append(usageLine, dataList);
+        panel.appendChild(dataSection);
+        renderUsage();
+
+        // --- App problems (recorded by the app host's crash boundary) ---
+        const crashSection = section('App problems');
+        const crashList = el('div', 'wos-settings-list');
+        const renderCrashes = () => {
+            crashList.innerHTML = '';
+            const crashes = CrashLog.list();
+            if (crashes.length === 0) {
+                crashList.appendChild(el('div', 'wos-settings-value', 'No problems recorded.'));
+                return;
+            }
+            crashes.forEach((crash) => {
+                const row = el('div', 'wos-settings-row wos-settings-crash');
+                const app = Apps.listAll().find((a) => a.id === crash.appId);
+                row.appendChild(el('span', 'wos-settings-label', app ? app.title : crash.appId));
+                row.appendChild(el('span', 'wos-settings-crash-message', crash.message));
+                row.appendChild(el('span', 'wos-settings-value', timeAgo(crash.at)));
+                if (crash.stack) row.title = crash.stack;
+                crashList.appendChild(row);
+            });
+            const clearRow = el('div', 'wos-settings-row');
+            const clearBtn = el('button', 'wos-settings-btn');
+            clearBtn.type = 'button';
+            confirmable(clearBtn, 'Clear list', () => {
+                CrashLog.clear();
+                renderCrashes();
+            });
+            clearRow.appendChild(clearBtn);
+            crashList.appendChild(clearRow);
+        };
+        crashSection.appendChild(crashList);
+        panel.appendChild(crashSection);
+        renderCrashes();
+
+        return function cleanup() {
+            timers.forEach((t) => clearTimeout(t));
+            timers.clear();
+        };
+    }
+};
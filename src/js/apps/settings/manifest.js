@@ -0,0 +1,14 @@
+/**
+ * Settings: manifest. Hidden from the desktop; app.js loads when the Shell opens it.
+ */
+
+export default {
+    id: 'settings',
+    title: 'Settings',
+    iconEmoji: '⚙️',
+    hidden: true,
+    description: 'Grown-up settings: volume, screen size, apps and saved data.',
+    inputs: ['pointer', 'touch'],
+    version: '1.0.0',
+    author: 'Dad'
+};
@@ -8,12 +8,10 @@
  */
 
 import { createSlalomGame } from '../../games/slalom/game.js';
+import manifest from './manifest.js';
 
 export default {
-    id: 'slalom',
-    title: 'Jet',
-    iconEmoji: '🚀',
-    sortOrder: 20,
+    ...manifest,
 
     mount: function({ root }) {
         if (!root) return;
@@ -47,13 +45,22 @@ export default {
         game = createSlalomGame({ canvas });
         game.start();
 
-        return function cleanup() {
-            cancelled = true;
-            ro.disconnect();
-            if (game) {
-                try { game.dispose(); } catch (_) {}
+        return {
+            cleanup() {
+                cancelled = true;
+                ro.disconnect();
+                if (game) {
+                    try { game.dispose(); } catch (_) {}
+                }
+                game = null;
+            },
+            // Freeze the 55ms tick and the render loop while the host has us paused.
+            onPause() {
+                if (game) game.pause();
+            },
+            onResume() {
+                if (game) game.resume();
             }
-            game = null;
         };
     },
 
@@ -0,0 +1,16 @@
+/**
+ * Jet Slalom: manifest. The game and its assets (app.js) load on open.
+ */
+
+export default {
+    id: 'slalom',
+    title: 'Jet',
+    iconEmoji: '🚀',
+    sortOrder: 20,
+    description: 'Steer a space jet left and right around the diamonds and collect stars.',
+    minAge: 4,
+    skills: ['motor', 'spatial'],
+    inputs: ['keyboard', 'touch'],
+    version: '1.0.0',
+    author: 'Dad'
+};
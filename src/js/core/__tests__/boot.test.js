@@ -0,0 +1,87 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { Boot } from '../boot.js';
+
+describe('Boot', () => {
+    beforeEach(() => {
+        Boot._resetForTests();
+    });
+
+    afterEach(() => {
+        vi.useRealTimers();
+    });
+
+    it('runs tasks in registration order with the context', async () => {
+        const seen = [];
+        Boot.register({ id: 'a', label: 'First', run: (ctx) => { seen.push(['a', ctx.n]); } });
+        Boot.register({ id: 'b', run: async (ctx) => { seen.push(['b', ctx.n]); } });
+        const onStep = vi.fn();
+
+        const result = await Boot.run({ context: { n: 7 }, onStep });
+
+        expect(seen).toEqual([['a', 7], ['b', 7]]);
+        expect(onStep.mock.calls.map((c) => [c[0].label, c[1], c[2]])).toEqual([['First', 0, 2], ['b', 1, 2]]);
+        expect(result.ok).toBe(true);
+        expect(result.steps.map((s) => s.status)).toEqual(['ok', 'ok']);
+    });
+
+    it('replaces a task with the same id in place', () => {
+        Boot.register({ id: 'a', run: () => {} });
+        Boot.register({ id: 'b', run: () => {} });
+        Boot.register({ id: 'a', label: 'New A', timeoutMs: 90000, run: () => {} });
+
+        expect(Boot.list()).toEqual([
+            { id: 'a', label: 'New A', timeoutMs: 60000, required: false },
+            { id: 'b', label: 'b', timeoutMs: 5000, required: false }
+        ]);
+        expect(Boot.unregister('a')).toBe(true);
+        expect(Boot.unregister('a')).toBe(false);
+    });
+
+    it('rejects tasks without an id or run()', () => {
+        expect(() => Boot.register({ run: () => {} })).toThrow(/needs an id/);
+        expect(() => Boot.register({ id: 'x' })).toThrow(/run\(\) function/);
+    });
+
+    it('records an optional failure and a timeout, then keeps going', async () => {
+        vi.useFakeTimers();
+        Boot.register({ id: 'flaky', run: () => { throw new Error('nope'); } });
+        Boot.register({ id: 'slow', timeoutMs: 1000, run: () => new Promise(() => {}) });
+        Boot.register({ id: 'last', run: () => {} });
+
+        const pending = Boot.run();
+        await vi.advanceTimersByTimeAsync(1000);
+        const result = await pending;
+
+        expect(result.ok).toBe(true);
+        expect(result.steps.map((s) => [s.id, s.status, s.error])).toEqual([
+            ['flaky', 'failed', 'nope'],
+            ['slow', 'timeout', 'Timed out after 1000 ms'],
+            ['last', 'ok', null]
+        ]);
+    });
+
+    it('stops at a required failure and skips the rest', async () => {
+        const after = vi.fn();
+        Boot.register({ id: 'profiles', required: true, run: () => Promise.reject(new Error('no profile')) });
+        Boot.register({ id: 'after', run: after });
+
+        const result = await Boot.run();
+
+        expect(result.ok).toBe(false);
+        expect(result.failed).toMatchObject({ id: 'profiles', status: 'failed', error: 'no profile', required: true });
+        expect(result.steps[1].status).toBe('skipped');
+        expect(after).not.toHaveBeenCalled();
+    });
+
+    it('stops quietly when cancelled between tasks', async () => {
+        let cancelled = false;
+        const second = vi.fn();
+        Boot.register({ id: 'first', run: () => { cancelled = true; } });
+        Boot.register({ id: 'second', run: second });
+
+        const result = await Boot.run({ isCancelled: () => cancelled });
+
+        expect(result).toMatchObject({ ok: false, cancelled: true, failed: null });
+        expect(second).not.toHaveBeenCalled();
+    });
+});
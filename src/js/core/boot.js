@@ -0,0 +1,154 @@
+/**
+ * WinnieOS Boot Pipeline
+ *
+ * Ordered, async boot tasks that StartupScreen runs before the desktop appears.
+ * Each task gets its own time limit; a task that throws or runs out of time is
+ * recorded, and the boot carries on unless the task is `required`, in which case
+ * the rest are skipped and the result says which step failed.
+ *
+ * Tasks run in registration order. Registering an id again replaces that task in
+ * place, so a module can swap a built-in step without reordering the boot.
+ *
+ * Usage:
+ *   import { Boot } from './core/boot.js';
+ *   Boot.register({ id: 'config', label: 'Loading settings', run: () => RuntimeConfig.load() });
+ *   Boot.register({ id: 'profiles', label: 'Finding your things', required: true, timeoutMs: 8000, run: ... });
+ *   const result = await Boot.run({ context: { apps }, onStep: (task, index, total) => ... });
+ *   // { ok, cancelled, failed, steps: [{ id, label, required, status, ms, error }] }
+ */
+
+const DEFAULT_TIMEOUT_MS = 5000;
+const MAX_TIMEOUT_MS = 60000;
+const TIMEOUT_NAME = 'BootTimeoutError';
+
+let tasks = [];
+
+function timeoutError(ms) {
+    const err = new Error(`Timed out after ${ms} ms`);
+    err.name = TIMEOUT_NAME;
+    return err;
+}
+
+function normalizeTask(task) {
+    if (!task || typeof task !== 'object') throw new Error('WinnieOS.Boot: task must be an object');
+    const id = typeof task.id === 'string' ? task.id.trim() : '';
+    if (!id) throw new Error('WinnieOS.Boot: task needs an id');
+    if (typeof task.run !== 'function') throw new Error(`WinnieOS.Boot: task "${id}" needs a run() function`);
+    const timeoutMs = Number.isInteger(task.timeoutMs) && task.timeoutMs > 0
+        ? Math.min(task.timeoutMs, MAX_TIMEOUT_MS)
+        : DEFAULT_TIMEOUT_MS;
+    return {
+        id,
+        label: typeof task.label === 'string' && task.label.trim() ? task.label.trim() : id,
+        run: task.run,
+        timeoutMs,
+        required: task.required === true
+    };
+}
+
+function withTimeout(promise, ms) {
+    let timer = null;
+    const timeout = new Promise((_, reject) => {
+        timer = setTimeout(() => reject(timeoutError(ms)), ms);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+function describeError(err) {
+    if (err instanceof Error) return err.message || err.name;
+    return typeof err === 'string' ? err : 'Unknown error';
+}
+
+export const Boot = {
+    /**
+     * Add a boot task (or replace the one with the same id, keeping its place)
+     * @param {object} task - Task
+     * @param {string} task.id - Unique id
+     * @param {string} [task.label] - Shown on the startup screen while it runs
+     * @param {Function} task.run - `(context) => Promise|value`; throw to fail
+     * @param {number} [task.timeoutMs] - Time limit (default 5000)
+     * @param {boolean} [task.required] - Stop the boot if this task fails (default false)
+     */
+    register: function(task) {
+        const next = normalizeTask(task);
+        const index = tasks.findIndex((t) => t.id === next.id);
+        if (index === -1) {
+            tasks.push(next);
+        } else {
+            tasks[index] = next;
+        }
+    },
+
+    /**
+     * @param {string} id - Task id
+     * @returns {boolean} True if a task was removed
+     */
+    unregister: function(id) {
+        const before = tasks.length;
+        tasks = tasks.filter((t) => t.id !== id);
+        return tasks.length !== before;
+    },
+
+    /**
+     * @returns {Array<{id: string, label: string, timeoutMs: number, required: boolean}>} Tasks in run order
+     */
+    list: function() {
+        return tasks.map(({ id, label, timeoutMs, required }) => ({ id, label, timeoutMs, required }));
+    },
+
+    /**
+     * Run every task in order
+     * @param {object} [options] - Options
+     * @param {*} [options.context] - Passed to each task's run()
+     * @param {Function} [options.onStep] - `(task, index, total)` before each task starts
+     * @param {Function} [options.isCancelled] - Checked between tasks; true stops the boot quietly
+     * @returns {Promise<{ok: boolean, cancelled: boolean, failed: object|null, steps: object[]}>}
+     *   Each step: `{ id, label, required, status: 'ok'|'failed'|'timeout'|'skipped', ms, error }`
+     */
+    run: async function(options) {
+        const opts = options || {};
+        const queue = tasks.slice();
+        const steps = queue.map((t) => ({ id: t.id, label: t.label, required: t.required, status: 'skipped', ms: 0, error: null }));
+        let failed = null;
+
+        for (let i = 0; i < queue.length; i++) {
+            if (typeof opts.isCancelled === 'function' && opts.isCancelled()) {
+                return { ok: false, cancelled: true, failed: null, steps };
+            }
+            const task = queue[i];
+            const step = steps[i];
+            if (typeof opts.onStep === 'function') {
+                try { opts.onStep({ id: task.id, label: task.label }, i, queue.length); } catch (_) { /* ignore */ }
+            }
+            const started = Date.now();
+            try {
+                await withTimeout(Promise.resolve().then(() => task.run(opts.context)), task.timeoutMs);
+                step.status = 'ok';
+            } catch (err) {
+                step.status = err && err.name === TIMEOUT_NAME ? 'timeout' : 'failed';
+                step.error = describeError(err);
+            }
+            step.ms = Date.now() - started;
+            if (step.status !== 'ok' && task.required) {
+                failed = step;
+                break;
+            }
+        }
+
+        const cancelled = typeof opts.isCancelled === 'function' && opts.isCancelled();
+        return { ok: !failed && !cancelled, cancelled, failed, steps };
+    },
+
+    /**
+     * For development/testing only.
+     */
+    _resetForTests: function() {
+        tasks = [];
+    }
+};
+
+// Attach to window namespace for compatibility/debugging
+if (typeof window !== 'undefined') {
+    window.WinnieOS = window.WinnieOS || {};
+    window.WinnieOS.Boot = Boot;
+}
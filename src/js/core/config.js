@@ -3,11 +3,16 @@
  *
  * The server exposes a safe, merged subset of config at `/winnieos-config.json`.
  * In dev, Vite serves the same endpoint via middleware.
+ *
+ * On the kiosk, `RuntimeConfig.save(patch)` writes runtime-safe keys through
+ * `PUT /api/config` (into config/local.json). Other open pages notice the new
+ * config revision on their /healthz poll and get a `winnieos:configchange` event.
  */
 
 // Resolve under Vite's base so the same source works at both the kiosk's
 // root ('/') and at a GitHub Pages subpath ('/WinnieOS/').
 const CONFIG_URL = (import.meta.env.BASE_URL || '/') + 'winnieos-config.json';
+const CONFIG_API_URL = (import.meta.env.BASE_URL || '/') + 'api/config';
 
 let cached = null;
 let inFlight = null;
@@ -68,6 +73,29 @@ export const RuntimeConfig = {
 
         return inFlight;
     },
+    /**
+     * Persist a config patch on the server (kiosk only) and cache the result.
+     * Only runtime-safe keys are accepted (apps.enabled, display.reference, logging.level).
+     * @param {object} patch - Partial config, e.g. { apps: { enabled: ['colors'] } }
+     * @returns {Promise<object|null>} New public config, or null if there is no server or it refused
+     */
+    save: async function(patch) {
+        try {
+            const res = await fetch(CONFIG_API_URL, {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(patch)
+            });
+            if (!res.ok) return null;
+            const data = await res.json();
+            if (!data || !data.config || typeof data.config !== 'object') return null;
+            cached = data.config;
+            inFlight = null;
+            return cached;
+        } catch (_) {
+            return null;
+        }
+    },
     /**
      * Clear the config cache and force a fresh load on next call.
      * Useful when config may have changed or when initial load may have failed.
@@ -11,8 +11,11 @@ import { Kiosk } from './kiosk.js';
 import { RuntimeConfig } from './config.js';
 import { Storage } from '../utils/storage.js';
 import { Background } from '../utils/background.js';
+import { Profiles } from '../utils/profiles.js';
+import { Audio } from '../utils/audio.js';
 
 const DISPLAY_STORAGE_KEY = 'display.reference';
+const MASTER_LEVEL_STORAGE_KEY = 'settings.audio.masterLevel';
 
 function hasPersistedDisplayReference() {
     return Storage.has(DISPLAY_STORAGE_KEY);
@@ -39,6 +42,35 @@ function applyDisplayDefaultsFromConfig(cfg) {
     root.style.setProperty('--ref-aspect-ratio', String(ref.width / ref.height));
 }
 
+/**
+ * Apply the master volume chosen in the parent Settings app (device-level).
+ */
+function applyAudioPreference() {
+    const level = Storage.get(MASTER_LEVEL_STORAGE_KEY, null);
+    if (Number.isFinite(level) && Audio && typeof Audio.setMasterLevel === 'function') {
+        Audio.setMasterLevel(level, { immediate: true });
+    }
+}
+
+/**
+ * Re-apply preferences that may have changed when Storage hydrated from the server
+ * (e.g. after a Chromium profile reset, localStorage starts empty at boot).
+ */
+function applyHydratedPreferences() {
+    if (Background && typeof Background.load === 'function') {
+        Background.load();
+    }
+    applyAudioPreference();
+    const ref = Storage.get(DISPLAY_STORAGE_KEY);
+    if (ref && Display && typeof Display.setReferenceSize === 'function') {
+        const current = Display.getReferenceSize();
+        if (current.width !== ref.width || current.height !== ref.height) {
+            // Already persisted; don't write it back.
+            Display.setReferenceSize({ width: ref.width, height: ref.height, persist: false });
+        }
+    }
+}
+
 /**
  * Initialize all core systems
  */
@@ -47,6 +79,17 @@ function init() {
         ? RuntimeConfig.load()
         : Promise.resolve(null);
 
+    // Restore server-mirrored data in the background; localStorage is usable immediately.
+    // Profiles are picked only after hydration settles, so a freshly reset kiosk restores
+    // the server's profile list instead of creating a new default one.
+    const hydratePromise = (Storage && typeof Storage.hydrate === 'function'
+        ? Storage.hydrate().catch(() => false)
+        : Promise.resolve(false)
+    ).then((ok) => {
+        if (Profiles && typeof Profiles.init === 'function') Profiles.init();
+        if (ok) applyHydratedPreferences();
+    });
+
     // Initialize Display (reference resolution owner) first so CSS vars are set
     if (Display) {
         Display.init();
@@ -73,11 +116,13 @@ function init() {
     if (Background && typeof Background.load === 'function') {
         Background.load();
     }
+    applyAudioPreference();
 
     // Apply config-driven default reference resolution (non-persistent) after core is up.
     // This ensures we don't block startup, and Viewport will react via `winnieos:displaychange`.
-    configPromise
-        .then(applyDisplayDefaultsFromConfig)
+    // Waits for hydration so a server-restored preference isn't mistaken for "none persisted".
+    Promise.all([configPromise, hydratePromise.catch(() => {})])
+        .then(([cfg]) => applyDisplayDefaultsFromConfig(cfg))
         .catch((err) => console.warn('WinnieOS: config load failed; using stored/default reference resolution.', err));
 }
 
@@ -28,7 +28,8 @@ function blockNavigation(e) {
         return false;
     }
 
-    // Block Alt+Left/Right (back/forward navigation)
+    // Block Alt+Left/Right (back/forward navigation). In-app Back is the Shell's job;
+    // deep links (nav/hash-sync.js) use replaceState, so there's no history to lose.
     if (e.altKey && (e.key === 'ArrowLeft' || e.key === 'ArrowRight')) {
         e.preventDefault();
         return false;
@@ -5,6 +5,8 @@
  * - Touch is "flavor": playful taps that do not solve the challenge.
  * - Full-bleed inside the 1280x800 reference canvas coordinate system.
  * - Strict teardown: nothing runs after dispose().
+ * - pause()/resume() freeze physics, pacing timers and the game clock (all game
+ *   timestamps come from gameNow(), which doesn't advance while paused).
  */
 
 import MatterImport from 'matter-js';
@@ -14,6 +16,36 @@ import { Storage } from '../../utils/storage.js';
 
 const LETTERS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
 
+const BIN_COLORS = [
+    { id: 'red', hex: '#E11D48' },
+    { id: 'orange', hex: '#F97316' },
+    { id: 'yellow', hex: '#F59E0B' },
+    { id: 'green', hex: '#16A34A' },
+    { id: 'blue', hex: '#2563EB' },
+    { id: 'purple', hex: '#7C3AED' }
+];
+
+export function normalizeScore(raw) {
+    const out = {};
+    const src = raw && typeof raw === 'object' ? raw : {};
+    for (const c of BIN_COLORS) {
+        const k = c.id;
+        const v = src[k] && typeof src[k] === 'object' ? src[k] : {};
+        const count = Number.isFinite(v.count) ? Math.floor(v.count) : 0;
+        const stars = Number.isFinite(v.stars) ? Math.floor(v.stars) : 0;
+        out[k] = {
+            count: Math.max(0, Math.min(9, count)),
+            stars: Math.max(0, stars)
+        };
+    }
+    return out;
+}
+
+// Persistent score (per bin): count 0..9 + stars (groups of 10).
+// Key within the app's scoped storage (`apps.letters.`); its schema is declared in
+// the Letters manifest and registered by apps/letters/app.js.
+export const SCORE_KEY = 'score';
+
 function clamp01(n) {
     const x = Number(n);
     if (!Number.isFinite(x)) return 0;
@@ -148,9 +180,11 @@ export function createLettersGame(opts) {
     const hudEl = opts && opts.hudEl;
     const glyphEl = opts && opts.glyphEl;
     const config = (opts && opts.config && typeof opts.config === 'object') ? opts.config : {};
+    // Scoped app storage from the host (`ctx.storage`); falls back to the same scope when run standalone.
+    const storage = (opts && opts.storage) || Storage.forApp('letters');
 
     if (!canvas) {
-        return { start: function() {}, dispose: function() {} };
+        return { start: function() {}, pause: function() {}, resume: function() {}, dispose: function() {} };
     }
 
     // Matter.js is published as CJS; depending on bundler interop, it may appear as a default export
@@ -162,11 +196,15 @@ export function createLettersGame(opts) {
     const { Engine, World, Bodies, Body, Events } = Matter;
 
     let disposed = false;
+    let paused = false;
+    let pausedAtMs = 0;
+    let pausedTotalMs = 0;
     let raf = null;
     let engine = null;
     let world = null;
     let ctx2d = null;
     let cleanupFns = [];
+    // Pacing timers: { fn, dueAt (game clock), id }. Cleared on pause, rescheduled on resume.
     let timers = new Set();
     let hudRectRef = null;
     let stopDrumroll = null;
@@ -188,8 +226,6 @@ export function createLettersGame(opts) {
     // Visual reward pulses for bins (binId -> { start, end })
     const binPulse = new Map();
 
-    // Persistent score (per bin): count 0..9 + stars (groups of 10)
-    const SCORE_KEY = 'letters.score.v1';
     const binScoreAnim = new Map(); // binId -> { start, end }
     const binStarAnim = new Map();  // binId -> { start, end }
     let scoreByBin = null;
@@ -232,34 +268,11 @@ export function createLettersGame(opts) {
     const stuckSpeedEps = Number.isFinite(config.stuckSpeedEps) ? config.stuckSpeedEps : 0.22;
     const catchStillSpeedEps = Number.isFinite(config.catchStillSpeedEps) ? config.catchStillSpeedEps : 0.32;
 
-    const binColors = [
-        { id: 'red', hex: '#E11D48' },
-        { id: 'orange', hex: '#F97316' },
-        { id: 'yellow', hex: '#F59E0B' },
-        { id: 'green', hex: '#16A34A' },
-        { id: 'blue', hex: '#2563EB' },
-        { id: 'purple', hex: '#7C3AED' }
-    ];
-
-    function normalizeScore(raw) {
-        const out = {};
-        const src = raw && typeof raw === 'object' ? raw : {};
-        for (const c of binColors) {
-            const k = c.id;
-            const v = src[k] && typeof src[k] === 'object' ? src[k] : {};
-            const count = Number.isFinite(v.count) ? Math.floor(v.count) : 0;
-            const stars = Number.isFinite(v.stars) ? Math.floor(v.stars) : 0;
-            out[k] = {
-                count: Math.max(0, Math.min(9, count)),
-                stars: Math.max(0, stars)
-            };
-        }
-        return out;
-    }
+    const binColors = BIN_COLORS;
 
     function loadScore() {
         try {
-            const raw = Storage.get(SCORE_KEY, null);
+            const raw = storage.get(SCORE_KEY, null);
             return normalizeScore(raw);
         } catch (_) {
             return normalizeScore(null);
@@ -267,7 +280,7 @@ export function createLettersGame(opts) {
     }
 
     function saveScore() {
-        try { Storage.set(SCORE_KEY, scoreByBin); } catch (_) { /* ignore */ }
+        try { storage.set(SCORE_KEY, scoreByBin); } catch (_) { /* ignore */ }
     }
 
     function bumpBinScore(binId) {
@@ -275,7 +288,7 @@ export function createLettersGame(opts) {
         if (!scoreByBin) scoreByBin = loadScore();
         if (!scoreByBin[id]) scoreByBin[id] = { count: 0, stars: 0 };
 
-        const tNow = (performance.now ? performance.now() : Date.now());
+        const tNow = gameNow();
         const entry = scoreByBin[id];
         entry.count = Math.max(0, Math.min(9, Math.floor(entry.count || 0))) + 1;
 
@@ -324,20 +337,36 @@ export function createLettersGame(opts) {
         else hudEl.classList.remove('wos-letters-hud--empty');
     }
 
-    function clearTimers() {
-        for (const id of Array.from(timers)) {
-            try { clearTimeout(id); } catch (_) { /* ignore */ }
+    // Game clock: wall time minus time spent paused.
+    function gameNow() {
+        const wall = performance.now ? performance.now() : Date.now();
+        return wall - pausedTotalMs - (paused ? wall - pausedAtMs : 0);
+    }
+
+    function unscheduleTimers() {
+        for (const timer of timers) {
+            try { clearTimeout(timer.id); } catch (_) { /* ignore */ }
+            timer.id = null;
         }
+    }
+
+    function clearTimers() {
+        unscheduleTimers();
         timers.clear();
     }
 
+    function scheduleTimer(timer) {
+        timer.id = setTimeout(() => {
+            timers.delete(timer);
+            try { timer.fn(); } catch (_) { /* ignore */ }
+        }, Math.max(0, timer.dueAt - gameNow()));
+    }
+
     function setTimeoutTracked(fn, ms) {
-        const id = setTimeout(() => {
-            timers.delete(id);
-            try { fn(); } catch (_) { /* ignore */ }
-        }, ms);
-        timers.add(id);
-        return id;
+        const timer = { fn, dueAt: gameNow() + ms, id: null };
+        timers.add(timer);
+        if (!paused) scheduleTimer(timer);
+        return timer;
     }
 
     function normalizeKey(e) {
@@ -753,7 +782,7 @@ export function createLettersGame(opts) {
         falling = { body, letter: targetLetter };
 
         // Initialize stuck detection timers for this drop
-        const tNow = performance.now ? performance.now() : Date.now();
+        const tNow = gameNow();
         dropStartMs = tNow;
         lastMotionMs = tNow;
         stuckStartMs = 0;
@@ -995,7 +1024,7 @@ export function createLettersGame(opts) {
         if (phase !== 'dropping') return;
 
         // Start bin catch confirmation, but don't "register" yet.
-        const tNow = (performance.now ? performance.now() : Date.now());
+        const tNow = gameNow();
         setPhase('inBin');
         const impactStrength = (() => {
             // Prefer collision depth (available on pair); it's a good proxy for impact intensity.
@@ -1028,7 +1057,7 @@ export function createLettersGame(opts) {
         const binCount = binColors.length;
         const binW = W / binCount;
         const binTop = H - 180;
-        const tNow = performance.now ? performance.now() : Date.now();
+        const tNow = gameNow();
         if (!scoreByBin) scoreByBin = loadScore();
 
         function starPath(ctxStar, cx, cy, outerR, innerR, points) {
@@ -1185,7 +1214,7 @@ export function createLettersGame(opts) {
 
         // Draw pegs (static circles) — polished with subtle grayscale variation + black outline
         const bodies = Matter.Composite.allBodies(world);
-        const nowMs = performance.now ? performance.now() : Date.now();
+        const nowMs = gameNow();
         for (const b of bodies) {
             if (!b) continue;
             if (b.label === 'binSensor') continue;
@@ -1244,7 +1273,7 @@ export function createLettersGame(opts) {
         // Draw falling letter (pulse if stuck warning is active)
         if (falling && falling.body) {
             const b = falling.body;
-            const tNow2 = performance.now ? performance.now() : Date.now();
+            const tNow2 = gameNow();
             const pulse = stuckPulsing ? (0.92 + 0.10 * (0.5 + 0.5 * Math.sin(tNow2 / 120))) : 1;
             ctx.save();
             ctx.translate(b.position.x, b.position.y);
@@ -1278,7 +1307,7 @@ export function createLettersGame(opts) {
     }
 
     function step(ts) {
-        if (disposed) return;
+        if (disposed || paused) return;
         if (!engine) return;
 
         if (!lastTs) lastTs = ts;
@@ -1294,14 +1323,14 @@ export function createLettersGame(opts) {
         }
 
         draw();
-        const tNow = performance.now ? performance.now() : Date.now();
+        const tNow = gameNow();
         handleStuckIfNeeded(tNow);
         handleBinCatchIfNeeded(tNow);
         raf = requestAnimationFrame(step);
     }
 
     function onKeyDown(e) {
-        if (disposed) return;
+        if (disposed || paused) return;
 
         // Ignore modifier combos
         if (e && (e.ctrlKey || e.metaKey || e.altKey)) return;
@@ -1325,7 +1354,7 @@ export function createLettersGame(opts) {
     }
 
     function onPointerDown(e) {
-        if (disposed) return;
+        if (disposed || paused) return;
         if (!e) return;
 
         Audio.unlock().catch(() => {});
@@ -1414,7 +1443,7 @@ export function createLettersGame(opts) {
             }
 
             // Visual wiggle + sound
-            if (style) style.wiggleUntilMs = (performance.now ? performance.now() : Date.now()) + (moved ? 520 : 280);
+            if (style) style.wiggleUntilMs = gameNow() + (moved ? 520 : 280);
 
             if (moved) {
                 // Louder for bigger nudges (still gentle overall)
@@ -1464,7 +1493,35 @@ export function createLettersGame(opts) {
         cleanupFns.push(() => document.removeEventListener('winnieos:displaychange', onDisplayChange));
 
         // Kick loop
-        raf = requestAnimationFrame(step);
+        if (!paused) raf = requestAnimationFrame(step);
+    }
+
+    function pause() {
+        if (disposed || paused) return;
+        pausedAtMs = performance.now ? performance.now() : Date.now();
+        paused = true;
+        try {
+            if (raf) cancelAnimationFrame(raf);
+        } catch (_) { /* ignore */ }
+        raf = null;
+        unscheduleTimers();
+        // The suspense drumroll can't be resumed mid-way; the reveal still happens on resume.
+        if (stopDrumroll) {
+            try { stopDrumroll(); } catch (_) { /* ignore */ }
+            stopDrumroll = null;
+        }
+    }
+
+    function resume() {
+        if (disposed || !paused) return;
+        const wall = performance.now ? performance.now() : Date.now();
+        pausedTotalMs += wall - pausedAtMs;
+        paused = false;
+        for (const timer of timers) scheduleTimer(timer);
+        // Don't let the physics step try to catch up on the paused time.
+        lastTs = 0;
+        accumulatorMs = 0;
+        if (engine) raf = requestAnimationFrame(step);
     }
 
     function dispose() {
@@ -1505,7 +1562,7 @@ export function createLettersGame(opts) {
         ctx2d = null;
     }
 
-    return { start, dispose };
+    return { start, pause, resume, dispose };
 }
 
 
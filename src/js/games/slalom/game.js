@@ -4,7 +4,9 @@
  * Ported from JSlalom2024 "Winnie Edition". A gentle space jet slalom
  * rendered on Canvas 2D with a dual-loop architecture (55ms logic + 60fps RAF).
  *
- * Factory function returns { start, dispose } following the WinnieOS game contract.
+ * Factory function returns { start, pause, resume, dispose } following the WinnieOS
+ * game contract. pause() stops both loops and the sound; resume() picks up where
+ * the tick left off.
  */
 
 import { DrawEnv } from './drawEnv.js';
@@ -84,11 +86,13 @@ for (let i = 0; i < 60; i++) {
 
 /**
  * @param {{ canvas: HTMLCanvasElement }} opts
- * @returns {{ start: () => void, dispose: () => void }}
+ * @returns {{ start: () => void, pause: () => void, resume: () => void, dispose: () => void }}
  */
 export function createSlalomGame({ canvas }) {
   const ctx = canvas.getContext('2d');
   let disposed = false;
+  let paused = false;
+  let loopsReady = false; // images loaded, loops may run
 
   // ── Dimensions ────────────────────────────────────────────────────────────
   let width = canvas.width;
@@ -452,7 +456,7 @@ export function createSlalomGame({ canvas }) {
   function bindInput() {
     // ── Keyboard ──
     function onKeyDown(e) {
-      if (disposed) return;
+      if (disposed || paused) return;
       if ([37, 39, 32].includes(e.keyCode)) e.preventDefault();
       if (e.keyCode === 39) rFlag = true;
       if (e.keyCode === 37) lFlag = true;
@@ -485,7 +489,7 @@ export function createSlalomGame({ canvas }) {
     }
 
     function onTouchStart(e) {
-      if (disposed) return;
+      if (disposed || paused) return;
       e.preventDefault();
       // In READY/BOOM: any touch in the center play-button zone starts the game;
       // touches on the sides still set direction flags (discovery steering).
@@ -667,7 +671,7 @@ export function createSlalomGame({ canvas }) {
   // ── Render loop (60fps) ───────────────────────────────────────────────────
 
   function _rafLoop() {
-    if (_rafId === null || disposed) return;
+    if (_rafId === null || disposed || paused) return;
     const alpha = Math.min(1, (performance.now() - lastTickTime) / TICK_MS);
     _renderFrame(alpha);
     _rafId = requestAnimationFrame(_rafLoop);
@@ -1478,7 +1482,7 @@ export function createSlalomGame({ canvas }) {
   let scFlag = true;
 
   function tick() {
-    if (disposed) return;
+    if (disposed || paused) return;
     const tickStart = performance.now();
 
     if (gameMode === BOOM_MODE) {
@@ -1548,6 +1552,18 @@ export function createSlalomGame({ canvas }) {
     _timerId = setTimeout(tick, Math.max(0, TICK_MS - elapsed));
   }
 
+  function startLoops() {
+    stopLoops();
+    lastTickTime = performance.now();
+    _rafId = requestAnimationFrame(_rafLoop);
+    _timerId = setTimeout(tick, TICK_MS);
+  }
+
+  function stopLoops() {
+    if (_timerId !== null) { clearTimeout(_timerId); _timerId = null; }
+    if (_rafId !== null) { cancelAnimationFrame(_rafId); _rafId = null; }
+  }
+
   // ── Public API ────────────────────────────────────────────────────────────
 
   return {
@@ -1572,16 +1588,35 @@ export function createSlalomGame({ canvas }) {
         readyFrame = 0;
         autoRestartTimer = 0;
 
-        lastTickTime = performance.now();
-        _rafId = requestAnimationFrame(_rafLoop);
-        _timerId = setTimeout(tick, TICK_MS);
+        loopsReady = true;
+        if (!paused) startLoops();
       });
     },
 
+    pause() {
+      if (disposed || paused) return;
+      paused = true;
+      stopLoops();
+      // A key held while the screen blanked would never see its keyup.
+      lFlag = false;
+      rFlag = false;
+      if (audioCtx && audioCtx.state === 'running') {
+        audioCtx.suspend().catch(() => {});
+      }
+    },
+
+    resume() {
+      if (disposed || !paused) return;
+      paused = false;
+      if (audioCtx && audioCtx.state === 'suspended') {
+        audioCtx.resume().catch(() => {});
+      }
+      if (loopsReady) startLoops();
+    },
+
     dispose() {
       disposed = true;
-      if (_timerId !== null) { clearTimeout(_timerId); _timerId = null; }
-      if (_rafId !== null) { cancelAnimationFrame(_rafId); _rafId = null; }
+      stopLoops();
       for (const fn of cleanupFns) fn();
       cleanupFns.length = 0;
       if (audioCtx) {
@@ -0,0 +1,110 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+
+vi.mock('../../shell/parent-gate.js', () => ({
+    ParentGate: { guard: vi.fn(() => Promise.resolve(undefined)) }
+}));
+
+import { Navigation } from '../navigation.js';
+import { HashSync } from '../hash-sync.js';
+import { ParentGate } from '../../shell/parent-gate.js';
+
+const APPS = {
+    letters: { id: 'letters', title: 'Letters', hidden: false },
+    settings: { id: 'settings', title: 'Settings', hidden: true }
+};
+const apps = { get: (id) => APPS[id] || null };
+
+function setHash(hash) {
+    window.history.replaceState(null, '', hash || window.location.pathname);
+}
+
+describe('HashSync', () => {
+    beforeEach(() => {
+        Navigation._resetForTests();
+        HashSync._resetForTests();
+        ParentGate.guard.mockClear();
+        vi.spyOn(console, 'warn').mockImplementation(() => {});
+        setHash('');
+    });
+
+    afterEach(() => {
+        HashSync._resetForTests();
+        Navigation._resetForTests();
+        setHash('');
+        vi.restoreAllMocks();
+    });
+
+    it('parses and formats links', () => {
+        expect(HashSync.parseHash('#/app/settings/profiles/sam?quick')).toEqual({
+            state: { screen: 'app', appId: 'settings', route: 'profiles/sam' },
+            quick: true
+        });
+        expect(HashSync.parseHash('#/desktop')).toEqual({ state: { screen: 'desktop' }, quick: false });
+        expect(HashSync.parseHash('#top')).toBeNull();
+        expect(HashSync.parseHash('#/app/%E0')).toBeNull();
+
+        expect(HashSync.formatHash({ screen: 'app', appId: 'letters', route: 'a b/2' })).toBe('#/app/letters/a%20b/2');
+        expect(HashSync.formatHash({ screen: 'startup' })).toBe('');
+    });
+
+    it('opens the link from the URL once startup hands over, on top of the desktop', () => {
+        setHash('#/app/letters?quick');
+        Navigation.init({ initialState: { screen: 'startup' } });
+        HashSync.init(Navigation, apps);
+
+        expect(window.location.hash).toBe('#/app/letters?quick');
+        Navigation.goHome();
+
+        expect(Navigation.getState()).toMatchObject({ screen: 'app', appId: 'letters' });
+        expect(window.location.hash).toBe('#/app/letters');
+        Navigation.pop();
+        expect(window.location.hash).toBe('#/desktop');
+    });
+
+    it('follows hash edits after startup', () => {
+        Navigation.init({ initialState: { screen: 'desktop' } });
+        HashSync.init(Navigation, apps);
+
+        setHash('#/app/letters/levels');
+        window.dispatchEvent(new HashChangeEvent('hashchange'));
+        expect(Navigation.getState()).toEqual({ screen: 'app', appId: 'letters', route: 'levels' });
+    });
+
+    it('keeps hidden apps behind the parent gate', async () => {
+        Navigation.init({ initialState: { screen: 'desktop' } });
+        HashSync.init(Navigation, apps);
+
+        setHash('#/app/settings');
+        window.dispatchEvent(new HashChangeEvent('hashchange'));
+        expect(ParentGate.guard).toHaveBeenCalledTimes(1);
+        expect(Navigation.getState()).toEqual({ screen: 'desktop' });
+
+        // Gate not passed: the URL goes back to where we are.
+        await Promise.resolve();
+        await Promise.resolve();
+        expect(window.location.hash).toBe('#/desktop');
+    });
+
+    it('ignores links to unknown apps', () => {
+        Navigation.init({ initialState: { screen: 'desktop' } });
+        HashSync.init(Navigation, apps);
+
+        setHash('#/app/nope');
+        window.dispatchEvent(new HashChangeEvent('hashchange'));
+        expect(Navigation.getState()).toEqual({ screen: 'desktop' });
+        expect(window.location.hash).toBe('#/desktop');
+    });
+
+    it('keeps the locked screen in the URL and ignores edits while locked', () => {
+        Navigation.init({ initialState: { screen: 'desktop' } });
+        HashSync.init(Navigation, apps);
+        Navigation.openApp('letters');
+        Navigation.lock();
+        expect(window.location.hash).toBe('#/app/letters');
+
+        setHash('#/desktop');
+        window.dispatchEvent(new HashChangeEvent('hashchange'));
+        expect(Navigation.isLocked()).toBe(true);
+        expect(window.location.hash).toBe('#/app/letters');
+    });
+});
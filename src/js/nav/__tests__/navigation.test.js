@@ -0,0 +1,85 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { Navigation } from '../navigation.js';
+
+describe('Navigation', () => {
+    beforeEach(() => {
+        Navigation._resetForTests();
+        Navigation.init({ initialState: { screen: 'desktop' } });
+    });
+
+    it('push() remembers the current state and pop() returns to it', () => {
+        Navigation.openApp('settings');
+        Navigation.push({ route: 'profiles' });
+
+        expect(Navigation.getState()).toEqual({ screen: 'app', appId: 'settings', route: 'profiles' });
+        expect(Navigation.peekBack()).toEqual({ screen: 'app', appId: 'settings', route: null });
+
+        expect(Navigation.pop()).toBe(true);
+        expect(Navigation.getState()).toEqual({ screen: 'app', appId: 'settings', route: null });
+        expect(Navigation.pop()).toBe(true);
+        expect(Navigation.getState()).toEqual({ screen: 'desktop' });
+        expect(Navigation.pop()).toBe(false);
+    });
+
+    it('replace() changes the state without growing the stack', () => {
+        Navigation.openApp('letters');
+        Navigation.replace({ route: 'level-2' });
+
+        expect(Navigation.getState().route).toBe('level-2');
+        Navigation.pop();
+        expect(Navigation.getState()).toEqual({ screen: 'desktop' });
+    });
+
+    it('goHome() clears the stack', () => {
+        Navigation.openApp('letters');
+        Navigation.openApp('settings');
+        Navigation.goHome();
+
+        expect(Navigation.canGoBack()).toBe(false);
+        expect(Navigation.getState()).toEqual({ screen: 'desktop' });
+    });
+
+    it('ignores a push to the state it is already in', () => {
+        Navigation.openApp('letters');
+        expect(Navigation.push({ screen: 'app', appId: 'letters' })).toBe(false);
+        Navigation.pop();
+        expect(Navigation.canGoBack()).toBe(false);
+    });
+
+    it('notifies subscribers with the next and previous state', () => {
+        const fn = vi.fn();
+        Navigation.subscribe(fn);
+        Navigation.openApp('settings', 'profiles');
+
+        expect(fn).toHaveBeenCalledWith(
+            { screen: 'app', appId: 'settings', route: 'profiles' },
+            { screen: 'desktop' }
+        );
+    });
+
+    it('normalizes routes', () => {
+        Navigation.openApp('settings', '   ');
+        expect(Navigation.getState().route).toBeNull();
+        Navigation.replace({ route: 42 });
+        expect(Navigation.getState().route).toBeNull();
+    });
+
+    it('lock() covers the current state and unlock() returns to it', () => {
+        Navigation.openApp('letters', 'levels');
+        expect(Navigation.lock()).toBe(true);
+        expect(Navigation.isLocked()).toBe(true);
+        expect(Navigation.lock()).toBe(false);
+        // Partial updates (an app changing its route) don't lift the lock.
+        expect(Navigation.replace({ route: 'other' })).toBe(false);
+
+        expect(Navigation.unlock()).toBe(true);
+        expect(Navigation.getState()).toEqual({ screen: 'app', appId: 'letters', route: 'levels' });
+        expect(Navigation.unlock()).toBe(false);
+    });
+
+    it('does not lock during startup', () => {
+        Navigation.start();
+        expect(Navigation.lock()).toBe(false);
+        expect(Navigation.getState()).toEqual({ screen: 'startup' });
+    });
+});
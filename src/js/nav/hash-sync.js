@@ -0,0 +1,184 @@
+/**
+ * WinnieOS Hash Deep Links
+ *
+ * Mirrors Navigation into `location.hash`, so a bookmark or a test can open
+ * WinnieOS straight into an app:
+ *   #/desktop
+ *   #/app/letters
+ *   #/app/settings/profiles        (app `settings`, route `profiles`)
+ *   #/app/letters?quick            (skip the startup animation and profile picker)
+ *
+ * The link in the URL at load is opened once the startup screen finishes (the boot
+ * still hydrates Storage and picks a profile first). After that, editing the hash
+ * navigates too. Hidden apps (Settings) are still behind the parent gate. The lock
+ * screen has no link: the hash keeps showing the locked screen, and a hash edited
+ * while locked is ignored.
+ *
+ * The hash is written with history.replaceState, which adds no browser history
+ * entries and fires no `hashchange`: there is nothing for Alt+Left to walk back
+ * through (Kiosk blocks it anyway), and our own writes don't loop back in.
+ */
+
+import { ParentGate } from '../shell/parent-gate.js';
+
+const QUICK_FLAG = 'quick';
+
+let navRef = null;
+let appsRef = null;
+let unsubscribe = null;
+let hashListener = null;
+// Link from the URL at load, opened when the startup screen hands over to the desktop.
+let pendingLink = null;
+
+/**
+ * Parse a hash into a navigation state
+ * @param {string} hash - e.g. '#/app/letters/levels?quick'
+ * @returns {{state: object, quick: boolean}|null} Null if the hash isn't a WinnieOS link
+ */
+function parseHash(hash) {
+    const raw = String(hash || '').replace(/^#/, '');
+    if (!raw.startsWith('/')) return null;
+    const [path, query = ''] = raw.split('?');
+    const quick = query.split('&').includes(QUICK_FLAG);
+    let parts;
+    try {
+        parts = path.split('/').filter(Boolean).map(decodeURIComponent);
+    } catch (_) {
+        return null; // malformed percent-encoding
+    }
+    if (parts[0] === 'desktop' && parts.length === 1) {
+        return { state: { screen: 'desktop' }, quick };
+    }
+    if (parts[0] === 'app' && parts[1]) {
+        const route = parts.slice(2).join('/') || null;
+        return { state: { screen: 'app', appId: parts[1], route }, quick };
+    }
+    return null;
+}
+
+/**
+ * @param {object} state - Navigation state
+ * @returns {string} Hash for it ('' for the startup screen)
+ */
+function formatHash(state) {
+    if (!state || state.screen === 'startup') return '';
+    if (state.screen !== 'app') return '#/desktop';
+    const route = state.route ? state.route.split('/').map(encodeURIComponent).join('/') : '';
+    return `#/app/${encodeURIComponent(state.appId)}${route ? '/' + route : ''}`;
+}
+
+function writeHash(state) {
+    const hash = formatHash(state);
+    if (!hash || hash === window.location.hash) return;
+    try {
+        window.history.replaceState(window.history.state, '', hash);
+    } catch (_) {
+        // Some sandboxed frames refuse replaceState; deep links are a nicety.
+    }
+}
+
+function isSame(a, b) {
+    if (a.screen !== b.screen) return false;
+    if (a.screen !== 'app') return true;
+    return a.appId === b.appId && (a.route || null) === (b.route || null);
+}
+
+function open(state) {
+    if (!navRef) return;
+    if (state.screen !== 'app') {
+        navRef.goHome();
+        return;
+    }
+    const app = appsRef && typeof appsRef.get === 'function' ? appsRef.get(state.appId) : null;
+    if (!app) {
+        console.warn(`WinnieOS.HashSync: ignoring link to unknown or disabled app "${state.appId}"`);
+        writeHash(navRef.getState());
+        return;
+    }
+    if (!app.hidden) {
+        navRef.push(state);
+        return;
+    }
+    // Grown-up apps stay grown-up: a link is no way around the gate.
+    ParentGate.guard(() => navRef.push(state), { reason: `Open ${app.title}` }).then(() => {
+        if (navRef) writeHash(navRef.getState());
+    });
+}
+
+function onNavigate(next, prev) {
+    if (next.screen === 'startup') return; // keep the link in the URL until the boot is done
+    if (next.screen === 'lock') return;
+    if (prev && prev.screen === 'startup' && pendingLink) {
+        const link = pendingLink;
+        pendingLink = null;
+        if (link.screen === 'app') {
+            open(link);
+            return;
+        }
+    }
+    writeHash(next);
+}
+
+function onHashChange() {
+    const link = parseHash(window.location.hash);
+    if (!link || !navRef) return;
+    const current = navRef.getState();
+    if (current.screen === 'startup') {
+        pendingLink = link.state;
+        return;
+    }
+    if (current.screen === 'lock') {
+        writeHash(navRef.peekBack() || { screen: 'desktop' });
+        return;
+    }
+    if (!isSame(current, link.state)) open(link.state);
+}
+
+export const HashSync = {
+    /**
+     * Read the link in the URL at load. Call before the startup screen mounts.
+     * @returns {{state: object, quick: boolean}|null}
+     */
+    readInitialLink: function() {
+        if (typeof window === 'undefined') return null;
+        return parseHash(window.location.hash);
+    },
+
+    /**
+     * Start syncing. The current URL's link (if any) opens after the startup screen.
+     * @param {object} nav - Navigation
+     * @param {object} apps - Apps registry (to check the app exists and whether it's gated)
+     */
+    init: function(nav, apps) {
+        if (unsubscribe || typeof window === 'undefined') return;
+        navRef = nav;
+        appsRef = apps;
+        const link = parseHash(window.location.hash);
+        pendingLink = link ? link.state : null;
+        unsubscribe = nav.subscribe(onNavigate);
+        hashListener = onHashChange;
+        window.addEventListener('hashchange', hashListener);
+    },
+
+    parseHash,
+    formatHash,
+
+    /**
+     * For development/testing only.
+     */
+    _resetForTests: function() {
+        if (unsubscribe) unsubscribe();
+        unsubscribe = null;
+        if (hashListener) window.removeEventListener('hashchange', hashListener);
+        hashListener = null;
+        navRef = null;
+        appsRef = null;
+        pendingLink = null;
+    }
+};
+
+// Attach to window namespace for compatibility/debugging
+if (typeof window !== 'undefined') {
+    window.WinnieOS = window.WinnieOS || {};
+    window.WinnieOS.HashSync = HashSync;
+}
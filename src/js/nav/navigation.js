@@ -1,53 +1,93 @@
 /**
  * WinnieOS Navigation
  *
- * Very small in-memory navigation state machine:
+ * Small in-memory navigation state machine with a back stack:
  * - startup -> desktop -> app
+ * - app states may carry a `route` (an app-defined sub-page, e.g. 'levels/2'):
+ *   `{ screen: 'app', appId: 'settings', route: 'profiles' }`
  *
- * Kept deliberately small:
- * - Home always returns to desktop (no deep back stack yet).
+ * push() remembers the current state so pop() can return to it; replace() doesn't.
+ * Home (goHome) always returns to the desktop and forgets the stack, so the
+ * desktop is the bottom of every stack. Subscribers get `(next, prev)`.
+ *
+ * `lock` sits on top of whatever was showing (the Shell keeps that screen mounted
+ * and paused underneath): lock() pushes it, unlock() pops back to the same state.
  */
 
+const MAX_ROUTE_LENGTH = 200;
+// Deep enough for app sub-pages; a runaway push loop can't grow memory forever.
+const MAX_STACK_DEPTH = 50;
+
 let initialized = false;
 let state = { screen: 'startup' };
+let stack = [];
 const listeners = new Set();
 
+function cleanRoute(route) {
+    if (typeof route !== 'string') return null;
+    const trimmed = route.trim().slice(0, MAX_ROUTE_LENGTH);
+    return trimmed || null;
+}
+
+function cleanState(next) {
+    const cleaned = next && typeof next === 'object' ? next : { screen: 'desktop' };
+    if (cleaned.screen === 'app') {
+        return { screen: 'app', appId: String(cleaned.appId || ''), route: cleanRoute(cleaned.route) };
+    }
+    if (cleaned.screen === 'startup' || cleaned.screen === 'lock') return { screen: cleaned.screen };
+    return { screen: 'desktop' };
+}
+
+// A partial state without `screen` (e.g. `{ route: 'levels' }`) changes only those fields.
+function resolveState(next) {
+    if (next && typeof next === 'object' && next.screen === undefined) {
+        return cleanState({ ...state, ...next });
+    }
+    return cleanState(next);
+}
+
 function isSameState(a, b) {
     if (!a || !b) return false;
     if (a.screen !== b.screen) return false;
-    if (a.screen === 'app') return a.appId === b.appId;
+    if (a.screen === 'app') return a.appId === b.appId && a.route === b.route;
     return true;
 }
 
-function notify() {
+function notify(prev) {
+    const next = Navigation.getState();
+    const previous = prev ? { ...prev } : null;
     listeners.forEach((fn) => {
-        try { fn(Navigation.getState()); } catch (_) { /* ignore */ }
+        try { fn(next, previous); } catch (_) { /* ignore */ }
     });
 }
 
-function setState(next) {
-    const cleaned = next && typeof next === 'object' ? next : { screen: 'desktop' };
-    const nextState = cleaned.screen === 'app'
-        ? { screen: 'app', appId: String(cleaned.appId || '') }
-        : { screen: cleaned.screen === 'startup' ? 'startup' : 'desktop' };
-
-    if (isSameState(state, nextState)) return;
+function setState(nextState) {
+    if (isSameState(state, nextState)) return false;
+    const prev = state;
     state = nextState;
-    notify();
+    notify(prev);
+    return true;
 }
 
 export const Navigation = {
     init: function(options) {
         if (initialized) return;
         initialized = true;
-        if (options && options.initialState) setState(options.initialState);
-        notify();
+        if (options && options.initialState) setState(cleanState(options.initialState));
+        notify(null);
     },
 
+    /**
+     * @returns {{screen: string, appId?: string, route?: string|null}} Current state (a copy)
+     */
     getState: function() {
         return { ...state };
     },
 
+    /**
+     * @param {Function} fn - Called with `(next, prev)` on every change
+     * @returns {Function} Unsubscribe
+     */
     subscribe: function(fn) {
         if (typeof fn !== 'function') return function() {};
         listeners.add(fn);
@@ -56,16 +96,95 @@ export const Navigation = {
         };
     },
 
+    /**
+     * Go to a state, remembering the current one for pop()
+     * @param {object} next - Full state, or a partial one (`{ route }`) applied to the current state
+     * @returns {boolean} True if the state changed
+     */
+    push: function(next) {
+        const nextState = resolveState(next);
+        if (isSameState(state, nextState)) return false;
+        stack.push(state);
+        if (stack.length > MAX_STACK_DEPTH) stack.shift();
+        return setState(nextState);
+    },
+
+    /**
+     * Return to the state before the last push()
+     * @returns {boolean} False if there was nothing to go back to
+     */
+    pop: function() {
+        if (stack.length === 0) return false;
+        setState(stack.pop());
+        return true;
+    },
+
+    /**
+     * Go to a state without adding to the stack
+     * @param {object} next - Same as push()
+     * @returns {boolean} True if the state changed
+     */
+    replace: function(next) {
+        return setState(resolveState(next));
+    },
+
+    /**
+     * @returns {boolean} True if pop() would do something
+     */
+    canGoBack: function() {
+        return stack.length > 0;
+    },
+
+    /**
+     * @returns {object|null} The state pop() would return to
+     */
+    peekBack: function() {
+        return stack.length ? { ...stack[stack.length - 1] } : null;
+    },
+
     start: function() {
-        setState({ screen: 'startup' });
+        stack = [];
+        setState(cleanState({ screen: 'startup' }));
     },
 
     goHome: function() {
-        setState({ screen: 'desktop' });
+        stack = [];
+        setState(cleanState({ screen: 'desktop' }));
     },
 
-    openApp: function(appId) {
-        setState({ screen: 'app', appId });
+    /**
+     * Open an app (pushed, so pop() returns to where it was opened from)
+     * @param {string} appId - App id
+     * @param {string} [route] - Optional sub-page inside the app
+     */
+    openApp: function(appId, route) {
+        Navigation.push({ screen: 'app', appId, route });
+    },
+
+    /**
+     * Cover the current screen with the lock screen (not during startup)
+     * @returns {boolean} True if it locked
+     */
+    lock: function() {
+        if (state.screen === 'startup' || state.screen === 'lock') return false;
+        return Navigation.push({ screen: 'lock' });
+    },
+
+    /**
+     * Return to the screen that was locked
+     * @returns {boolean} False if not locked
+     */
+    unlock: function() {
+        if (state.screen !== 'lock') return false;
+        if (!Navigation.pop()) setState(cleanState({ screen: 'desktop' }));
+        return true;
+    },
+
+    /**
+     * @returns {boolean} True while the lock screen is up
+     */
+    isLocked: function() {
+        return state.screen === 'lock';
     },
 
     /**
@@ -74,6 +193,7 @@ export const Navigation = {
     _resetForTests: function() {
         initialized = false;
         state = { screen: 'startup' };
+        stack = [];
         listeners.clear();
     }
 };
@@ -83,5 +203,3 @@ if (typeof window !== 'undefined') {
     window.WinnieOS = window.WinnieOS || {};
     window.WinnieOS.Navigation = Navigation;
 }
-
-
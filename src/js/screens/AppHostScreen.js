@@ -1,15 +1,49 @@
 /**
  * AppHostScreen
  * Mounts a registered app full-screen. Shell owns navigation chrome.
+ *
+ * App code is loaded on demand (Apps.load): the first open shows a friendly
+ * loading card while the chunk downloads, and a "try again" card if it can't load.
+ *
+ * Lifecycle: the running app is paused while the page is hidden (screen blanked,
+ * tab switched), the window has lost focus, or a shell overlay (parent gate, lock screen)
+ * covers it, and resumed when none of those hold any more. An app opts in with
+ * `onPause`/`onResume` on its definition, or by returning
+ * `{ cleanup, onPause, onResume }` from mount() instead of a bare cleanup function.
+ * Shell overlays announce themselves with a `winnieos:overlaychange` event
+ * (`detail: { id, open }`).
+ *
+ * Routes: an app can keep sub-pages in the navigation stack with
+ * `nav.push({ route: 'levels' })` (Back / Escape then pops them). It gets the
+ * initial route as `route` in mount(), and later changes through an
+ * `onRouteChange(route, prevRoute)` hook (same places as `onPause`).
+ *
+ * Crash boundary: while an app is running, uncaught errors and unhandled promise
+ * rejections (RAF loops, timers, async start-up) are attributed to it. The app is
+ * torn down, the child sees "Uh oh!" with a big Try again button, and the error
+ * goes into CrashLog for the parent (Settings lists it).
  */
 
 import { Audio } from '../utils/audio.js';
+import { ClientLog } from '../utils/client-log.js';
+import { CrashLog } from '../utils/crash-log.js';
+import { ErrorInfo } from '../utils/error-info.js';
+import { Storage } from '../utils/storage.js';
 
 export const AppHostScreen = (function() {
     let hostEl = null;
     let appRootEl = null;
     let activeApp = null;
     let cleanupFn = null;
+    let mountHooks = null; // { onPause, onResume, onRouteChange } returned from mount()
+    // Why the app is paused: 'hidden', 'blur', 'overlay:<id>'. Paused while non-empty.
+    const pauseReasons = new Set();
+    let paused = false;
+    let lifecycleListeners = null;
+    let boundaryListeners = null;
+    let unsubscribeRoute = null;
+    // Bumped on every mount/unmount so a slow chunk can't mount into a screen we've left.
+    let mountToken = 0;
 
     function playAfterUnlock(fn) {
         try {
@@ -25,7 +59,60 @@ export const AppHostScreen = (function() {
         } catch (_) { /* ignore */ }
     }
 
+    function callHook(name, ...args) {
+        const hooks = [mountHooks && mountHooks[name], activeApp && activeApp[name]];
+        hooks.forEach((fn) => {
+            if (typeof fn !== 'function') return;
+            try { fn(...args); } catch (err) { console.error(`AppHostScreen: ${name} failed`, err); }
+        });
+    }
+
+    function syncPaused() {
+        const shouldPause = pauseReasons.size > 0;
+        if (shouldPause === paused) return;
+        paused = shouldPause;
+        if (activeApp) callHook(paused ? 'onPause' : 'onResume');
+    }
+
+    function setPauseReason(reason, on) {
+        if (on) pauseReasons.add(reason);
+        else pauseReasons.delete(reason);
+        syncPaused();
+    }
+
+    function installLifecycle() {
+        if (lifecycleListeners) return;
+        lifecycleListeners = {
+            visibility: () => setPauseReason('hidden', document.visibilityState === 'hidden'),
+            blur: () => setPauseReason('blur', true),
+            focus: () => setPauseReason('blur', false),
+            overlay: (e) => {
+                const detail = (e && e.detail) || {};
+                setPauseReason(`overlay:${detail.id || 'unknown'}`, !!detail.open);
+            }
+        };
+        document.addEventListener('visibilitychange', lifecycleListeners.visibility);
+        window.addEventListener('blur', lifecycleListeners.blur);
+        window.addEventListener('focus', lifecycleListeners.focus);
+        document.addEventListener('winnieos:overlaychange', lifecycleListeners.overlay);
+    }
+
+    function removeLifecycle() {
+        if (!lifecycleListeners) return;
+        document.removeEventListener('visibilitychange', lifecycleListeners.visibility);
+        window.removeEventListener('blur', lifecycleListeners.blur);
+        window.removeEventListener('focus', lifecycleListeners.focus);
+        document.removeEventListener('winnieos:overlaychange', lifecycleListeners.overlay);
+        lifecycleListeners = null;
+        pauseReasons.clear();
+        paused = false;
+    }
+
     function safeCleanup() {
+        if (unsubscribeRoute) {
+            try { unsubscribeRoute(); } catch (_) { /* ignore */ }
+            unsubscribeRoute = null;
+        }
         // Convention: if an app returns a cleanup function from mount(), we run it,
         // and we also run app.unmount() if provided. This avoids ambiguity and leaks.
         if (typeof cleanupFn === 'function') {
@@ -35,9 +122,128 @@ export const AppHostScreen = (function() {
             try { activeApp.unmount(); } catch (_) { /* ignore */ }
         }
         cleanupFn = null;
+        mountHooks = null;
         activeApp = null;
     }
 
+    function showPlaceholder(title, text) {
+        appRootEl.className = 'wos-app-placeholder';
+        appRootEl.innerHTML = `
+            <div class="wos-app-placeholder-title"></div>
+            <div class="wos-app-placeholder-text"></div>
+        `;
+        appRootEl.querySelector('.wos-app-placeholder-title').textContent = title;
+        appRootEl.querySelector('.wos-app-placeholder-text').textContent = text;
+    }
+
+    function showLoading(app) {
+        showPlaceholder(app.iconEmoji || '⭐', `Getting ${app.title} ready…`);
+        // Faded in after a beat (CSS), so a cached chunk doesn't flash the card.
+        appRootEl.classList.add('wos-app-loading');
+    }
+
+    function addRetryButton(retry) {
+        const btn = document.createElement('button');
+        btn.type = 'button';
+        btn.className = 'wos-app-retry';
+        btn.textContent = 'Try again';
+        btn.addEventListener('click', retry);
+        appRootEl.appendChild(btn);
+    }
+
+    function showLoadFailed(app, retry) {
+        showPlaceholder('Hmm…', `${app.title} didn’t open. Let’s try again!`);
+        addRetryButton(retry);
+        playAfterUnlock(() => Audio.buzz(0.35));
+    }
+
+    function showCrashed(app, retry) {
+        showPlaceholder('Uh oh!', `${app.title} had a little problem.`);
+        addRetryButton(retry);
+        // Slightly stronger "error" cue
+        playAfterUnlock(() => Audio.buzz(0.55));
+    }
+
+    function removeBoundary() {
+        if (!boundaryListeners) return;
+        window.removeEventListener('error', boundaryListeners.error);
+        window.removeEventListener('unhandledrejection', boundaryListeners.rejection);
+        boundaryListeners = null;
+    }
+
+    function crash(app, err, retry) {
+        removeBoundary();
+        console.error(`AppHostScreen: app "${app.id}" crashed`, err);
+        try { CrashLog.record(app.id, err); } catch (_) { /* ignore */ }
+        safeCleanup();
+        if (appRootEl) showCrashed(app, retry);
+    }
+
+    function installBoundary(app, retry) {
+        removeBoundary();
+        boundaryListeners = {
+            error: (e) => {
+                if (ErrorInfo.isNoise(e)) return;
+                crash(app, (e && e.error) || new Error((e && e.message) || 'Unknown error'), retry);
+            },
+            rejection: (e) => crash(app, e ? e.reason : undefined, retry)
+        };
+        window.addEventListener('error', boundaryListeners.error);
+        window.addEventListener('unhandledrejection', boundaryListeners.rejection);
+    }
+
+    function mountLoaded(app, nav, apps, retry) {
+        activeApp = app;
+        installBoundary(app, retry);
+        try {
+            // Each app gets storage namespaced to `apps.<id>.`, so a parent can
+            // reset one app (`Storage.forApp(id).clear()`) without touching others,
+            // and its settings (`apps.config.<id>` over its declared defaults).
+            const config = typeof apps.getConfig === 'function' ? apps.getConfig(app.id) : {};
+            const state = nav && typeof nav.getState === 'function' ? nav.getState() : null;
+            const route = state && state.screen === 'app' && state.appId === app.id ? state.route || null : null;
+            appRootEl.className = 'wos-app-root';
+            appRootEl.innerHTML = '';
+            const result = app.mount({ root: appRootEl, nav, storage: Storage.forApp(app.id), config, route });
+            if (typeof result === 'function') {
+                cleanupFn = result;
+            } else if (result && typeof result === 'object') {
+                cleanupFn = typeof result.cleanup === 'function' ? result.cleanup : null;
+                mountHooks = { onPause: result.onPause, onResume: result.onResume, onRouteChange: result.onRouteChange };
+            }
+            if (nav && typeof nav.subscribe === 'function') {
+                // Same app, different sub-page: the Shell keeps the screen, we tell the app.
+                unsubscribeRoute = nav.subscribe((next, prev) => {
+                    if (!next || !prev || next.screen !== 'app' || next.appId !== app.id) return;
+                    if (prev.screen !== 'app' || prev.appId !== app.id || next.route === prev.route) return;
+                    callHook('onRouteChange', next.route || null, prev.route || null);
+                });
+            }
+            // Opened behind an overlay or on a hidden page: start paused.
+            if (paused) callHook('onPause');
+        } catch (err) {
+            // Thrown synchronously, so ClientLog's global handler never sees it.
+            ClientLog.error(err, { appId: app.id });
+            crash(app, err, retry);
+        }
+    }
+
+    function loadAndMount(entry, nav, apps) {
+        const token = ++mountToken;
+        const startedAt = Date.now();
+        showLoading(entry);
+        return apps.load(entry.id).then((app) => {
+            if (token !== mountToken || !appRootEl) return;
+            ClientLog.event('app-launch', entry.id, { ms: Date.now() - startedAt });
+            mountLoaded(app, nav, apps, () => loadAndMount(entry, nav, apps));
+        }).catch((err) => {
+            if (token !== mountToken || !appRootEl) return;
+            console.error(`AppHostScreen: failed to load app "${entry.id}"`, err);
+            ClientLog.error(err, { appId: entry.id, phase: 'load' });
+            showLoadFailed(entry, () => loadAndMount(entry, nav, apps));
+        });
+    }
+
     return {
         mount: function(ctx) {
             const root = ctx && ctx.root;
@@ -53,42 +259,38 @@ export const AppHostScreen = (function() {
             hostEl.appendChild(appRootEl);
             root.replaceChildren(hostEl);
 
+            installLifecycle();
+            setPauseReason('hidden', document.visibilityState === 'hidden');
+            if (typeof document.hasFocus === 'function') setPauseReason('blur', !document.hasFocus());
+
             const app = apps.get(appId);
             if (!app) {
-                appRootEl.className = 'wos-app-placeholder';
-                appRootEl.innerHTML = `
-                    <div class="wos-app-placeholder-title">Oops!</div>
-                    <div class="wos-app-placeholder-text">That app isn’t here yet.</div>
-                `;
+                showPlaceholder('Oops!', 'That app isn’t here yet.');
                 // Gentle "not available" cue (don’t punish; just inform)
                 playAfterUnlock(() => Audio.buzz(0.35));
                 return;
             }
 
-            activeApp = app;
-            try {
-                const maybeCleanup = app.mount({ root: appRootEl, nav });
-                cleanupFn = typeof maybeCleanup === 'function' ? maybeCleanup : null;
-            } catch (_) {
-                appRootEl.className = 'wos-app-placeholder';
-                appRootEl.innerHTML = `
-                    <div class="wos-app-placeholder-title">Uh oh!</div>
-                    <div class="wos-app-placeholder-text">This app had a little problem starting.</div>
-                `;
-                // Slightly stronger "error" cue
-                playAfterUnlock(() => Audio.buzz(0.55));
-                activeApp = null;
-                cleanupFn = null;
-            }
+            return loadAndMount(app, nav, apps);
         },
 
         unmount: function() {
+            mountToken++;
+            removeBoundary();
             safeCleanup();
+            removeLifecycle();
             if (hostEl && hostEl.parentNode) {
                 try { hostEl.parentNode.removeChild(hostEl); } catch (_) { /* ignore */ }
             }
             hostEl = null;
             appRootEl = null;
+        },
+
+        /**
+         * @returns {boolean} True while the running app is paused
+         */
+        isPaused: function() {
+            return paused;
         }
     };
 })();
@@ -1,13 +1,102 @@
 /**
  * DesktopScreen
- * Scrollable, touch-first list of registered apps.
+ * Touch-first grid of registered apps, a page at a time.
+ *
+ * Pages: TILES_PER_PAGE tiles fill the reference screen; more apps spill onto further
+ * pages, reached with the big arrow buttons at the sides or by swiping. Dots at the
+ * bottom show where you are.
+ *
+ * Folders: parents group apps in config `apps.folders` (see Apps.folders()). A folder
+ * shows as one tile in place of its first app and opens as a sub-grid (paged the same
+ * way) inside this screen; navigation stays on 'desktop', so Home and Back don't
+ * know or care. The folder's close button (or Escape) returns to the main grid.
+ *
+ * Play again: a row above the grid with the parent's pinned favorites, then the apps
+ * opened most recently (AppUsage, per profile), so today's favorite is one tap away
+ * wherever it lives. Every launch from a tile is recorded there.
+ *
+ * Keyboard: arrow keys move focus across the grid (Left/Right at a page edge turn the
+ * page), Enter/Space opens the focused tile, and a letter key jumps to the next tile
+ * whose title starts with it (with Audio.say() "saying" the letter). The last focused
+ * tile is remembered per profile, and the desktop opens on its page.
  */
 
 import { Audio } from '../utils/audio.js';
+import { AppUsage } from '../utils/app-usage.js';
+import { Storage } from '../utils/storage.js';
+
+const FOCUS_KEY = 'desktop.lastFocused';
+// 3 columns x 2 rows of --size-app-tile-height tiles fit the 1280x800 reference screen.
+const TILES_PER_PAGE = 6;
+// Fallback when the grid's column count can't be read (matches desktop.css).
+const DEFAULT_COLUMNS = 3;
+// A swipe must travel this far (px), and mostly sideways, to turn the page.
+const SWIPE_MIN_PX = 60;
+const FOLDER_PREVIEW_COUNT = 4;
+// Play again row: favorites first, then recent apps, this many tiles in all.
+const PLAY_AGAIN_COUNT = 4;
+
+const CHEVRON_LEFT = '<path fill="currentColor" d="M15.4 5.4 14 4l-8 8 8 8 1.4-1.4L8.8 12l6.6-6.6Z"/>';
+const CHEVRON_RIGHT = '<path fill="currentColor" d="M8.6 18.6 10 20l8-8-8-8-1.4 1.4 6.6 6.6-6.6 6.6Z"/>';
+const ARROW_BACK = '<path fill="currentColor" d="M20 11H7.8l5.6-5.6L12 4l-8 8 8 8 1.4-1.4L7.8 13H20v-2Z"/>';
+
+/**
+ * Top-level desktop entries: apps, with each folder standing in for its first app
+ * @param {object[]} apps - Apps.list()
+ * @param {object[]} folders - Apps.folders()
+ * @returns {Array<{key: string, title: string, app?: object, folder?: object}>}
+ */
+function buildItems(apps, folders) {
+    const folderOf = new Map();
+    folders.forEach((folder) => folder.apps.forEach((app) => folderOf.set(app.id, folder)));
+    const placed = new Set();
+    return apps.reduce((items, app) => {
+        const folder = folderOf.get(app.id);
+        if (!folder) {
+            items.push({ key: app.id, title: app.title, app });
+        } else if (!placed.has(folder.id)) {
+            placed.add(folder.id);
+            items.push({ key: `folder:${folder.id}`, title: folder.title, folder });
+        }
+        return items;
+    }, []);
+}
+
+function folderItems(folder) {
+    return folder.apps.map((app) => ({ key: app.id, title: app.title, app }));
+}
+
+function el(tag, className, text) {
+    const node = document.createElement(tag);
+    if (className) node.className = className;
+    if (text != null) node.textContent = text;
+    return node;
+}
+
+function svgIcon(paths) {
+    return `<svg class="wos-desktop-icon" aria-hidden="true" viewBox="0 0 24 24" focusable="false">${paths}</svg>`;
+}
 
 export const DesktopScreen = (function() {
     let rootEl = null;
     let cleanup = null;
+    let configListener = null;
+    let keyListener = null;
+    let overlayListener = null;
+    // Bumped by unmount, so a mount still waiting on config knows it was left.
+    let mountToken = 0;
+    let gridEl = null;
+    let navRef = null;
+    // Shell overlays (parent gate, ...) that are up; the grid ignores keys underneath them.
+    const openOverlays = new Set();
+
+    // What's showing: the top-level items, or an open folder's. Rebuilt on every render.
+    let topItems = [];
+    let openFolder = null;
+    let page = 0;
+    let els = null; // { header, title, playAgain, prev, next, dots }
+    // Set by a swipe so the click that ends it doesn't open anything.
+    let swiped = false;
 
     function playAfterUnlock(fn) {
         try {
@@ -23,16 +112,101 @@ export const DesktopScreen = (function() {
         } catch (_) { /* ignore */ }
     }
 
-    function renderAppTile(app, nav) {
+    function currentItems() {
+        return openFolder ? folderItems(openFolder) : topItems;
+    }
+
+    function pageCount() {
+        return Math.max(1, Math.ceil(currentItems().length / TILES_PER_PAGE));
+    }
+
+    function tiles() {
+        return gridEl ? Array.from(gridEl.querySelectorAll('.wos-app-tile')) : [];
+    }
+
+    function columnCount() {
+        try {
+            const cols = getComputedStyle(gridEl).gridTemplateColumns;
+            const count = cols && cols !== 'none' ? cols.trim().split(/\s+/).length : 0;
+            // jsdom reports the unresolved `repeat(...)` text; treat that as unknown.
+            if (count > 0 && !/repeat\(/.test(cols)) return count;
+        } catch (_) { /* ignore */ }
+        return DEFAULT_COLUMNS;
+    }
+
+    function focusTile(tile) {
+        if (!tile) return;
+        tile.focus();
+        try { tile.scrollIntoView({ block: 'nearest' }); } catch (_) { /* ignore */ }
+    }
+
+    function focusKey(key) {
+        focusTile(tiles().find((t) => t.dataset.focusKey === key));
+    }
+
+    // True (once) if this click is the end of a swipe. The tile may already be gone
+    // from the page by then, so tile handlers ask too, not just the root's listener.
+    function takeSwipe() {
+        const was = swiped;
+        swiped = false;
+        return was;
+    }
+
+    function openApp(app) {
+        if (takeSwipe()) return;
+        // App launch cue (matches Letters "launch" energy)
+        playAfterUnlock(() => Audio.launch(0.80));
+        AppUsage.recordLaunch(app.id);
+        if (navRef) navRef.openApp(app.id);
+    }
+
+    /**
+     * Favorites, then recently opened apps (enabled ones only)
+     * @param {object[]} apps - Apps.list()
+     * @returns {Array<{app: object, favorite: boolean}>}
+     */
+    function playAgainApps(apps) {
+        const byId = new Map(apps.map((app) => [app.id, app]));
+        const favorites = AppUsage.getFavorites().filter((id) => byId.has(id));
+        const recent = AppUsage.recent().filter((id) => byId.has(id) && !favorites.includes(id));
+        return favorites.map((id) => ({ app: byId.get(id), favorite: true }))
+            .concat(recent.map((id) => ({ app: byId.get(id), favorite: false })))
+            .slice(0, PLAY_AGAIN_COUNT);
+    }
+
+    function renderPlayAgain(container, entries) {
+        const row = el('div', 'wos-play-again-row');
+        entries.forEach(({ app, favorite }) => {
+            const btn = el('button', 'wos-play-again-tile' + (favorite ? ' wos-play-again-tile--favorite' : ''));
+            btn.type = 'button';
+            btn.dataset.appId = app.id;
+            btn.setAttribute('aria-label', favorite ? `${app.title} (favorite)` : app.title);
+            btn.addEventListener('click', () => openApp(app));
+            if (app.iconSrc) {
+                const img = el('img', 'wos-play-again-icon');
+                img.alt = '';
+                img.src = app.iconSrc;
+                btn.appendChild(img);
+            } else {
+                btn.appendChild(el('div', 'wos-play-again-emoji', app.iconEmoji || '⭐'));
+            }
+            btn.appendChild(el('div', 'wos-play-again-title', app.title));
+            if (favorite) btn.appendChild(el('div', 'wos-play-again-star', '★'));
+            row.appendChild(btn);
+        });
+        container.replaceChildren(el('div', 'wos-play-again-label', 'Play again'), row);
+        container.hidden = entries.length === 0;
+    }
+
+    function renderAppTile(item) {
+        const app = item.app;
         const btn = document.createElement('button');
         btn.className = 'wos-app-tile';
         btn.type = 'button';
+        btn.dataset.appId = app.id;
+        btn.dataset.focusKey = item.key;
         btn.setAttribute('aria-label', app.title);
-        btn.addEventListener('click', () => {
-            // App launch cue (matches Letters "launch" energy)
-            playAfterUnlock(() => Audio.launch(0.80));
-            nav.openApp(app.id);
-        });
+        btn.addEventListener('click', () => openApp(app));
 
         if (app.iconSrc) {
             const img = document.createElement('img');
@@ -54,13 +228,245 @@ export const DesktopScreen = (function() {
         return btn;
     }
 
+    function renderFolderTile(item) {
+        const folder = item.folder;
+        const btn = document.createElement('button');
+        btn.className = 'wos-app-tile wos-folder-tile';
+        btn.type = 'button';
+        btn.dataset.folderId = folder.id;
+        btn.dataset.focusKey = item.key;
+        btn.setAttribute('aria-label', `${folder.title} folder`);
+        btn.addEventListener('click', () => {
+            if (!takeSwipe()) showFolder(folder);
+        });
+
+        if (folder.iconEmoji) {
+            const emoji = document.createElement('div');
+            emoji.className = 'wos-app-emoji';
+            emoji.textContent = folder.iconEmoji;
+            btn.appendChild(emoji);
+        } else {
+            // A peek at what's inside, like a real folder.
+            const preview = document.createElement('div');
+            preview.className = 'wos-folder-preview';
+            folder.apps.slice(0, FOLDER_PREVIEW_COUNT).forEach((app) => {
+                const cell = document.createElement('div');
+                cell.className = 'wos-folder-preview-item';
+                if (app.iconSrc) {
+                    const img = document.createElement('img');
+                    img.alt = '';
+                    img.src = app.iconSrc;
+                    cell.appendChild(img);
+                } else {
+                    cell.textContent = app.iconEmoji || '⭐';
+                }
+                preview.appendChild(cell);
+            });
+            btn.appendChild(preview);
+        }
+
+        const title = document.createElement('div');
+        title.className = 'wos-app-title';
+        title.textContent = folder.title;
+        btn.appendChild(title);
+        return btn;
+    }
+
+    function renderPage() {
+        if (!gridEl || !els) return;
+        const items = currentItems();
+        const pages = pageCount();
+        page = Math.min(Math.max(page, 0), pages - 1);
+
+        const tilesOnPage = items.slice(page * TILES_PER_PAGE, (page + 1) * TILES_PER_PAGE);
+        gridEl.replaceChildren(...tilesOnPage.map((item) => (item.folder ? renderFolderTile(item) : renderAppTile(item))));
+
+        els.header.hidden = !openFolder;
+        els.title.textContent = openFolder ? openFolder.title : '';
+        rootEl.classList.toggle('wos-desktop--folder', !!openFolder);
+        rootEl.classList.toggle('wos-desktop--paged', pages > 1);
+        els.prev.hidden = page === 0;
+        els.next.hidden = page >= pages - 1;
+        els.dots.hidden = pages < 2;
+        els.dots.replaceChildren(...Array.from({ length: pages }, (_, i) => {
+            const dot = document.createElement('span');
+            dot.className = 'wos-desktop-dot' + (i === page ? ' wos-desktop-dot--current' : '');
+            return dot;
+        }));
+    }
+
+    /**
+     * @param {number} next - Page index
+     * @returns {boolean} True if the page changed
+     */
+    function goToPage(next) {
+        if (next < 0 || next >= pageCount() || next === page) return false;
+        page = next;
+        playAfterUnlock(() => Audio.tick());
+        renderPage();
+        return true;
+    }
+
+    function showFolder(folder) {
+        const hadFocus = !!rootEl && rootEl.contains(document.activeElement);
+        openFolder = folder;
+        page = 0;
+        playAfterUnlock(() => Audio.pop(0.6));
+        renderPage();
+        if (hadFocus) focusTile(tiles()[0]);
+    }
+
+    function closeFolder() {
+        if (!openFolder) return;
+        const key = `folder:${openFolder.id}`;
+        const hadFocus = !!rootEl && rootEl.contains(document.activeElement);
+        openFolder = null;
+        page = pageOf(topItems, key);
+        playAfterUnlock(() => Audio.tick());
+        renderPage();
+        if (hadFocus) focusKey(key);
+    }
+
+    function pageOf(items, key) {
+        const index = items.findIndex((item) => item.key === key);
+        return index === -1 ? 0 : Math.floor(index / TILES_PER_PAGE);
+    }
+
+    // Apps inside a folder are remembered by their folder tile.
+    function topLevelKey(key) {
+        const folder = topItems.find((item) => item.folder && item.folder.apps.some((app) => app.id === key));
+        return folder ? folder.key : key;
+    }
+
+    function restoreFocus() {
+        const saved = topLevelKey(Storage.get(FOCUS_KEY, null));
+        page = pageOf(topItems, saved);
+        renderPage();
+        const tile = tiles().find((t) => t.dataset.focusKey === saved);
+        // Focus without scrolling: a tap user shouldn't see the page jump.
+        if (tile) {
+            try { tile.focus({ preventScroll: true }); } catch (_) { /* ignore */ }
+        }
+    }
+
+    function isEditable(el) {
+        return !!el && (el.isContentEditable || /^(INPUT|TEXTAREA|SELECT)$/.test(el.tagName));
+    }
+
+    function onKeyDown(e) {
+        if (!gridEl || e.defaultPrevented || e.ctrlKey || e.altKey || e.metaKey) return;
+        if (openOverlays.size > 0 || isEditable(e.target)) return;
+        swiped = false; // a swipe that ended off the tiles never got its click
+
+        if (e.key === 'Escape' && openFolder) {
+            e.preventDefault();
+            closeFolder();
+            return;
+        }
+
+        const list = tiles();
+        if (list.length === 0) return;
+        const current = list.indexOf(document.activeElement);
+
+        const moves = { ArrowLeft: -1, ArrowRight: 1, ArrowUp: -columnCount(), ArrowDown: columnCount() };
+        if (moves[e.key] !== undefined) {
+            e.preventDefault();
+            if (current === -1) {
+                focusTile(list[0]);
+                return;
+            }
+            const next = current + moves[e.key];
+            if (next >= 0 && next < list.length) {
+                playAfterUnlock(() => Audio.tick());
+                focusTile(list[next]);
+                return;
+            }
+            // Left/Right past the page edge turn the page; Up/Down just stop.
+            if (e.key === 'ArrowRight' && goToPage(page + 1)) focusTile(tiles()[0]);
+            if (e.key === 'ArrowLeft' && goToPage(page - 1)) focusTile(tiles()[tiles().length - 1]);
+            return;
+        }
+
+        if (e.key === 'Enter' || e.key === ' ') {
+            // Handled here (not by the button's own activation) so it works before anything
+            // is focused, and so Space can't launch twice (keydown here + keyup on the button).
+            e.preventDefault();
+            const tile = list[current === -1 ? 0 : current];
+            if (tile) tile.click();
+            return;
+        }
+
+        if (/^[a-z]$/i.test(e.key)) {
+            e.preventDefault();
+            const letter = e.key.toLowerCase();
+            // Next match after the focused tile (on any page), so pressing the letter again cycles.
+            const items = currentItems();
+            const from = current === -1 ? -1 : page * TILES_PER_PAGE + current;
+            const ordered = items.slice(from + 1).concat(items.slice(0, from + 1));
+            const match = ordered.find((item) => item.title.toLowerCase().startsWith(letter));
+            if (!match) {
+                playAfterUnlock(() => Audio.buzz(0.25));
+                return;
+            }
+            playAfterUnlock(() => Audio.say(letter));
+            const matchPage = pageOf(items, match.key);
+            if (matchPage !== page) {
+                page = matchPage;
+                renderPage();
+            }
+            focusKey(match.key);
+        }
+    }
+
+    function pageButton(className, label, paths, onClick) {
+        const btn = document.createElement('button');
+        btn.className = className;
+        btn.type = 'button';
+        btn.setAttribute('aria-label', label);
+        btn.innerHTML = svgIcon(paths);
+        btn.addEventListener('click', onClick);
+        return btn;
+    }
+
+    // Swipe left/right to turn the page. The tile under the finger mustn't open.
+    function attachSwipe(el) {
+        let start = null;
+        const onDown = (e) => {
+            swiped = false;
+            start = e.isPrimary === false ? null : { x: e.clientX, y: e.clientY, id: e.pointerId };
+        };
+        const onUp = (e) => {
+            if (!start || e.pointerId !== start.id) return;
+            const dx = e.clientX - start.x;
+            const dy = e.clientY - start.y;
+            start = null;
+            if (Math.abs(dx) < SWIPE_MIN_PX || Math.abs(dx) < Math.abs(dy) * 1.5) return;
+            swiped = true;
+            goToPage(page + (dx < 0 ? 1 : -1));
+        };
+        const onCancel = () => { start = null; };
+        const onClick = (e) => {
+            if (!takeSwipe()) return;
+            e.preventDefault();
+            e.stopPropagation();
+        };
+        el.addEventListener('pointerdown', onDown);
+        el.addEventListener('pointerup', onUp);
+        el.addEventListener('pointercancel', onCancel);
+        el.addEventListener('click', onClick, true);
+    }
+
     function renderDesktop(root, nav, apps) {
         // Clean up previous render
         if (cleanup) {
             try { cleanup(); } catch (_) { /* ignore */ }
         }
 
-        const list = apps.list();
+        navRef = nav;
+        const folders = typeof apps.folders === 'function' ? apps.folders() : [];
+        topItems = buildItems(apps.list(), folders);
+        // After a config change the open folder may be gone (or have other apps).
+        openFolder = openFolder ? folders.find((f) => f.id === openFolder.id) || null : null;
 
         rootEl = document.createElement('div');
         rootEl.className = 'wos-desktop';
@@ -68,16 +474,49 @@ export const DesktopScreen = (function() {
         const inner = document.createElement('div');
         inner.className = 'wos-desktop-inner';
 
+        const header = document.createElement('div');
+        header.className = 'wos-desktop-folder-header';
+        header.appendChild(pageButton('wos-desktop-folder-close', 'Close folder', ARROW_BACK, closeFolder));
+        const title = document.createElement('div');
+        title.className = 'wos-desktop-folder-title';
+        header.appendChild(title);
+
+        const playAgain = el('div', 'wos-play-again');
+        renderPlayAgain(playAgain, playAgainApps(apps.list()));
+
         const grid = document.createElement('div');
         grid.className = 'wos-app-grid';
 
-        list.forEach((app) => {
-            grid.appendChild(renderAppTile(app, nav));
-        });
+        const prev = pageButton('wos-desktop-page-btn wos-desktop-page-btn--prev', 'Previous page', CHEVRON_LEFT, () => goToPage(page - 1));
+        const next = pageButton('wos-desktop-page-btn wos-desktop-page-btn--next', 'Next page', CHEVRON_RIGHT, () => goToPage(page + 1));
+        const dots = document.createElement('div');
+        dots.className = 'wos-desktop-dots';
+        dots.setAttribute('aria-hidden', 'true');
 
+        inner.appendChild(header);
+        inner.appendChild(playAgain);
         inner.appendChild(grid);
         rootEl.appendChild(inner);
+        rootEl.appendChild(prev);
+        rootEl.appendChild(next);
+        rootEl.appendChild(dots);
         root.replaceChildren(rootEl);
+        gridEl = grid;
+        els = { header, title, playAgain, prev, next, dots };
+        attachSwipe(rootEl);
+
+        // Remember focus per tile, whichever page or folder it's in.
+        grid.addEventListener('focusin', (e) => {
+            const key = e.target && e.target.dataset ? e.target.dataset.focusKey : null;
+            if (key && Storage.get(FOCUS_KEY, null) !== key) Storage.set(FOCUS_KEY, key);
+        });
+
+        if (openFolder) {
+            page = Math.min(page, pageCount() - 1);
+            renderPage();
+        } else {
+            restoreFocus();
+        }
 
         const recalcCentering = () => {
             if (!rootEl) return;
@@ -85,7 +524,7 @@ export const DesktopScreen = (function() {
             const pt = parseFloat(cs.paddingTop) || 0;
             const pb = parseFloat(cs.paddingBottom) || 0;
             const available = Math.max(0, rootEl.clientHeight - pt - pb);
-            const content = grid.getBoundingClientRect().height;
+            const content = inner.getBoundingClientRect().height;
 
             if (content > 0 && content < available) {
                 rootEl.classList.add('wos-desktop--centered');
@@ -109,6 +548,7 @@ export const DesktopScreen = (function() {
             const nav = ctx && ctx.nav;
             const apps = ctx && ctx.apps;
             if (!root || !nav || !apps) return;
+            const token = ++mountToken;
 
             // CRITICAL: Wait for config to load before rendering to avoid race condition
             // If Apps.list() is called before config loads, it returns ALL apps (backward compatible fallback)
@@ -122,12 +562,51 @@ export const DesktopScreen = (function() {
                     console.warn('DesktopScreen: Failed to load config, using safe defaults', err);
                 }
             }
+            // Unmounted while config loaded (e.g. a deep link opened an app straight away):
+            // rendering or listening now would leave a desktop nobody can see or remove.
+            if (token !== mountToken) return;
 
             // Now render with filtered app list (config should be loaded)
             renderDesktop(root, nav, apps);
+
+            // A parent changed config (e.g. enabled apps) while the desktop is showing.
+            configListener = async () => {
+                try { await apps.refreshConfig(); } catch (_) { /* keep current list */ }
+                if (rootEl) renderDesktop(root, nav, apps);
+            };
+            document.addEventListener('winnieos:configchange', configListener);
+
+            keyListener = onKeyDown;
+            document.addEventListener('keydown', keyListener);
+            overlayListener = (e) => {
+                const detail = (e && e.detail) || {};
+                const id = detail.id || 'unknown';
+                if (detail.open) openOverlays.add(id);
+                else openOverlays.delete(id);
+            };
+            document.addEventListener('winnieos:overlaychange', overlayListener);
         },
 
         unmount: function() {
+            mountToken++;
+            if (configListener) {
+                document.removeEventListener('winnieos:configchange', configListener);
+            }
+            configListener = null;
+            if (keyListener) {
+                document.removeEventListener('keydown', keyListener);
+            }
+            keyListener = null;
+            if (overlayListener) {
+                document.removeEventListener('winnieos:overlaychange', overlayListener);
+            }
+            overlayListener = null;
+            openOverlays.clear();
+            gridEl = null;
+            els = null;
+            navRef = null;
+            // Coming back to the desktop starts on the main grid.
+            openFolder = null;
             if (cleanup) {
                 try { cleanup(); } catch (_) { /* ignore */ }
             }
@@ -139,5 +618,3 @@ export const DesktopScreen = (function() {
         }
     };
 })();
-
-
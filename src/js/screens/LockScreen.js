@@ -0,0 +1,114 @@
+/**
+ * LockScreen
+ * Sleepy cover the Shell puts over the running screen after a stretch of no
+ * activity (config `display.lock.idleMinutes`). The screen underneath stays
+ * mounted; it hears about the lock through a `winnieos:overlaychange` event
+ * (`{ id: 'lock', open }`), which pauses the running app.
+ *
+ * Waking is a little game: each tap or key press lights one of the stars, and
+ * all of them in a row (no long pause in between) wakes WinnieOS back to where
+ * it was. A single bump of the table doesn't. Keys are swallowed while locked so
+ * the paused app underneath doesn't get them.
+ */
+
+import { Audio } from '../utils/audio.js';
+
+const WAKE_PRESSES = 3;
+// Wait longer than this between presses and the stars go back to sleep.
+const WAKE_GAP_MS = 2000;
+
+function announce(open) {
+    try {
+        document.dispatchEvent(new CustomEvent('winnieos:overlaychange', { detail: { id: 'lock', open } }));
+    } catch (_) {
+        // ignore
+    }
+}
+
+export const LockScreen = (function() {
+    let rootEl = null;
+    let navRef = null;
+    let keyListener = null;
+    let lit = 0;
+    let gapTimer = null;
+    let woken = false;
+
+    function clearGap() {
+        if (gapTimer !== null) clearTimeout(gapTimer);
+        gapTimer = null;
+    }
+
+    function render() {
+        if (!rootEl) return;
+        rootEl.querySelectorAll('[data-wos-lock-star]').forEach((star, i) => {
+            star.classList.toggle('is-lit', i < lit);
+        });
+    }
+
+    function press() {
+        if (!rootEl || woken) return;
+        clearGap();
+        lit += 1;
+        render();
+        try { Audio.star(0.4 + 0.2 * lit); } catch (_) { /* ignore */ }
+        if (lit >= WAKE_PRESSES) {
+            woken = true;
+            try { Audio.ready(0.5); } catch (_) { /* ignore */ }
+            if (navRef && typeof navRef.unlock === 'function') navRef.unlock();
+            return;
+        }
+        gapTimer = setTimeout(() => {
+            gapTimer = null;
+            lit = 0;
+            render();
+        }, WAKE_GAP_MS);
+    }
+
+    return {
+        mount: function(ctx) {
+            const root = ctx && ctx.root;
+            if (!root) return;
+            navRef = (ctx && ctx.nav) || null;
+            lit = 0;
+            woken = false;
+
+            rootEl = document.createElement('div');
+            rootEl.className = 'wos-lock';
+            rootEl.setAttribute('role', 'dialog');
+            rootEl.setAttribute('aria-label', 'WinnieOS is asleep');
+            rootEl.innerHTML = `
+                <div class="wos-lock-sleeper" aria-hidden="true">😴</div>
+                <div class="wos-lock-title">Shh… WinnieOS is napping</div>
+                <div class="wos-lock-stars" aria-hidden="true">
+                    ${Array.from({ length: WAKE_PRESSES }, () => '<span class="wos-lock-star" data-wos-lock-star>★</span>').join('')}
+                </div>
+                <div class="wos-lock-hint">Tap ${WAKE_PRESSES} times to wake up</div>
+            `;
+            rootEl.addEventListener('pointerdown', (e) => {
+                e.preventDefault();
+                press();
+            });
+            keyListener = (e) => {
+                e.preventDefault();
+                e.stopPropagation();
+                if (!e.repeat) press();
+            };
+            document.addEventListener('keydown', keyListener, true);
+            root.replaceChildren(rootEl);
+            announce(true);
+        },
+
+        unmount: function() {
+            clearGap();
+            if (keyListener) document.removeEventListener('keydown', keyListener, true);
+            keyListener = null;
+            navRef = null;
+            const wasMounted = !!rootEl;
+            if (rootEl && rootEl.parentNode) {
+                try { rootEl.parentNode.removeChild(rootEl); } catch (_) { /* ignore */ }
+            }
+            rootEl = null;
+            if (wasMounted) announce(false);
+        }
+    };
+})();
@@ -1,15 +1,57 @@
 /**
  * StartupScreen
- * Simple, fun startup sequence that can later evolve into a real boot pipeline.
+ * Fun startup sequence in front of the real boot pipeline (core/boot.js).
+ *
+ * The boot tasks registered below run in order while the logo floats: load
+ * RuntimeConfig, restore server data into Storage, pick the profile, check the
+ * apps, preload app icons, warm up the Audio graph and say hello to /healthz.
+ * The status line shows the step that is actually running, with a progress bar.
+ * Optional steps that fail are only logged (WinnieOS works offline and on static
+ * hosts); a required step that fails shows a friendly "needs a grown-up" screen
+ * with the details, Try again, and Continue anyway.
+ *
+ * After the boot it shows a "Who's playing?" picker when there is more than
+ * one profile. A grown-up can press and hold the corner button (then pass the
+ * parent gate) to add or rename profiles; the boot waits while that is open.
+ *
+ * A quick boot (`quickBoot` in ctx, from a `?quick` deep link) skips the
+ * animation and the picker: it runs the same steps without waiting for the
+ * logo, then continues with the last-used profile.
  */
 
+import { Boot } from '../core/boot.js';
+import { RuntimeConfig } from '../core/config.js';
+import { Audio } from '../utils/audio.js';
+import { ClientLog } from '../utils/client-log.js';
+import { Profiles } from '../utils/profiles.js';
+import { Storage } from '../utils/storage.js';
+import { ParentGate } from '../shell/parent-gate.js';
+
 const LOGO_SRC = (import.meta.env.BASE_URL || '/') + 'assets/images/winnieOS_logo_temp.webp';
+const HEALTH_URL = (import.meta.env.BASE_URL || '/') + 'healthz';
 
 // Cap how long the boot will wait for the logo to arrive before giving up
 // and starting anyway. The asset is ~150 KB so this is only relevant on
 // very slow networks; without the cap a totally failed fetch would hang.
 const LOGO_PRELOAD_MAX_MS = 3000;
 
+// Profiles load after Storage hydration; Storage.hydrate() gives up after 5s,
+// so this cap only matters if something else goes wrong.
+const PROFILES_WAIT_MAX_MS = 6000;
+
+// RuntimeConfig.load() retries for ~9s on a slow boot before giving up on its own.
+const CONFIG_WAIT_MAX_MS = 10000;
+const ICON_PRELOAD_MAX_MS = 3000;
+
+// Real steps finish in a blink on the kiosk; keep the logo up long enough to be seen.
+const MIN_BOOT_MS = 1200;
+
+function escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, (c) => ({
+        '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+    })[c]);
+}
+
 function preloadImage(src, maxMs) {
     return new Promise((resolve) => {
         const img = new Image();
@@ -22,9 +64,82 @@ function preloadImage(src, maxMs) {
     });
 }
 
+async function checkHealth() {
+    const res = await fetch(HEALTH_URL, { cache: 'no-store' });
+    // Static hosts (GitHub Pages) have no server: nothing to check.
+    if (res.status === 404) return;
+    if (!res.ok) throw new Error(`Server answered ${res.status}`);
+    const data = await res.json();
+    if (!data || typeof data.version !== 'string') throw new Error('Server health check has no version');
+}
+
+// Built-in steps, in order. Boot.register() with the same id replaces one in place.
+Boot.register({
+    id: 'config',
+    label: 'Loading settings',
+    timeoutMs: CONFIG_WAIT_MAX_MS,
+    run: async () => {
+        // Apps fall back to safe defaults without it, so this step is optional.
+        if (!(await RuntimeConfig.load())) throw new Error('Config unavailable, using safe defaults');
+    }
+});
+Boot.register({
+    id: 'storage',
+    label: 'Restoring saved things',
+    timeoutMs: PROFILES_WAIT_MAX_MS,
+    // false just means no server copy (offline, static host); localStorage still works.
+    run: () => Storage.hydrate()
+});
+Boot.register({
+    id: 'profiles',
+    label: 'Finding your things',
+    required: true,
+    run: () => {
+        if (!Profiles.init()) throw new Error('No profile could be loaded');
+    }
+});
+Boot.register({
+    id: 'apps',
+    label: 'Checking apps',
+    required: true,
+    timeoutMs: CONFIG_WAIT_MAX_MS,
+    run: async ({ apps }) => {
+        if (!apps) return;
+        if (typeof apps.refreshConfig === 'function') await apps.refreshConfig();
+        if (apps.list().length === 0) throw new Error('No apps are turned on (check apps.enabled in config)');
+    }
+});
+Boot.register({
+    id: 'icons',
+    label: 'Getting apps ready',
+    timeoutMs: ICON_PRELOAD_MAX_MS + 500,
+    run: ({ apps }) => {
+        const icons = apps ? apps.list().map((app) => app.iconSrc).filter(Boolean) : [];
+        return Promise.all(icons.map((src) => preloadImage(src, ICON_PRELOAD_MAX_MS)));
+    }
+});
+Boot.register({
+    id: 'audio',
+    label: 'Warming up sounds',
+    run: () => {
+        if (!Audio.ensure()) throw new Error('Web Audio is not available');
+    }
+});
+Boot.register({
+    id: 'server',
+    label: 'Saying hello',
+    run: checkHealth
+});
+
 export const StartupScreen = (function() {
     let rootEl = null;
     let cancelled = false;
+    let bootFinished = false;
+    let managing = false;
+    let navRef = null;
+    let appsRef = null;
+    let quick = false;
+    let detachHold = null;
     const timers = new Map(); // id -> resolve()
 
     function clearTimers() {
@@ -48,34 +163,217 @@ export const StartupScreen = (function() {
 
     async function runBoot(nav) {
         const statusEl = rootEl ? rootEl.querySelector('[data-wos-startup-status]') : null;
+        const progressEl = rootEl ? rootEl.querySelector('[data-wos-startup-progress]') : null;
         const setStatus = (txt) => {
             if (!statusEl) return;
             statusEl.textContent = txt;
         };
+        const setProgress = (fraction) => {
+            if (!progressEl) return;
+            const percent = Math.round(Math.min(1, Math.max(0, fraction)) * 100);
+            progressEl.setAttribute('aria-valuenow', String(percent));
+            progressEl.style.setProperty('--wos-startup-progress', `${percent}%`);
+        };
+        const started = Date.now();
 
-        // Wait for the logo to be in cache before starting the timed steps,
+        // Wait for the logo to be in cache before starting the steps,
         // so the animation always plays with the logo visible — not just on
         // localhost where the image arrives before first paint.
         setStatus('Waking up WinnieOS');
-        await preloadImage(LOGO_SRC, LOGO_PRELOAD_MAX_MS);
+        setProgress(0);
+        if (!quick) await preloadImage(LOGO_SRC, LOGO_PRELOAD_MAX_MS);
         if (cancelled) return;
 
-        const steps = [
-            { label: 'Waking up WinnieOS', run: () => delay(450) },
-            { label: 'Checking apps', run: () => delay(450) },
-            { label: 'Almost ready', run: () => delay(450) }
-        ];
-
-        for (const step of steps) {
-            if (cancelled) return;
-            setStatus(step.label);
-            try { await step.run(); } catch (_) { /* ignore */ }
+        const result = await Boot.run({
+            context: { apps: appsRef, quick },
+            isCancelled: () => cancelled,
+            onStep: (task, index, total) => {
+                setStatus(task.label);
+                setProgress(index / total);
+            }
+        });
+        if (cancelled || result.cancelled) return;
+        reportBoot(result);
+        if (!result.ok) {
+            renderFailure(result, nav);
+            return;
         }
 
+        setProgress(1);
+        setStatus('Almost ready');
+        if (!quick) await delay(Math.max(0, MIN_BOOT_MS - (Date.now() - started)));
         if (cancelled) return;
+
+        bootFinished = true;
+        finishBoot(nav);
+    }
+
+    function reportBoot(result) {
+        result.steps.forEach((step) => {
+            if (step.status === 'failed' || step.status === 'timeout') {
+                console.warn(`WinnieOS boot: "${step.id}" ${step.status} after ${step.ms} ms: ${step.error}`);
+            }
+        });
+        if (result.failed) {
+            ClientLog.error(new Error(`Boot step "${result.failed.id}" ${result.failed.status}: ${result.failed.error}`), {
+                bootSteps: result.steps.map((s) => `${s.id}:${s.status}`)
+            });
+        }
+    }
+
+    function renderFailure(result, nav) {
+        const layer = rootEl && rootEl.querySelector('[data-wos-startup-failure]');
+        if (!layer) return;
+        const statusText = { ok: 'OK', failed: 'failed', timeout: 'took too long', skipped: 'not run' };
+        layer.innerHTML = `
+            <div class="wos-startup-failure-emoji" aria-hidden="true">🛠️</div>
+            <div class="wos-startup-failure-title">WinnieOS needs a grown-up</div>
+            <div class="wos-startup-failure-text">Something didn't start right.</div>
+            <button class="wos-startup-manage-btn is-primary" type="button" data-action="retry">Try again</button>
+            <details class="wos-startup-failure-details">
+                <summary>Details for grown-ups</summary>
+                <ul class="wos-startup-failure-steps">
+                    ${result.steps.map((step) => `
+                        <li class="wos-startup-failure-step is-${escapeHtml(step.status)}" data-step-id="${escapeHtml(step.id)}">
+                            <span class="wos-startup-failure-step-label">${escapeHtml(step.label)}${step.required ? ' (required)' : ''}</span>
+                            <span class="wos-startup-failure-step-status">${escapeHtml(statusText[step.status] || step.status)}${step.status === 'skipped' ? '' : ` · ${step.ms} ms`}</span>
+                            ${step.error ? `<span class="wos-startup-failure-step-error">${escapeHtml(step.error)}</span>` : ''}
+                        </li>
+                    `).join('')}
+                </ul>
+                <button class="wos-startup-manage-btn" type="button" data-action="continue">Continue anyway</button>
+            </details>
+        `;
+        layer.hidden = false;
+        rootEl.classList.add('is-failed');
+
+        const hide = () => {
+            layer.hidden = true;
+            layer.innerHTML = '';
+            rootEl.classList.remove('is-failed');
+        };
+        layer.querySelector('[data-action="retry"]').addEventListener('click', () => {
+            hide();
+            runBoot(nav);
+        });
+        layer.querySelector('[data-action="continue"]').addEventListener('click', () => {
+            hide();
+            // Whatever the failed step was, the desktop needs a profile to save into.
+            try { Profiles.init(); } catch (_) { /* ignore */ }
+            bootFinished = true;
+            finishBoot(nav);
+        });
+    }
+
+    function finishBoot(nav) {
+        if (cancelled || managing || !bootFinished) return;
+        const profiles = Profiles.list();
+        if (profiles.length > 1 && !quick) {
+            renderPicker(profiles, nav);
+            return;
+        }
         try { nav.goHome(); } catch (_) { /* ignore */ }
     }
 
+    function renderPicker(profiles, nav) {
+        const layer = rootEl && rootEl.querySelector('[data-wos-startup-profiles]');
+        if (!layer) return;
+        layer.innerHTML = `
+            <div class="wos-startup-profiles-title">Who's playing?</div>
+            <div class="wos-startup-profiles-grid">
+                ${profiles.map((p) => `
+                    <button class="wos-profile-tile" type="button" data-profile-id="${escapeHtml(p.id)}">
+                        <span class="wos-profile-avatar" aria-hidden="true">${escapeHtml(p.avatar)}</span>
+                        <span class="wos-profile-name">${escapeHtml(p.name)}</span>
+                    </button>
+                `).join('')}
+            </div>
+        `;
+        layer.hidden = false;
+        rootEl.classList.add('is-picking');
+        layer.querySelectorAll('[data-profile-id]').forEach((btn) => {
+            btn.addEventListener('click', () => {
+                if (managing) return;
+                if (!Profiles.select(btn.getAttribute('data-profile-id'))) return;
+                try { nav.goHome(); } catch (_) { /* ignore */ }
+            });
+        });
+    }
+
+    function renderManage() {
+        const panel = rootEl && rootEl.querySelector('[data-wos-startup-manage]');
+        if (!panel) return;
+        panel.innerHTML = `
+            <div class="wos-startup-manage-title">Profiles</div>
+            <div class="wos-startup-manage-list">
+                ${Profiles.list().map((p) => `
+                    <div class="wos-startup-manage-row" data-profile-id="${escapeHtml(p.id)}">
+                        <button class="wos-startup-manage-avatar" type="button" aria-label="Change picture">${escapeHtml(p.avatar)}</button>
+                        <input class="wos-startup-manage-name" type="text" maxlength="20" value="${escapeHtml(p.name)}" aria-label="Name" />
+                    </div>
+                `).join('')}
+            </div>
+            <div class="wos-startup-manage-actions">
+                <button class="wos-startup-manage-btn" type="button" data-action="add">Add profile</button>
+                <button class="wos-startup-manage-btn is-primary" type="button" data-action="done">Done</button>
+            </div>
+        `;
+        panel.hidden = false;
+
+        panel.querySelectorAll('.wos-startup-manage-row').forEach((row) => {
+            const id = row.getAttribute('data-profile-id');
+            row.querySelector('.wos-startup-manage-avatar').addEventListener('click', (e) => {
+                const current = e.currentTarget.textContent;
+                const avatars = Profiles.AVATARS;
+                const next = avatars[(avatars.indexOf(current) + 1) % avatars.length];
+                Profiles.update(id, { avatar: next });
+                e.currentTarget.textContent = next;
+            });
+            row.querySelector('.wos-startup-manage-name').addEventListener('change', (e) => {
+                const updated = Profiles.update(id, { name: e.currentTarget.value });
+                if (updated) e.currentTarget.value = updated.name;
+            });
+        });
+        panel.querySelector('[data-action="add"]').addEventListener('click', () => {
+            Profiles.create({ name: `Friend ${Profiles.list().length + 1}` });
+            renderManage();
+        });
+        panel.querySelector('[data-action="done"]').addEventListener('click', closeManage);
+    }
+
+    function openManage() {
+        // The picker reads the list on its own; make sure the default profile exists first.
+        Profiles.init();
+        managing = true;
+        renderManage();
+    }
+
+    function closeManage() {
+        const panel = rootEl && rootEl.querySelector('[data-wos-startup-manage]');
+        if (panel) {
+            panel.hidden = true;
+            panel.innerHTML = '';
+        }
+        managing = false;
+        finishBoot(navRef);
+    }
+
+    function bindGrownupButton() {
+        const btn = rootEl.querySelector('[data-wos-startup-grownup]');
+        if (!btn) return;
+        detachHold = ParentGate.attachHold(btn, () => {
+            if (managing) return;
+            // Hold the boot while the grown-up answers the gate.
+            managing = true;
+            ParentGate.request({ reason: 'Manage profiles' }).then(() => {
+                if (!cancelled) openManage();
+            }, () => {
+                managing = false;
+                finishBoot(navRef);
+            });
+        });
+    }
+
     return {
         mount: function(ctx) {
             const root = ctx && ctx.root;
@@ -83,6 +381,11 @@ export const StartupScreen = (function() {
             if (!root) return;
 
             cancelled = false;
+            bootFinished = false;
+            managing = false;
+            navRef = nav;
+            appsRef = (ctx && ctx.apps) || null;
+            quick = !!(ctx && ctx.quickBoot);
             rootEl = document.createElement('div');
             rootEl.className = 'wos-startup';
             rootEl.innerHTML = `
@@ -96,9 +399,17 @@ export const StartupScreen = (function() {
                             <span>.</span><span>.</span><span>.</span>
                         </span>
                     </div>
+                    <div class="wos-startup-progress" data-wos-startup-progress role="progressbar" aria-label="Starting up" aria-valuemin="0" aria-valuemax="100" aria-valuenow="0">
+                        <div class="wos-startup-progress-fill"></div>
+                    </div>
                 </div>
+                <div class="wos-startup-failure" data-wos-startup-failure role="alert" hidden></div>
+                <div class="wos-startup-profiles" data-wos-startup-profiles hidden></div>
+                <div class="wos-startup-manage" data-wos-startup-manage role="dialog" aria-label="Manage profiles" hidden></div>
+                <button class="wos-startup-grownup" type="button" data-wos-startup-grownup aria-label="Grown-ups: press and hold">⚙️</button>
             `;
             root.replaceChildren(rootEl);
+            bindGrownupButton();
 
             // Kick off async boot
             if (nav) runBoot(nav);
@@ -106,7 +417,11 @@ export const StartupScreen = (function() {
 
         unmount: function() {
             cancelled = true;
+            if (detachHold) detachHold();
+            detachHold = null;
             clearTimers();
+            navRef = null;
+            appsRef = null;
             if (rootEl && rootEl.parentNode) {
                 try { rootEl.parentNode.removeChild(rootEl); } catch (_) { /* ignore */ }
             }
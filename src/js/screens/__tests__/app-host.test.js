@@ -0,0 +1,239 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+
+vi.mock('../../utils/audio.js', () => ({
+    Audio: { isUnlocked: () => false, unlock: () => Promise.resolve(), buzz: () => {} }
+}));
+
+// A lazily loaded app whose hooks live on the definition rather than mount()'s result.
+const notepadDef = vi.hoisted(() => ({ mount: () => {}, onRouteChange: null }));
+vi.mock('../../apps/notepad/app.js', () => ({ default: notepadDef }));
+
+import { AppHostScreen } from '../AppHostScreen.js';
+import { CrashLog } from '../../utils/crash-log.js';
+import { Navigation } from '../../nav/navigation.js';
+import { Apps } from '../../apps/index.js';
+
+function deferred() {
+    let resolve;
+    let reject;
+    const promise = new Promise((res, rej) => { resolve = res; reject = rej; });
+    return { promise, resolve, reject };
+}
+
+function fakeApps(load) {
+    const entry = { id: 'balloons', title: 'Balloons', iconEmoji: '🎈' };
+    return {
+        get: (id) => (id === 'balloons' ? entry : null),
+        getConfig: () => ({ max: 3 }),
+        load: vi.fn(load)
+    };
+}
+
+describe('AppHostScreen', () => {
+    let root;
+
+    beforeEach(() => {
+        root = document.createElement('div');
+        document.body.appendChild(root);
+        vi.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        AppHostScreen.unmount();
+        root.remove();
+        vi.restoreAllMocks();
+    });
+
+    it('shows a loading card, then mounts the app with its config', async () => {
+        const chunk = deferred();
+        const mount = vi.fn();
+        const apps = fakeApps(() => chunk.promise);
+
+        const mounted = AppHostScreen.mount({ root, apps, appId: 'balloons' });
+        expect(root.querySelector('.wos-app-loading').textContent).toContain('Getting Balloons ready');
+
+        chunk.resolve({ id: 'balloons', title: 'Balloons', mount });
+        await mounted;
+        expect(mount).toHaveBeenCalledWith(expect.objectContaining({ config: { max: 3 } }));
+        expect(root.querySelector('.wos-app-loading')).toBeNull();
+    });
+
+    it('offers a retry when the app fails to load', async () => {
+        const mount = vi.fn();
+        let attempts = 0;
+        const apps = fakeApps(() => {
+            attempts++;
+            return attempts === 1
+                ? Promise.reject(new Error('chunk 404'))
+                : Promise.resolve({ id: 'balloons', title: 'Balloons', mount });
+        });
+
+        await AppHostScreen.mount({ root, apps, appId: 'balloons' });
+        const retry = root.querySelector('.wos-app-retry');
+        expect(retry).not.toBeNull();
+        expect(root.textContent).toContain('Balloons didn’t open');
+
+        retry.click();
+        await Promise.resolve();
+        await Promise.resolve();
+        expect(mount).toHaveBeenCalledTimes(1);
+    });
+
+    it('does not mount an app that finishes loading after the screen is left', async () => {
+        const chunk = deferred();
+        const mount = vi.fn();
+        const apps = fakeApps(() => chunk.promise);
+
+        const mounted = AppHostScreen.mount({ root, apps, appId: 'balloons' });
+        AppHostScreen.unmount();
+        chunk.resolve({ id: 'balloons', title: 'Balloons', mount });
+        await mounted;
+        expect(mount).not.toHaveBeenCalled();
+    });
+
+    it('passes the route to mount() and later route changes to onRouteChange', async () => {
+        Navigation._resetForTests();
+        Navigation.init({ initialState: { screen: 'desktop' } });
+        Navigation.openApp('balloons', 'levels');
+        const onRouteChange = vi.fn();
+        const mount = vi.fn(() => ({ onRouteChange }));
+        const apps = fakeApps(() => Promise.resolve({ id: 'balloons', title: 'Balloons', mount }));
+
+        await AppHostScreen.mount({ root, apps, nav: Navigation, appId: 'balloons' });
+        expect(mount).toHaveBeenCalledWith(expect.objectContaining({ route: 'levels' }));
+
+        Navigation.push({ route: 'levels/2' });
+        expect(onRouteChange).toHaveBeenCalledWith('levels/2', 'levels');
+
+        AppHostScreen.unmount();
+        Navigation.pop();
+        expect(onRouteChange).toHaveBeenCalledTimes(1);
+        Navigation._resetForTests();
+    });
+
+    it('calls onRouteChange from a lazily loaded app definition', async () => {
+        Navigation._resetForTests();
+        Navigation.init({ initialState: { screen: 'desktop' } });
+        Navigation.openApp('notepad', 'notes');
+        notepadDef.onRouteChange = vi.fn();
+
+        await AppHostScreen.mount({ root, apps: Apps, nav: Navigation, appId: 'notepad' });
+        Navigation.push({ route: 'notes/2' });
+        expect(notepadDef.onRouteChange).toHaveBeenCalledWith('notes/2', 'notes');
+
+        AppHostScreen.unmount();
+        Navigation._resetForTests();
+    });
+
+    describe('crash boundary', () => {
+        beforeEach(() => {
+            localStorage.clear();
+            CrashLog.clear();
+        });
+
+        it('tears down an app that throws while mounting and records the crash', async () => {
+            const apps = fakeApps(() => Promise.resolve({
+                id: 'balloons',
+                title: 'Balloons',
+                mount: () => { throw new Error('boom'); }
+            }));
+
+            await AppHostScreen.mount({ root, apps, appId: 'balloons' });
+            expect(root.textContent).toContain('Balloons had a little problem');
+            expect(root.querySelector('.wos-app-retry')).not.toBeNull();
+            expect(CrashLog.list()[0]).toMatchObject({ appId: 'balloons', message: 'Error: boom' });
+        });
+
+        it('catches uncaught errors after mount and remounts on retry', async () => {
+            const cleanup = vi.fn();
+            const mount = vi.fn(() => cleanup);
+            const apps = fakeApps(() => Promise.resolve({ id: 'balloons', title: 'Balloons', mount }));
+            await AppHostScreen.mount({ root, apps, appId: 'balloons' });
+
+            window.dispatchEvent(new ErrorEvent('error', { error: new TypeError('x is undefined'), message: 'x is undefined' }));
+            expect(cleanup).toHaveBeenCalledTimes(1);
+            expect(CrashLog.list()).toHaveLength(1);
+
+            root.querySelector('.wos-app-retry').click();
+            await Promise.resolve();
+            await Promise.resolve();
+            expect(mount).toHaveBeenCalledTimes(2);
+            expect(root.querySelector('.wos-app-retry')).toBeNull();
+        });
+
+        it('ignores benign browser noise', async () => {
+            const cleanup = vi.fn();
+            const apps = fakeApps(() => Promise.resolve({ id: 'balloons', title: 'Balloons', mount: () => cleanup }));
+            await AppHostScreen.mount({ root, apps, appId: 'balloons' });
+
+            window.dispatchEvent(new ErrorEvent('error', { message: 'ResizeObserver loop limit exceeded' }));
+            expect(cleanup).not.toHaveBeenCalled();
+            expect(CrashLog.list()).toHaveLength(0);
+        });
+    });
+
+    describe('pause and resume', () => {
+        async function mountWithHooks() {
+            const hooks = { onPause: vi.fn(), onResume: vi.fn(), cleanup: vi.fn() };
+            const apps = fakeApps(() => Promise.resolve({
+                id: 'balloons',
+                title: 'Balloons',
+                mount: () => hooks
+            }));
+            await AppHostScreen.mount({ root, apps, appId: 'balloons' });
+            return hooks;
+        }
+
+        function setVisibility(state) {
+            Object.defineProperty(document, 'visibilityState', { configurable: true, get: () => state });
+            document.dispatchEvent(new Event('visibilitychange'));
+        }
+
+        beforeEach(() => {
+            // jsdom's document never has focus; the kiosk window normally does.
+            vi.spyOn(document, 'hasFocus').mockReturnValue(true);
+        });
+
+        afterEach(() => {
+            delete document.visibilityState;
+        });
+
+        it('pauses while the page is hidden', async () => {
+            const hooks = await mountWithHooks();
+
+            setVisibility('hidden');
+            expect(hooks.onPause).toHaveBeenCalledTimes(1);
+            expect(AppHostScreen.isPaused()).toBe(true);
+
+            setVisibility('visible');
+            expect(hooks.onResume).toHaveBeenCalledTimes(1);
+            expect(AppHostScreen.isPaused()).toBe(false);
+        });
+
+        // Overlapping reasons: resume only once nothing covers the app any more.
+        it('stays paused until every reason has cleared', async () => {
+            const hooks = await mountWithHooks();
+            const overlay = (open) => document.dispatchEvent(
+                new CustomEvent('winnieos:overlaychange', { detail: { id: 'parent-gate', open } })
+            );
+
+            overlay(true);
+            window.dispatchEvent(new Event('blur'));
+            window.dispatchEvent(new Event('focus'));
+            expect(hooks.onResume).not.toHaveBeenCalled();
+
+            overlay(false);
+            expect(hooks.onPause).toHaveBeenCalledTimes(1);
+            expect(hooks.onResume).toHaveBeenCalledTimes(1);
+        });
+
+        it('stops listening once the app is closed', async () => {
+            const hooks = await mountWithHooks();
+            AppHostScreen.unmount();
+
+            window.dispatchEvent(new Event('blur'));
+            expect(hooks.cleanup).toHaveBeenCalledTimes(1);
+            expect(hooks.onPause).not.toHaveBeenCalled();
+        });
+    });
+});
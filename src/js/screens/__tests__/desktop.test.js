@@ -0,0 +1,344 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+
+vi.mock('../../utils/audio.js', () => ({
+    Audio: {
+        isUnlocked: () => true,
+        unlock: () => Promise.resolve(),
+        tick: vi.fn(),
+        buzz: vi.fn(),
+        launch: vi.fn(),
+        pop: vi.fn(),
+        say: vi.fn()
+    }
+}));
+
+import { DesktopScreen } from '../DesktopScreen.js';
+import { Audio } from '../../utils/audio.js';
+import { Storage } from '../../utils/storage.js';
+import { AppUsage } from '../../utils/app-usage.js';
+
+const APPS = [
+    { id: 'letters', title: 'Letters', iconEmoji: '🔤' },
+    { id: 'colors', title: 'Colors', iconEmoji: '🎨' },
+    { id: 'notepad', title: 'Notepad', iconEmoji: '📝' },
+    { id: 'slalom', title: 'Slalom', iconEmoji: '⛷️' },
+    { id: 'clock', title: 'Clock', iconEmoji: '⏰' }
+];
+
+function fakeApps(list = APPS, folders = []) {
+    return { list: () => list.slice(), folders: () => folders, refreshConfig: () => Promise.resolve() };
+}
+
+// Enough apps for two pages (6 per page).
+const MANY = 'abcdefghi'.split('').map((c) => ({ id: `app-${c}`, title: `${c.toUpperCase()} app`, iconEmoji: '⭐' }));
+
+function press(key) {
+    const e = new KeyboardEvent('keydown', { key, bubbles: true, cancelable: true });
+    document.dispatchEvent(e);
+    return e;
+}
+
+function focusedId() {
+    return document.activeElement && document.activeElement.dataset.appId;
+}
+
+function playAgainIds(root) {
+    return Array.from(root.querySelectorAll('.wos-play-again-tile')).map((t) => t.dataset.appId);
+}
+
+function tileIds(root) {
+    return Array.from(root.querySelectorAll('.wos-app-tile')).map((t) => t.dataset.appId || `folder:${t.dataset.folderId}`);
+}
+
+function pointer(el, type, x, y) {
+    const e = new Event(type, { bubbles: true, cancelable: true });
+    Object.assign(e, { clientX: x, clientY: y, pointerId: 1, isPrimary: true });
+    el.dispatchEvent(e);
+}
+
+describe('DesktopScreen keyboard navigation', () => {
+    let root;
+    let nav;
+
+    async function mount(apps = fakeApps()) {
+        await DesktopScreen.mount({ root, nav, apps });
+    }
+
+    beforeEach(() => {
+        localStorage.clear();
+        Storage._resetForTests();
+        vi.clearAllMocks();
+        root = document.createElement('div');
+        document.body.appendChild(root);
+        nav = { openApp: vi.fn() };
+    });
+
+    afterEach(() => {
+        DesktopScreen.unmount();
+        root.remove();
+    });
+
+    it('moves focus with the arrow keys, a row at a time for up/down', async () => {
+        await mount();
+
+        press('ArrowRight');
+        expect(focusedId()).toBe('letters'); // nothing focused yet: first tile
+        press('ArrowRight');
+        expect(focusedId()).toBe('colors');
+        press('ArrowDown');
+        expect(focusedId()).toBe('clock'); // 3 columns
+        press('ArrowDown');
+        expect(focusedId()).toBe('clock'); // stops at the edge
+        press('ArrowUp');
+        press('ArrowLeft');
+        expect(focusedId()).toBe('letters');
+        expect(Audio.tick).toHaveBeenCalled();
+    });
+
+    it('launches the focused app with Enter or Space', async () => {
+        await mount();
+        press('ArrowRight');
+        press('ArrowRight');
+
+        const e = press('Enter');
+        expect(e.defaultPrevented).toBe(true);
+        expect(nav.openApp).toHaveBeenCalledWith('colors');
+
+        press(' ');
+        expect(nav.openApp).toHaveBeenCalledTimes(2);
+    });
+
+    it('jumps to apps by first letter, cycling through matches and saying the letter', async () => {
+        await mount();
+
+        press('c');
+        expect(focusedId()).toBe('colors');
+        expect(Audio.say).toHaveBeenCalledWith('c');
+        press('C');
+        expect(focusedId()).toBe('clock');
+        press('c');
+        expect(focusedId()).toBe('colors');
+
+        press('z');
+        expect(focusedId()).toBe('colors');
+        expect(Audio.buzz).toHaveBeenCalled();
+    });
+
+    it('ignores keys other handlers consumed or that carry modifiers', async () => {
+        await mount();
+        const consumed = new KeyboardEvent('keydown', { key: 's', bubbles: true, cancelable: true });
+        consumed.preventDefault();
+        document.dispatchEvent(consumed);
+        document.dispatchEvent(new KeyboardEvent('keydown', { key: 's', ctrlKey: true, bubbles: true }));
+
+        expect(focusedId()).toBeUndefined();
+    });
+
+    it('ignores keys while a shell overlay is open', async () => {
+        await mount();
+        const overlay = (open) => document.dispatchEvent(
+            new CustomEvent('winnieos:overlaychange', { detail: { id: 'parent-gate', open } })
+        );
+
+        overlay(true);
+        press('n');
+        expect(focusedId()).toBeUndefined();
+
+        overlay(false);
+        press('n');
+        expect(focusedId()).toBe('notepad');
+    });
+
+    it('remembers the last focused tile and focuses it again on the next mount', async () => {
+        await mount();
+        press('s');
+        expect(Storage.get('desktop.lastFocused')).toBe('slalom');
+
+        DesktopScreen.unmount();
+        document.body.focus();
+        await mount();
+
+        expect(focusedId()).toBe('slalom');
+    });
+
+    it('stops listening when unmounted', async () => {
+        await mount();
+        DesktopScreen.unmount();
+
+        press('n');
+        expect(Audio.say).not.toHaveBeenCalled();
+    });
+
+    it('does nothing once config loads if it was unmounted while waiting', async () => {
+        let loaded;
+        const apps = { ...fakeApps(), refreshConfig: () => new Promise((resolve) => { loaded = resolve; }) };
+        const mounting = DesktopScreen.mount({ root, nav, apps });
+        DesktopScreen.unmount();
+        loaded();
+        await mounting;
+
+        expect(root.children).toHaveLength(0);
+        const e = press('Enter');
+        press('ArrowRight');
+        expect(e.defaultPrevented).toBe(false);
+        expect(nav.openApp).not.toHaveBeenCalled();
+        expect(Audio.tick).not.toHaveBeenCalled();
+    });
+
+    describe('pages', () => {
+        it('shows six tiles a page with arrow buttons and dots', async () => {
+            await mount(fakeApps(MANY));
+            const prev = root.querySelector('.wos-desktop-page-btn--prev');
+            const next = root.querySelector('.wos-desktop-page-btn--next');
+
+            expect(tileIds(root)).toEqual(['app-a', 'app-b', 'app-c', 'app-d', 'app-e', 'app-f']);
+            expect(prev.hidden).toBe(true);
+            expect(root.querySelectorAll('.wos-desktop-dot')).toHaveLength(2);
+
+            next.click();
+            expect(tileIds(root)).toEqual(['app-g', 'app-h', 'app-i']);
+            expect(next.hidden).toBe(true);
+            expect(root.querySelector('.wos-desktop-dot--current')).toBe(root.querySelectorAll('.wos-desktop-dot')[1]);
+
+            prev.click();
+            expect(tileIds(root)[0]).toBe('app-a');
+        });
+
+        it('has no page controls when everything fits', async () => {
+            await mount();
+            expect(root.querySelector('.wos-desktop-dots').hidden).toBe(true);
+            expect(root.querySelector('.wos-desktop-page-btn--next').hidden).toBe(true);
+        });
+
+        it('turns the page on a sideways swipe without opening the tile under the finger', async () => {
+            await mount(fakeApps(MANY));
+            const tile = root.querySelector('.wos-app-tile');
+
+            pointer(tile, 'pointerdown', 600, 300);
+            pointer(tile, 'pointerup', 400, 320);
+            tile.click();
+
+            expect(tileIds(root)[0]).toBe('app-g');
+            expect(nav.openApp).not.toHaveBeenCalled();
+
+            // A short drag is still a tap.
+            const other = root.querySelector('.wos-app-tile');
+            pointer(other, 'pointerdown', 600, 300);
+            pointer(other, 'pointerup', 590, 300);
+            other.click();
+            expect(nav.openApp).toHaveBeenCalledWith('app-g');
+        });
+
+        it('turns the page when the arrow keys run off its edge, and letter jumps follow', async () => {
+            await mount(fakeApps(MANY));
+            press('f');
+            press('ArrowRight');
+            expect(focusedId()).toBe('app-g');
+            press('ArrowLeft');
+            expect(focusedId()).toBe('app-f');
+
+            press('h');
+            expect(focusedId()).toBe('app-h');
+            expect(tileIds(root)).toContain('app-h');
+        });
+
+        it('opens on the page of the last focused tile', async () => {
+            Storage.set('desktop.lastFocused', 'app-h');
+            await mount(fakeApps(MANY));
+            expect(tileIds(root)[0]).toBe('app-g');
+            expect(focusedId()).toBe('app-h');
+        });
+    });
+
+    describe('folders', () => {
+        const games = { id: 'games', title: 'Games', iconEmoji: '🎮', apps: [APPS[1], APPS[3]] };
+
+        it('shows a folder in place of its first app and opens it in place', async () => {
+            await mount(fakeApps(APPS, [games]));
+            expect(tileIds(root)).toEqual(['letters', 'folder:games', 'notepad', 'clock']);
+
+            root.querySelector('[data-folder-id="games"]').click();
+            expect(tileIds(root)).toEqual(['colors', 'slalom']);
+            expect(root.querySelector('.wos-desktop-folder-title').textContent).toBe('Games');
+            expect(nav.openApp).not.toHaveBeenCalled();
+
+            root.querySelector('[data-app-id="slalom"]').click();
+            expect(nav.openApp).toHaveBeenCalledWith('slalom');
+        });
+
+        it('closes with its button or Escape', async () => {
+            await mount(fakeApps(APPS, [games]));
+            root.querySelector('[data-folder-id="games"]').click();
+            root.querySelector('.wos-desktop-folder-close').click();
+            expect(tileIds(root)).toContain('folder:games');
+            expect(root.querySelector('.wos-desktop-folder-header').hidden).toBe(true);
+
+            press('g');
+            press('Enter');
+            expect(focusedId()).toBe('colors'); // keyboard focus follows into the folder
+            const e = press('Escape');
+            expect(e.defaultPrevented).toBe(true);
+            expect(document.activeElement.dataset.folderId).toBe('games');
+        });
+
+        it('comes back to the folder tile after an app inside it', async () => {
+            await mount(fakeApps(APPS, [games]));
+            root.querySelector('[data-folder-id="games"]').click();
+            root.querySelector('[data-app-id="slalom"]').focus();
+
+            DesktopScreen.unmount();
+            await mount(fakeApps(APPS, [games]));
+
+            expect(tileIds(root)).toContain('folder:games');
+            expect(document.activeElement.dataset.folderId).toBe('games');
+        });
+    });
+
+    describe('play again row', () => {
+        afterEach(() => {
+            vi.useRealTimers();
+        });
+
+        it('stays hidden until something has been played or pinned', async () => {
+            await mount();
+            expect(root.querySelector('.wos-play-again').hidden).toBe(true);
+        });
+
+        it('records launches from tiles', async () => {
+            await mount();
+            root.querySelector('[data-app-id="slalom"]').click();
+            expect(AppUsage.get('slalom').count).toBe(1);
+        });
+
+        it('shows favorites first, then recent apps, skipping disabled ones', async () => {
+            vi.useFakeTimers();
+            vi.setSystemTime(new Date('2026-03-01T10:00:00Z'));
+            ['colors', 'retired-app', 'notepad', 'letters', 'clock'].forEach((id, i) => {
+                vi.setSystemTime(new Date(Date.UTC(2026, 2, 1, 10, i)));
+                AppUsage.recordLaunch(id);
+            });
+            AppUsage.setFavorite('slalom', true);
+            AppUsage.setFavorite('letters', true);
+            vi.useRealTimers();
+
+            await mount();
+
+            expect(root.querySelector('.wos-play-again').hidden).toBe(false);
+            expect(playAgainIds(root)).toEqual(['slalom', 'letters', 'clock', 'notepad']);
+            expect(root.querySelectorAll('.wos-play-again-tile--favorite')).toHaveLength(2);
+
+            root.querySelector('.wos-play-again-tile[data-app-id="notepad"]').click();
+            expect(nav.openApp).toHaveBeenCalledWith('notepad');
+            expect(AppUsage.get('notepad').count).toBe(2);
+        });
+
+        it('reaches apps tucked away in folders', async () => {
+            AppUsage.setFavorite('slalom', true);
+            const games = { id: 'games', title: 'Games', apps: [APPS[3]] };
+            await mount(fakeApps(APPS, [games]));
+
+            expect(tileIds(root)).not.toContain('slalom');
+            expect(playAgainIds(root)).toEqual(['slalom']);
+        });
+    });
+});
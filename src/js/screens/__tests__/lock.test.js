@@ -0,0 +1,92 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+
+vi.mock('../../utils/audio.js', () => ({
+    Audio: {
+        star: vi.fn(),
+        ready: vi.fn()
+    }
+}));
+
+import { LockScreen } from '../LockScreen.js';
+import { Audio } from '../../utils/audio.js';
+
+function press(key = 'a', options = {}) {
+    const e = new KeyboardEvent('keydown', { key, bubbles: true, cancelable: true, ...options });
+    document.dispatchEvent(e);
+    return e;
+}
+
+function litCount(root) {
+    return root.querySelectorAll('.wos-lock-star.is-lit').length;
+}
+
+describe('LockScreen', () => {
+    let root;
+    let nav;
+    let overlays;
+    const onOverlay = (e) => overlays.push(e.detail);
+
+    beforeEach(() => {
+        vi.useFakeTimers();
+        root = document.createElement('div');
+        document.body.appendChild(root);
+        nav = { unlock: vi.fn() };
+        overlays = [];
+        document.addEventListener('winnieos:overlaychange', onOverlay);
+        Audio.star.mockClear();
+    });
+
+    afterEach(() => {
+        LockScreen.unmount();
+        document.removeEventListener('winnieos:overlaychange', onOverlay);
+        root.remove();
+        vi.useRealTimers();
+    });
+
+    it('announces itself so the app underneath pauses', () => {
+        LockScreen.mount({ root, nav });
+        expect(overlays).toEqual([{ id: 'lock', open: true }]);
+        LockScreen.unmount();
+        expect(overlays).toEqual([{ id: 'lock', open: true }, { id: 'lock', open: false }]);
+    });
+
+    it('wakes after three taps or key presses in a row', () => {
+        LockScreen.mount({ root, nav });
+        const lock = root.querySelector('.wos-lock');
+
+        lock.dispatchEvent(new Event('pointerdown', { bubbles: true, cancelable: true }));
+        press('x');
+        expect(litCount(root)).toBe(2);
+        expect(nav.unlock).not.toHaveBeenCalled();
+
+        press('Escape');
+        expect(nav.unlock).toHaveBeenCalledTimes(1);
+        expect(Audio.star).toHaveBeenCalledTimes(3);
+    });
+
+    it('puts the stars back to sleep after a long pause', () => {
+        LockScreen.mount({ root, nav });
+        press();
+        press();
+        vi.advanceTimersByTime(2000);
+        expect(litCount(root)).toBe(0);
+
+        press();
+        expect(nav.unlock).not.toHaveBeenCalled();
+    });
+
+    it('keeps keys from the paused app and ignores held keys', () => {
+        const appKeys = vi.fn();
+        document.addEventListener('keydown', appKeys);
+        LockScreen.mount({ root, nav });
+
+        const e = press('ArrowRight');
+        press('ArrowRight', { repeat: true });
+        press('ArrowRight', { repeat: true });
+
+        expect(e.defaultPrevented).toBe(true);
+        expect(appKeys).not.toHaveBeenCalled();
+        expect(litCount(root)).toBe(1);
+        document.removeEventListener('keydown', appKeys);
+    });
+});
@@ -0,0 +1,99 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+
+vi.mock('../../utils/audio.js', () => ({
+    Audio: { ensure: () => true }
+}));
+
+import { StartupScreen } from '../StartupScreen.js';
+import { Boot } from '../../core/boot.js';
+import { Storage } from '../../utils/storage.js';
+import { Profiles } from '../../utils/profiles.js';
+import { ClientLog } from '../../utils/client-log.js';
+
+function flush() {
+    return new Promise((resolve) => setTimeout(resolve, 0));
+}
+
+describe('StartupScreen boot', () => {
+    let root;
+    let nav;
+
+    beforeEach(() => {
+        localStorage.clear();
+        Storage._resetForTests();
+        Profiles._resetForTests();
+        Boot._resetForTests();
+        vi.spyOn(ClientLog, 'error').mockImplementation(() => {});
+        vi.spyOn(console, 'warn').mockImplementation(() => {});
+        root = document.createElement('div');
+        document.body.appendChild(root);
+        nav = { goHome: vi.fn() };
+    });
+
+    afterEach(() => {
+        StartupScreen.unmount();
+        root.remove();
+        vi.restoreAllMocks();
+    });
+
+    it('registers the built-in steps in order', async () => {
+        vi.resetModules();
+        const fresh = await import('../../core/boot.js');
+        fresh.Boot._resetForTests();
+        await import('../StartupScreen.js');
+        expect(fresh.Boot.list().map((t) => t.id)).toEqual(['config', 'storage', 'profiles', 'apps', 'icons', 'audio', 'server']);
+        expect(fresh.Boot.list().filter((t) => t.required).map((t) => t.id)).toEqual(['profiles', 'apps']);
+        const labels = fresh.Boot.list().map((t) => t.label);
+        expect(new Set(labels).size).toBe(labels.length);
+    });
+
+    it('goes home once every step passes, logging optional failures', async () => {
+        Boot.register({ id: 'profiles', required: true, run: () => { Profiles.init(); } });
+        Boot.register({ id: 'server', run: () => { throw new Error('offline'); } });
+
+        StartupScreen.mount({ root, nav, quickBoot: true });
+        await flush();
+
+        expect(nav.goHome).toHaveBeenCalledTimes(1);
+        expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('"server" failed'));
+        expect(ClientLog.error).not.toHaveBeenCalled();
+    });
+
+    it('shows a failure screen with details when a required step fails', async () => {
+        let attempts = 0;
+        Boot.register({ id: 'apps', label: 'Checking apps', required: true, run: () => {
+            attempts++;
+            if (attempts === 1) throw new Error('No apps are turned on');
+        } });
+        Boot.register({ id: 'icons', label: 'Getting apps ready', run: () => {} });
+
+        StartupScreen.mount({ root, nav, quickBoot: true });
+        await flush();
+
+        const failure = root.querySelector('[data-wos-startup-failure]');
+        expect(failure.hidden).toBe(false);
+        expect(root.querySelector('.wos-startup').classList.contains('is-failed')).toBe(true);
+        expect(failure.querySelector('[data-step-id="apps"]').textContent).toContain('No apps are turned on');
+        expect(failure.querySelector('[data-step-id="icons"]').textContent).toContain('not run');
+        expect(ClientLog.error).toHaveBeenCalledTimes(1);
+        expect(nav.goHome).not.toHaveBeenCalled();
+
+        failure.querySelector('[data-action="retry"]').click();
+        await flush();
+
+        expect(attempts).toBe(2);
+        expect(failure.hidden).toBe(true);
+        expect(nav.goHome).toHaveBeenCalledTimes(1);
+    });
+
+    it('lets a grown-up continue past a failed step', async () => {
+        Boot.register({ id: 'apps', required: true, run: () => { throw new Error('broken'); } });
+
+        StartupScreen.mount({ root, nav, quickBoot: true });
+        await flush();
+        root.querySelector('[data-action="continue"]').click();
+
+        expect(nav.goHome).toHaveBeenCalledTimes(1);
+        expect(Profiles.getActive()).toBeTruthy();
+    });
+});
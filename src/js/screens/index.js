@@ -5,11 +5,13 @@
 import { StartupScreen } from './StartupScreen.js';
 import { DesktopScreen } from './DesktopScreen.js';
 import { AppHostScreen } from './AppHostScreen.js';
+import { LockScreen } from './LockScreen.js';
 
 export const Screens = {
     startup: StartupScreen,
     desktop: DesktopScreen,
-    app: AppHostScreen
+    app: AppHostScreen,
+    lock: LockScreen
 };
 
 // Attach to window namespace for compatibility/debugging
@@ -0,0 +1,71 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { Idle } from '../idle.js';
+
+function activity(type = 'pointerdown') {
+    document.dispatchEvent(new Event(type, { bubbles: true }));
+}
+
+describe('Idle', () => {
+    beforeEach(() => {
+        vi.useFakeTimers();
+        Idle._resetForTests();
+    });
+
+    afterEach(() => {
+        Idle._resetForTests();
+        vi.useRealTimers();
+    });
+
+    it('fires once after the timeout with no activity', () => {
+        const onIdle = vi.fn();
+        Idle.start({ timeoutMs: 1000, onIdle });
+
+        vi.advanceTimersByTime(999);
+        expect(onIdle).not.toHaveBeenCalled();
+        vi.advanceTimersByTime(1);
+        expect(onIdle).toHaveBeenCalledTimes(1);
+
+        vi.advanceTimersByTime(5000);
+        expect(onIdle).toHaveBeenCalledTimes(1);
+    });
+
+    it('counts again from the last activity', () => {
+        const onIdle = vi.fn();
+        Idle.start({ timeoutMs: 1000, onIdle });
+
+        vi.advanceTimersByTime(800);
+        activity('keydown');
+        vi.advanceTimersByTime(800);
+        activity('pointermove');
+        vi.advanceTimersByTime(999);
+        expect(onIdle).not.toHaveBeenCalled();
+        vi.advanceTimersByTime(1);
+        expect(onIdle).toHaveBeenCalledTimes(1);
+
+        // After firing, the next activity starts a new stretch.
+        activity('touchstart');
+        vi.advanceTimersByTime(1000);
+        expect(onIdle).toHaveBeenCalledTimes(2);
+    });
+
+    it('never fires with a timeout of 0, and follows configure()', () => {
+        const onIdle = vi.fn();
+        Idle.start({ timeoutMs: 0, onIdle });
+        vi.advanceTimersByTime(60000);
+        expect(onIdle).not.toHaveBeenCalled();
+
+        Idle.configure({ timeoutMs: 500 });
+        expect(Idle.getTimeout()).toBe(500);
+        vi.advanceTimersByTime(500);
+        expect(onIdle).toHaveBeenCalledTimes(1);
+    });
+
+    it('stops listening after stop()', () => {
+        const onIdle = vi.fn();
+        Idle.start({ timeoutMs: 1000, onIdle });
+        Idle.stop();
+        activity();
+        vi.advanceTimersByTime(5000);
+        expect(onIdle).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,122 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { ParentGate } from '../parent-gate.js';
+
+function gateEl() {
+    return document.getElementById('wos-parent-gate');
+}
+
+function pressKeys(text) {
+    text.split('').forEach((k) => {
+        gateEl().querySelector(`[data-wos-gate-key="${k}"]`).click();
+    });
+}
+
+function submit() {
+    gateEl().querySelector('[data-wos-gate-key="ok"]').click();
+}
+
+describe('ParentGate', () => {
+    beforeEach(() => {
+        document.body.innerHTML = '<div id="winnieos-canvas"></div>';
+        // Math.random() = 0 -> times-table challenge "3 × 6".
+        vi.spyOn(Math, 'random').mockReturnValue(0);
+    });
+
+    afterEach(() => {
+        ParentGate._resetForTests();
+        vi.restoreAllMocks();
+    });
+
+    it('resolves only after the correct answer', async () => {
+        const onPass = vi.fn();
+        const gate = ParentGate.request({ reason: 'Change apps' }).then(onPass);
+
+        expect(gateEl().querySelector('[data-wos-gate-prompt]').textContent).toBe('3 × 6 = ?');
+        expect(gateEl().querySelector('[data-wos-gate-reason]').textContent).toBe('Change apps');
+
+        pressKeys('18');
+        await Promise.resolve();
+        expect(onPass).not.toHaveBeenCalled();
+
+        submit();
+        await gate;
+        expect(onPass).toHaveBeenCalledTimes(1);
+        expect(gateEl()).toBeNull();
+    });
+
+    // AppHostScreen pauses the running app while the gate covers it.
+    it('announces itself as an overlay while open', async () => {
+        const events = [];
+        const listener = (e) => events.push(e.detail);
+        document.addEventListener('winnieos:overlaychange', listener);
+
+        const gate = ParentGate.request();
+        pressKeys('18');
+        submit();
+        await gate;
+
+        document.removeEventListener('winnieos:overlaychange', listener);
+        expect(events).toEqual([{ id: 'parent-gate', open: true }, { id: 'parent-gate', open: false }]);
+    });
+
+    it('accepts physical keyboard digits and Enter', async () => {
+        const gate = ParentGate.request();
+        ['1', '8', 'Enter'].forEach((key) => {
+            document.dispatchEvent(new KeyboardEvent('keydown', { key, bubbles: true }));
+        });
+        await expect(gate).resolves.toBeUndefined();
+    });
+
+    it('rejects with a cancel error after three wrong answers', async () => {
+        const gate = ParentGate.request();
+        for (let i = 0; i < 3; i++) {
+            pressKeys('1');
+            submit();
+        }
+        const err = await gate.catch((e) => e);
+        expect(ParentGate.isCancel(err)).toBe(true);
+        expect(ParentGate.isOpen()).toBe(false);
+    });
+
+    it('guard() runs the action only when passed, and treats cancel as a no-op', async () => {
+        const action = vi.fn(() => 'done');
+
+        const cancelled = ParentGate.guard(action);
+        gateEl().querySelector('[data-wos-gate-close]').click();
+        await expect(cancelled).resolves.toBeUndefined();
+        expect(action).not.toHaveBeenCalled();
+
+        const passed = ParentGate.guard(action);
+        pressKeys('18');
+        submit();
+        await expect(passed).resolves.toBe('done');
+    });
+
+    it('shares one open gate between concurrent callers', () => {
+        const a = ParentGate.request();
+        const b = ParentGate.request();
+        expect(a).toBe(b);
+        expect(document.querySelectorAll('#wos-parent-gate')).toHaveLength(1);
+        a.catch(() => {});
+    });
+
+    it('attachHold fires only after a full press-and-hold', () => {
+        vi.useFakeTimers();
+        const btn = document.createElement('button');
+        const onHold = vi.fn();
+        const detach = ParentGate.attachHold(btn, onHold, { holdMs: 1000 });
+
+        btn.dispatchEvent(new Event('pointerdown'));
+        vi.advanceTimersByTime(500);
+        btn.dispatchEvent(new Event('pointerup'));
+        vi.advanceTimersByTime(1000);
+        expect(onHold).not.toHaveBeenCalled();
+
+        btn.dispatchEvent(new Event('pointerdown'));
+        vi.advanceTimersByTime(1000);
+        expect(onHold).toHaveBeenCalledTimes(1);
+
+        detach();
+        vi.useRealTimers();
+    });
+});
@@ -0,0 +1,88 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { Transitions } from '../transitions.js';
+
+function layerWith(html) {
+    const layer = document.createElement('div');
+    layer.className = 'wos-screen-layer';
+    layer.innerHTML = html;
+    return layer;
+}
+
+describe('Transitions', () => {
+    let content;
+
+    beforeEach(() => {
+        vi.useFakeTimers();
+        Transitions._resetForTests();
+        content = document.createElement('div');
+        document.body.appendChild(content);
+    });
+
+    afterEach(() => {
+        Transitions._resetForTests();
+        content.remove();
+        vi.useRealTimers();
+        vi.restoreAllMocks();
+    });
+
+    it('configure() keeps defaults for invalid values', () => {
+        Transitions.configure({ open: 'spin', close: 'zoom', durationMs: -5 });
+        expect(Transitions.getSettings()).toEqual({ open: 'zoom', close: 'zoom', durationMs: 280 });
+    });
+
+    it('animates an inert copy of the old screen and removes it afterwards', () => {
+        const old = layerWith('<button id="tile">Letters</button>');
+        content.appendChild(old);
+        const ghost = Transitions.capture(old);
+        old.remove();
+
+        const next = layerWith('<div>app</div>');
+        content.appendChild(next);
+        expect(Transitions.play({ ghost, layer: next, kind: 'close' })).toBe('fade');
+
+        expect(ghost.parentNode).toBe(content);
+        expect(ghost.inert).toBe(true);
+        expect(ghost.getAttribute('aria-hidden')).toBe('true');
+        expect(ghost.querySelector('[id]')).toBeNull();
+        expect(ghost.classList.contains('wos-transition-fade-out')).toBe(true);
+
+        vi.advanceTimersByTime(400);
+        expect(ghost.parentNode).toBeNull();
+    });
+
+    it('zooms the new screen out of the tapped spot when opening', () => {
+        const old = layerWith('<div>desktop</div>');
+        content.appendChild(old);
+        const ghost = Transitions.capture(old);
+        old.remove();
+
+        const next = layerWith('<div>app</div>');
+        content.appendChild(next);
+        Transitions.play({ ghost, layer: next, kind: 'open', origin: { x: 20, y: 70 } });
+
+        expect(content.firstChild).toBe(ghost); // under the incoming screen
+        expect(next.classList.contains('wos-transition-zoom-in')).toBe(true);
+        expect(next.style.transformOrigin).toBe('20% 70%');
+
+        Transitions.finish();
+        expect(next.classList.contains('wos-transition-zoom-in')).toBe(false);
+        expect(next.style.transformOrigin).toBe('');
+    });
+
+    it('switches instantly for reduced motion, "none" or a zero duration', () => {
+        const old = layerWith('<div>desktop</div>');
+        content.appendChild(old);
+
+        vi.stubGlobal('matchMedia', () => ({ matches: true }));
+        expect(Transitions.capture(old)).toBeNull();
+        vi.unstubAllGlobals();
+
+        Transitions.configure({ durationMs: 0 });
+        expect(Transitions.capture(old)).toBeNull();
+
+        Transitions.configure({ open: 'none' });
+        const ghost = Transitions.capture(old);
+        expect(Transitions.play({ ghost, layer: old, kind: 'open' })).toBe('none');
+        expect(ghost.parentNode).toBeNull();
+    });
+});
@@ -0,0 +1,132 @@
+/**
+ * WinnieOS Idle Tracker
+ *
+ * Calls back once nobody has touched the laptop for a while: no pointer, touch,
+ * wheel or key activity for `timeoutMs`. The Shell uses it to lock the screen
+ * (config `display.lock.idleMinutes`, see config/default.json).
+ *
+ * Activity only stamps a time; a single timer checks the stamp when it fires
+ * and re-arms for what's left, so a wiggling mouse costs nothing. After firing
+ * it waits for the next activity before counting again.
+ *
+ * Usage (Shell):
+ *   Idle.start({ timeoutMs: 10 * 60 * 1000, onIdle: () => Navigation.lock() });
+ *   Idle.configure({ timeoutMs: 0 });   // 0 = never
+ */
+
+const ACTIVITY_EVENTS = ['pointerdown', 'pointermove', 'keydown', 'touchstart', 'wheel'];
+
+let timeoutMs = 0;
+let onIdle = null;
+let lastActivity = 0;
+let timer = null;
+let listening = false;
+let fired = false;
+
+function clearTimer() {
+    if (timer !== null) clearTimeout(timer);
+    timer = null;
+}
+
+function arm(ms) {
+    clearTimer();
+    if (!listening || timeoutMs <= 0 || fired) return;
+    timer = setTimeout(check, Math.max(0, ms));
+}
+
+function check() {
+    timer = null;
+    const left = timeoutMs - (Date.now() - lastActivity);
+    if (left > 0) {
+        arm(left);
+        return;
+    }
+    fired = true;
+    if (typeof onIdle === 'function') {
+        try { onIdle(); } catch (_) { /* ignore */ }
+    }
+}
+
+function onActivity() {
+    lastActivity = Date.now();
+    if (fired) {
+        fired = false;
+        arm(timeoutMs);
+    } else if (timer === null) {
+        arm(timeoutMs);
+    }
+}
+
+export const Idle = {
+    /**
+     * Start watching for activity
+     * @param {object} options - Options
+     * @param {number} options.timeoutMs - Idle time before onIdle (0 = never)
+     * @param {Function} options.onIdle - Called once per idle stretch
+     */
+    start: function(options) {
+        const opts = options || {};
+        onIdle = typeof opts.onIdle === 'function' ? opts.onIdle : null;
+        if (!listening) {
+            listening = true;
+            ACTIVITY_EVENTS.forEach((type) => {
+                document.addEventListener(type, onActivity, { capture: true, passive: true });
+            });
+        }
+        Idle.configure({ timeoutMs: opts.timeoutMs });
+    },
+
+    /**
+     * Change the idle time; the count starts over
+     * @param {object} options - Options
+     * @param {number} options.timeoutMs - Idle time before onIdle (0 = never)
+     */
+    configure: function(options) {
+        const ms = options && Number(options.timeoutMs);
+        timeoutMs = Number.isFinite(ms) && ms > 0 ? ms : 0;
+        lastActivity = Date.now();
+        fired = false;
+        arm(timeoutMs);
+    },
+
+    /**
+     * Count as activity (e.g. after unlocking, so the lock doesn't come straight back)
+     */
+    reset: function() {
+        onActivity();
+    },
+
+    stop: function() {
+        clearTimer();
+        if (listening) {
+            ACTIVITY_EVENTS.forEach((type) => {
+                document.removeEventListener(type, onActivity, { capture: true });
+            });
+        }
+        listening = false;
+        onIdle = null;
+    },
+
+    /**
+     * @returns {number} Current idle time in ms (0 = never)
+     */
+    getTimeout: function() {
+        return timeoutMs;
+    },
+
+    /**
+     * For development/testing only.
+     */
+    _resetForTests: function() {
+        Idle.stop();
+        timeoutMs = 0;
+        lastActivity = 0;
+        fired = false;
+    }
+};
+
+// Attach to window namespace for compatibility/debugging
+if (typeof window !== 'undefined') {
+    window.WinnieOS = window.WinnieOS || {};
+    window.WinnieOS.Idle = Idle;
+}
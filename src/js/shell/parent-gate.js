@@ -0,0 +1,310 @@
+/**
+ * WinnieOS Parent Gate
+ *
+ * Guards grown-up-only actions (changing enabled apps, clearing data, resolution
+ * changes, profile management) behind a challenge a young child can't pass:
+ * a times-table question or a number spelled out in words ("forty-seven"),
+ * answered on a number pad. A wrong answer swaps in a fresh challenge, so
+ * guessing doesn't converge; three wrong answers close the gate.
+ *
+ * Usage:
+ *   import { ParentGate } from '../shell/parent-gate.js';
+ *
+ *   // Resolves only when a grown-up passes; rejects (ParentGate.isCancel(err)) otherwise.
+ *   await ParentGate.request({ reason: 'Reset Notepad' });
+ *
+ *   // Or let the gate swallow cancellation: runs the action only after a pass.
+ *   ParentGate.guard(() => Storage.forApp('notepad').clear(), { reason: 'Reset Notepad' });
+ *
+ *   // Hidden entry points: press-and-hold an element, then challenge.
+ *   const detach = ParentGate.attachHold(cornerEl, () => ParentGate.guard(openPanel));
+ */
+
+const DEFAULT_HOLD_MS = 1500;
+const MAX_WRONG_ANSWERS = 3;
+const MAX_ANSWER_DIGITS = 3;
+const CANCEL_NAME = 'ParentGateCancelled';
+
+const ONES = ['', 'one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine',
+    'ten', 'eleven', 'twelve', 'thirteen', 'fourteen', 'fifteen', 'sixteen', 'seventeen', 'eighteen', 'nineteen'];
+const TENS = ['', '', 'twenty', 'thirty', 'forty', 'fifty', 'sixty', 'seventy', 'eighty', 'ninety'];
+
+let overlayEl = null;
+let pending = null; // { promise, resolve, reject }
+let challenge = null;
+let entry = '';
+let wrongAnswers = 0;
+let keyListener = null;
+
+function randomInt(min, max) {
+    return min + Math.floor(Math.random() * (max - min + 1));
+}
+
+function spellNumber(n) {
+    if (n < 20) return ONES[n];
+    const tens = TENS[Math.floor(n / 10)];
+    return n % 10 ? `${tens}-${ONES[n % 10]}` : tens;
+}
+
+/**
+ * Pick a challenge: needs times tables or reading, neither of which a preschooler has.
+ * @returns {{prompt: string, answer: string}}
+ */
+function createChallenge() {
+    if (Math.random() < 0.5) {
+        const a = randomInt(3, 9);
+        const b = randomInt(6, 9);
+        return { prompt: `${a} × ${b} = ?`, answer: String(a * b) };
+    }
+    const n = randomInt(21, 99);
+    return { prompt: `Type the number “${spellNumber(n)}”`, answer: String(n) };
+}
+
+function cancelError(reason) {
+    const err = new Error(`Parent gate ${reason}`);
+    err.name = CANCEL_NAME;
+    return err;
+}
+
+// Lets the app host pause whatever is running underneath (see AppHostScreen).
+function announce(open) {
+    try {
+        document.dispatchEvent(new CustomEvent('winnieos:overlaychange', { detail: { id: 'parent-gate', open } }));
+    } catch (_) {
+        // ignore
+    }
+}
+
+function getHost() {
+    return document.getElementById('winnieos-canvas') || document.body;
+}
+
+function render(message) {
+    if (!overlayEl || !challenge) return;
+    overlayEl.querySelector('[data-wos-gate-prompt]').textContent = challenge.prompt;
+    overlayEl.querySelector('[data-wos-gate-entry]').textContent = entry || '\u00a0';
+    overlayEl.querySelector('[data-wos-gate-message]').textContent = message || '';
+}
+
+function nextChallenge(message) {
+    challenge = createChallenge();
+    entry = '';
+    render(message);
+}
+
+function close() {
+    if (keyListener) {
+        document.removeEventListener('keydown', keyListener, true);
+        keyListener = null;
+    }
+    const wasOpen = !!overlayEl;
+    if (overlayEl && overlayEl.parentNode) {
+        try { overlayEl.parentNode.removeChild(overlayEl); } catch (_) { /* ignore */ }
+    }
+    overlayEl = null;
+    if (wasOpen) announce(false);
+    challenge = null;
+    entry = '';
+    wrongAnswers = 0;
+    const settled = pending;
+    pending = null;
+    return settled;
+}
+
+function pass() {
+    const settled = close();
+    if (settled) settled.resolve();
+}
+
+function cancel(reason) {
+    const settled = close();
+    if (settled) settled.reject(cancelError(reason));
+}
+
+function submit() {
+    if (!challenge || !entry) return;
+    if (entry === challenge.answer) {
+        pass();
+        return;
+    }
+    wrongAnswers++;
+    if (wrongAnswers >= MAX_WRONG_ANSWERS) {
+        cancel('failed');
+        return;
+    }
+    nextChallenge('Not quite — try this one');
+}
+
+function press(key) {
+    if (!challenge) return;
+    if (key === 'back') {
+        entry = entry.slice(0, -1);
+    } else if (key === 'ok') {
+        submit();
+        return;
+    } else if (/^[0-9]$/.test(key) && entry.length < MAX_ANSWER_DIGITS) {
+        entry += key;
+    }
+    render(overlayEl.querySelector('[data-wos-gate-message]').textContent);
+}
+
+function open(reason) {
+    overlayEl = document.createElement('div');
+    overlayEl.id = 'wos-parent-gate';
+    overlayEl.setAttribute('role', 'dialog');
+    overlayEl.setAttribute('aria-modal', 'true');
+    overlayEl.setAttribute('aria-label', 'Grown-ups only');
+    const keys = ['1', '2', '3', '4', '5', '6', '7', '8', '9', 'back', '0', 'ok'];
+    overlayEl.innerHTML = `
+        <div class="wos-gate-card">
+            <button class="wos-gate-close" type="button" data-wos-gate-close aria-label="Cancel">✕</button>
+            <div class="wos-gate-title">Grown-ups only</div>
+            <div class="wos-gate-reason" data-wos-gate-reason></div>
+            <div class="wos-gate-prompt" data-wos-gate-prompt></div>
+            <div class="wos-gate-entry" data-wos-gate-entry aria-live="polite"></div>
+            <div class="wos-gate-message" data-wos-gate-message></div>
+            <div class="wos-gate-pad">
+                ${keys.map((k) => `
+                    <button class="wos-gate-key${k === 'ok' ? ' is-primary' : ''}" type="button" data-wos-gate-key="${k}">${k === 'back' ? '⌫' : k === 'ok' ? 'OK' : k}</button>
+                `).join('')}
+            </div>
+        </div>
+    `;
+    overlayEl.querySelector('[data-wos-gate-reason]').textContent = reason || '';
+    overlayEl.querySelector('[data-wos-gate-close]').addEventListener('click', () => cancel('cancelled'));
+    overlayEl.querySelectorAll('[data-wos-gate-key]').forEach((btn) => {
+        btn.addEventListener('click', () => press(btn.getAttribute('data-wos-gate-key')));
+    });
+    getHost().appendChild(overlayEl);
+
+    // Capture phase: while the gate is up, keys never reach the app underneath.
+    keyListener = (e) => {
+        if (e.key === 'Escape') {
+            cancel('cancelled');
+        } else if (e.key === 'Enter') {
+            press('ok');
+        } else if (e.key === 'Backspace') {
+            press('back');
+        } else if (/^[0-9]$/.test(e.key)) {
+            press(e.key);
+        } else {
+            return;
+        }
+        e.preventDefault();
+        e.stopPropagation();
+    };
+    document.addEventListener('keydown', keyListener, true);
+
+    nextChallenge('');
+    announce(true);
+}
+
+export const ParentGate = {
+    /**
+     * Show the challenge. Only one gate is open at a time; concurrent callers share it.
+     * @param {object} [options] - Options
+     * @param {string} [options.reason] - What the grown-up is unlocking (shown under the title)
+     * @returns {Promise<void>} Resolves when passed; rejects with a cancel error otherwise
+     */
+    request: function(options) {
+        if (pending) return pending.promise;
+        let resolve;
+        let reject;
+        const promise = new Promise((res, rej) => { resolve = res; reject = rej; });
+        pending = { promise, resolve, reject };
+        open(options && options.reason);
+        return promise;
+    },
+
+    /**
+     * Run an action only after the gate is passed. Cancelling is not an error here.
+     * @param {Function} action - Grown-up-only action
+     * @param {object} [options] - Same as request()
+     * @returns {Promise<*>} The action's result, or undefined if the gate was not passed
+     */
+    guard: async function(action, options) {
+        try {
+            await ParentGate.request(options);
+        } catch (err) {
+            if (ParentGate.isCancel(err)) return undefined;
+            throw err;
+        }
+        return action();
+    },
+
+    /**
+     * @param {*} err - Rejection reason from request()
+     * @returns {boolean} True if the gate was cancelled or failed (not a real error)
+     */
+    isCancel: function(err) {
+        return !!err && err.name === CANCEL_NAME;
+    },
+
+    /**
+     * @returns {boolean} True while the challenge is on screen
+     */
+    isOpen: function() {
+        return !!pending;
+    },
+
+    /**
+     * Call onHold after the element is pressed and held (a hidden grown-up entry point).
+     * @param {HTMLElement} el - Element to hold
+     * @param {Function} onHold - Called once per completed hold
+     * @param {object} [options] - Options
+     * @param {number} [options.holdMs] - Hold duration (default 1500)
+     * @returns {Function} Detach function
+     */
+    attachHold: function(el, onHold, options) {
+        const holdMs = options && Number.isFinite(options.holdMs) ? options.holdMs : DEFAULT_HOLD_MS;
+        let timer = null;
+        let fired = false;
+        const cancelHold = () => {
+            if (timer) clearTimeout(timer);
+            timer = null;
+        };
+        const onDown = () => {
+            cancelHold();
+            fired = false;
+            timer = setTimeout(() => {
+                timer = null;
+                fired = true;
+                try { onHold(); } catch (err) { console.error('ParentGate: hold handler failed', err); }
+            }, holdMs);
+        };
+        // A completed hold shouldn't also count as a normal click on the element.
+        const onClick = (e) => {
+            if (!fired) return;
+            fired = false;
+            e.preventDefault();
+            e.stopImmediatePropagation();
+        };
+        const onContextMenu = (e) => e.preventDefault();
+        const endEvents = ['pointerup', 'pointerleave', 'pointercancel'];
+
+        el.addEventListener('pointerdown', onDown);
+        endEvents.forEach((type) => el.addEventListener(type, cancelHold));
+        el.addEventListener('click', onClick, true);
+        el.addEventListener('contextmenu', onContextMenu);
+        return function detach() {
+            cancelHold();
+            el.removeEventListener('pointerdown', onDown);
+            endEvents.forEach((type) => el.removeEventListener(type, cancelHold));
+            el.removeEventListener('click', onClick, true);
+            el.removeEventListener('contextmenu', onContextMenu);
+        };
+    },
+
+    /**
+     * For development/testing only.
+     */
+    _resetForTests: function() {
+        close();
+    }
+};
+
+// Attach to window namespace for compatibility/debugging
+if (typeof window !== 'undefined') {
+    window.WinnieOS = window.WinnieOS || {};
+    window.WinnieOS.ParentGate = ParentGate;
+}
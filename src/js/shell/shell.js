@@ -2,14 +2,39 @@
  * WinnieOS Shell
  *
  * Always-mounted UI chrome + screen host.
- * - Top-left Home button (returns to desktop)
- * - Mounts exactly one screen at a time into content host
+ * - Top-left Home button (returns to desktop; press-and-hold + parent gate opens Settings)
+ * - Back button next to it (and Escape) when the navigation stack has somewhere to go
+ *   other than the desktop (an app's sub-page, or the app Settings was opened from)
+ * - Mounts exactly one screen at a time into content host, each in its own layer,
+ *   with an animated hand-over (see transitions.js)
+ * - Shows a grown-up-facing "saving is full" indicator when Storage runs out of room,
+ *   and reports the quota level to the server log (shown in /winnieos-debug.json)
+ * - Keeps `location.hash` in sync with Navigation (deep links, see nav/hash-sync.js)
+ * - Locks the screen after a stretch of no activity (config `display.lock.idleMinutes`,
+ *   see idle.js): the lock screen goes on top, in its own layer, while the screen
+ *   underneath stays mounted and its app paused
+ * - Reports screen changes and uncaught errors to the server log (ClientLog)
  */
 
 import { Navigation } from '../nav/navigation.js';
+import { HashSync } from '../nav/hash-sync.js';
 import { Apps } from '../apps/index.js';
 import { Screens } from '../screens/index.js';
 import { Audio } from '../utils/audio.js';
+import { Storage } from '../utils/storage.js';
+import { ClientLog } from '../utils/client-log.js';
+import { ParentGate } from './parent-gate.js';
+import { Transitions } from './transitions.js';
+import { Idle } from './idle.js';
+import { RuntimeConfig } from '../core/config.js';
+
+const SETTINGS_APP_ID = 'settings';
+// A tap this recent is what opened the app (zoom origin); older ones are stale.
+const TAP_ORIGIN_MAX_AGE_MS = 1000;
+// How many of the biggest Storage keys go into a quota report (/winnieos-debug.json).
+const QUOTA_REPORT_KEYS = 8;
+// Used until config arrives, and when it can't (offline, static host).
+const DEFAULT_LOCK_IDLE_MINUTES = 10;
 
 let initialized = false;
 let unsubscribe = null;
@@ -17,7 +42,22 @@ let shellEl = null;
 let contentEl = null;
 let activeScreen = null;
 let activeKey = null;
+let activeLayer = null;
+let lastTap = null; // { x, y, at }: % of the content area
+const launchOrigins = new Map(); // appId -> { x, y }, so closing can zoom back into the tile
+let tapListener = null;
+let shellConfigListener = null;
+let lockLayer = null;
+const openOverlays = new Set(); // ids of other shell overlays (parent gate, ...)
+let overlayListener = null;
 let unlockGesturesInstalled = false;
+let storageWarningEl = null;
+let quotaListener = null;
+let detachSettingsHold = null;
+let backBtnEl = null;
+let backKeyListener = null;
+// `#/app/letters?quick`: boot without the animation or the profile picker.
+let quickBoot = false;
 
 function playAfterUnlock(fn) {
     try {
@@ -33,6 +73,24 @@ function playAfterUnlock(fn) {
     } catch (_) { /* ignore */ }
 }
 
+// Back never does Home's job: from an app's first page Back stays hidden and
+// Escape does nothing, so a key-mashing toddler can't leave a game by accident.
+function canGoBackInPlace() {
+    if (Navigation.isLocked()) return false;
+    const prev = Navigation.peekBack();
+    return !!prev && prev.screen === 'app';
+}
+
+function goBack() {
+    if (!canGoBackInPlace()) return false;
+    playAfterUnlock(() => Audio.tick());
+    return Navigation.pop();
+}
+
+function syncBackButton() {
+    if (backBtnEl) backBtnEl.hidden = !canGoBackInPlace();
+}
+
 function getCanvas() {
     return document.getElementById('winnieos-canvas');
 }
@@ -77,6 +135,8 @@ function ensureDom() {
             // Home feels like "close app" when you’re inside an app, otherwise a small tap.
             try {
                 const st = Navigation && typeof Navigation.getState === 'function' ? Navigation.getState() : null;
+                // On the desktop the button is invisible (only there for the Settings hold): stay quiet.
+                if (st && st.screen === 'desktop') return;
                 if (st && st.screen === 'app') {
                     playAfterUnlock(() => Audio.poof(0.60));
                 } else {
@@ -86,9 +146,29 @@ function ensureDom() {
 
             Navigation.goHome();
         });
+        // Secret grown-up entry: hold Home, pass the gate, land in Settings.
+        detachSettingsHold = ParentGate.attachHold(homeBtn, () => {
+            ParentGate.guard(() => Navigation.openApp(SETTINGS_APP_ID), { reason: 'Open Settings' });
+        });
         topbar.appendChild(homeBtn);
     }
 
+    backBtnEl = shellEl.querySelector('#wos-back-btn');
+    if (!backBtnEl) {
+        backBtnEl = document.createElement('button');
+        backBtnEl.id = 'wos-back-btn';
+        backBtnEl.type = 'button';
+        backBtnEl.hidden = true;
+        backBtnEl.setAttribute('aria-label', 'Back');
+        backBtnEl.innerHTML = `
+            <svg class="wos-home-icon" aria-hidden="true" viewBox="0 0 24 24" focusable="false">
+                <path fill="currentColor" d="M20 11H7.8l5.6-5.6L12 4l-8 8 8 8 1.4-1.4L7.8 13H20v-2Z"/>
+            </svg>
+        `;
+        backBtnEl.addEventListener('click', goBack);
+        topbar.appendChild(backBtnEl);
+    }
+
     contentEl = shellEl.querySelector('#wos-content');
     if (!contentEl) {
         contentEl = document.createElement('div');
@@ -96,29 +176,159 @@ function ensureDom() {
         shellEl.appendChild(contentEl);
     }
 
+    storageWarningEl = shellEl.querySelector('#wos-storage-warning');
+    if (!storageWarningEl) {
+        storageWarningEl = document.createElement('div');
+        storageWarningEl.id = 'wos-storage-warning';
+        storageWarningEl.setAttribute('role', 'status');
+        storageWarningEl.hidden = true;
+        storageWarningEl.innerHTML = `
+            <span class="wos-storage-warning-icon" aria-hidden="true">💾</span>
+            <span class="wos-storage-warning-text">Saving is full — ask a grown-up</span>
+        `;
+        shellEl.appendChild(storageWarningEl);
+    }
+
     return true;
 }
 
+function applyQuotaLevel(level) {
+    if (!storageWarningEl) return;
+    // Only 'full' is shown to the child: 'warning' is for the parent diagnostics, not a worry for her.
+    storageWarningEl.hidden = level !== 'full';
+}
+
+// Tell the server where the browser's storage quota stands, for /winnieos-debug.json.
+function reportQuota(level, key) {
+    try {
+        const usage = Storage.usage();
+        const largestKeys = {};
+        Object.keys(usage.keys)
+            .sort((a, b) => usage.keys[b] - usage.keys[a])
+            .slice(0, QUOTA_REPORT_KEYS)
+            .forEach((k) => { largestKeys[k] = usage.keys[k]; });
+        ClientLog.event('storage-quota', level, {
+            totalBytes: usage.totalBytes,
+            quotaBytes: usage.quotaBytes,
+            key: key || null,
+            largestKeys
+        });
+    } catch (_) { /* ignore */ }
+}
+
 function unmountActive() {
     if (activeScreen && typeof activeScreen.unmount === 'function') {
         try { activeScreen.unmount(); } catch (_) { /* ignore */ }
     }
     activeScreen = null;
+    if (activeLayer && activeLayer.parentNode) {
+        try { activeLayer.parentNode.removeChild(activeLayer); } catch (_) { /* ignore */ }
+    }
+    activeLayer = null;
+}
+
+// Remember where the last tap landed (centre of the button it hit), as % of the content area.
+function recordTap(e) {
+    if (!contentEl) return;
+    const area = contentEl.getBoundingClientRect();
+    if (!area.width || !area.height) return;
+    const target = e.target && typeof e.target.closest === 'function' ? e.target.closest('button') : null;
+    const rect = target ? target.getBoundingClientRect() : null;
+    const x = rect ? rect.left + rect.width / 2 : e.clientX;
+    const y = rect ? rect.top + rect.height / 2 : e.clientY;
+    lastTap = {
+        x: Math.round(((x - area.left) / area.width) * 100),
+        y: Math.round(((y - area.top) / area.height) * 100),
+        at: Date.now()
+    };
+}
+
+function transitionFor(prevKey, nextKey, appId) {
+    if (prevKey === 'desktop' && nextKey.startsWith('app:')) {
+        const fresh = lastTap && Date.now() - lastTap.at <= TAP_ORIGIN_MAX_AGE_MS;
+        const origin = fresh ? { x: lastTap.x, y: lastTap.y } : null;
+        if (origin) launchOrigins.set(appId, origin);
+        else launchOrigins.delete(appId);
+        return { kind: 'open', origin };
+    }
+    if (prevKey && prevKey.startsWith('app:') && nextKey === 'desktop') {
+        return { kind: 'close', origin: launchOrigins.get(prevKey.slice(4)) || null };
+    }
+    return { kind: 'change', origin: null };
+}
+
+function lockIdleMs(lock) {
+    const minutes = lock && Number.isInteger(lock.idleMinutes) && lock.idleMinutes >= 0
+        ? lock.idleMinutes
+        : DEFAULT_LOCK_IDLE_MINUTES;
+    return minutes * 60 * 1000;
+}
+
+function applyShellConfig() {
+    RuntimeConfig.load().then((cfg) => {
+        const display = cfg && cfg.display ? cfg.display : null;
+        Transitions.configure(display ? display.transitions : null);
+        const idleMs = lockIdleMs(display ? display.lock : null);
+        if (idleMs !== Idle.getTimeout()) Idle.configure({ timeoutMs: idleMs });
+    }).catch(() => {});
+}
+
+// Only lock over the desktop or an app, and not over a grown-up dialog.
+function lockIfIdle() {
+    const st = Navigation.getState();
+    if (st.screen !== 'desktop' && st.screen !== 'app') return;
+    if (openOverlays.size > 0) return;
+    Navigation.lock();
+}
+
+function showLock() {
+    if (lockLayer || !shellEl) return;
+    ClientLog.event('navigation', `${activeKey || 'none'} -> lock`);
+    lockLayer = document.createElement('div');
+    lockLayer.className = 'wos-lock-layer';
+    shellEl.appendChild(lockLayer);
+    try {
+        Screens.lock.mount({ root: lockLayer, nav: Navigation });
+    } catch (err) {
+        console.error('Shell: Error mounting lock screen', err);
+    }
+}
+
+function hideLock(nextKey) {
+    if (!lockLayer) return;
+    try { Screens.lock.unmount(); } catch (_) { /* ignore */ }
+    if (lockLayer.parentNode) {
+        try { lockLayer.parentNode.removeChild(lockLayer); } catch (_) { /* ignore */ }
+    }
+    lockLayer = null;
+    ClientLog.event('navigation', `lock -> ${nextKey}`);
+    // Start the idle count over from the wake-up taps.
+    Idle.reset();
 }
 
 async function mountForState(state) {
     if (!contentEl || !shellEl) return;
     const screenName = state && state.screen ? state.screen : 'desktop';
+    // The lock covers the active screen instead of replacing it.
+    if (screenName === 'lock') {
+        showLock();
+        return;
+    }
     shellEl.dataset.screen = screenName;
 
     const next = Screens[screenName] || Screens.desktop;
     const nextKey = screenName === 'app'
         ? `app:${String(state && state.appId || '')}`
         : screenName;
+    hideLock(nextKey);
     if (activeScreen === next && activeKey === nextKey) return;
 
     const prevKey = activeKey;
+    // The old screen is fully unmounted (cleanup runs now); only an inert copy animates out.
+    const ghost = Transitions.capture(activeLayer);
     unmountActive();
+    ClientLog.event('navigation', `${prevKey || 'none'} -> ${nextKey}`);
+    ClientLog.setContext({ screen: nextKey });
 
     // Navigation SFX (only for automatic transitions; button/app-launch sounds live at the source action).
     try {
@@ -129,14 +339,21 @@ async function mountForState(state) {
 
     activeScreen = next;
     activeKey = nextKey;
+    activeLayer = document.createElement('div');
+    activeLayer.className = 'wos-screen-layer';
+    contentEl.appendChild(activeLayer);
+    const transition = transitionFor(prevKey, nextKey, state && state.appId);
     if (activeScreen && typeof activeScreen.mount === 'function') {
         try {
             const mountResult = activeScreen.mount({
-                root: contentEl,
+                root: activeLayer,
                 nav: Navigation,
                 apps: Apps,
-                appId: state && state.appId
+                appId: state && state.appId,
+                quickBoot
             });
+            // Play over the incoming screen's first frame (e.g. the app's loading card).
+            Transitions.play({ ghost, layer: activeLayer, kind: transition.kind, origin: transition.origin });
             // Handle async mount if it returns a promise
             if (mountResult && typeof mountResult.then === 'function') {
                 await mountResult;
@@ -153,6 +370,23 @@ export const Shell = {
         if (!ensureDom()) return;
         initialized = true;
 
+        ClientLog.init();
+
+        // Transition styles and the lock's idle time come from config and follow live changes.
+        Idle.start({ timeoutMs: lockIdleMs(null), onIdle: lockIfIdle });
+        applyShellConfig();
+        shellConfigListener = () => applyShellConfig();
+        document.addEventListener('winnieos:configchange', shellConfigListener);
+        overlayListener = (e) => {
+            const detail = (e && e.detail) || {};
+            if (!detail.id || detail.id === 'lock') return;
+            if (detail.open) openOverlays.add(detail.id);
+            else openOverlays.delete(detail.id);
+        };
+        document.addEventListener('winnieos:overlaychange', overlayListener);
+        tapListener = recordTap;
+        contentEl.addEventListener('pointerdown', tapListener, true);
+
         // Prepare audio graph early; actual output unlock happens on first user gesture.
         try { Audio.ensure(); } catch (_) { /* ignore */ }
         if (!unlockGesturesInstalled && typeof document !== 'undefined') {
@@ -172,10 +406,37 @@ export const Shell = {
             }
         }
 
-        // Start navigation and mount initial screen
+        // Storage quota indicator (Storage dispatches on level changes only).
+        quotaListener = (e) => {
+            const detail = (e && e.detail) || {};
+            applyQuotaLevel(detail.level || 'ok');
+            reportQuota(detail.level || 'ok', detail.key);
+        };
+        document.addEventListener('winnieos:storagequota', quotaListener);
+        try {
+            applyQuotaLevel(Storage.getQuotaLevel());
+            reportQuota(Storage.getQuotaLevel(), null);
+        } catch (_) { /* ignore */ }
+
+        // Start navigation and mount initial screen. A deep link still boots through
+        // startup (Storage hydration, profile), then HashSync opens the linked screen.
+        const link = HashSync.readInitialLink();
+        quickBoot = !!(link && link.quick);
         Navigation.init({ initialState: { screen: 'startup' } });
-        unsubscribe = Navigation.subscribe(mountForState);
+        unsubscribe = Navigation.subscribe((next) => {
+            syncBackButton();
+            mountForState(next);
+        });
+        HashSync.init(Navigation, Apps);
+        syncBackButton();
         mountForState(Navigation.getState());
+
+        // Bubble phase: an app (or the parent gate, in capture) that handles Escape itself wins.
+        backKeyListener = (e) => {
+            if (e.key !== 'Escape' || e.defaultPrevented) return;
+            if (goBack()) e.preventDefault();
+        };
+        document.addEventListener('keydown', backKeyListener);
     },
 
     /**
@@ -186,6 +447,36 @@ export const Shell = {
             try { unsubscribe(); } catch (_) { /* ignore */ }
         }
         unsubscribe = null;
+        if (quotaListener) {
+            document.removeEventListener('winnieos:storagequota', quotaListener);
+        }
+        quotaListener = null;
+        if (detachSettingsHold) detachSettingsHold();
+        detachSettingsHold = null;
+        if (backKeyListener) {
+            document.removeEventListener('keydown', backKeyListener);
+        }
+        backKeyListener = null;
+        backBtnEl = null;
+        HashSync._resetForTests();
+        quickBoot = false;
+        if (shellConfigListener) {
+            document.removeEventListener('winnieos:configchange', shellConfigListener);
+        }
+        shellConfigListener = null;
+        if (overlayListener) {
+            document.removeEventListener('winnieos:overlaychange', overlayListener);
+        }
+        overlayListener = null;
+        openOverlays.clear();
+        Idle._resetForTests();
+        hideLock('none');
+        if (tapListener && contentEl) contentEl.removeEventListener('pointerdown', tapListener, true);
+        tapListener = null;
+        lastTap = null;
+        launchOrigins.clear();
+        Transitions._resetForTests();
+        storageWarningEl = null;
         unmountActive();
         initialized = false;
         shellEl = null;
@@ -0,0 +1,176 @@
+/**
+ * WinnieOS Screen Transitions
+ *
+ * Animates screen changes for the Shell without ever having two live screens.
+ * Screens are singletons with one set of state (AppHostScreen hosts one app), so the
+ * outgoing screen is always unmounted before the next one mounts. What animates out
+ * is a ghost: an inert copy of its DOM (canvases copied as pictures) that is removed
+ * when the animation ends.
+ *
+ * Styles (config `display.transitions`, see config/default.json):
+ * - open  (desktop -> app): 'zoom' grows the app out of the tapped tile, 'fade' cross-fades
+ * - close (app -> desktop): 'fade' fades the app away, 'zoom' shrinks it back into its tile
+ * - 'none' switches instantly. Every other change (startup -> desktop, app -> app) fades.
+ * Nothing animates when the OS asks for reduced motion (`prefers-reduced-motion`).
+ *
+ * Usage (Shell):
+ *   const ghost = Transitions.capture(layerEl);   // before unmounting the old screen
+ *   Transitions.play({ ghost, layer: newLayerEl, kind: 'open', origin: { x: 30, y: 60 } });
+ */
+
+const STYLES = ['zoom', 'fade', 'none'];
+const DEFAULTS = { open: 'zoom', close: 'fade', durationMs: 280 };
+const MAX_DURATION_MS = 2000;
+// Give animationend a little slack; we don't rely on it firing (hidden tabs, jsdom).
+const CLEANUP_SLACK_MS = 50;
+
+let settings = { ...DEFAULTS };
+let pending = null; // { timer, done }
+
+function prefersReducedMotion() {
+    try {
+        return typeof window.matchMedia === 'function' &&
+            window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+    } catch (_) {
+        return false;
+    }
+}
+
+function copyCanvases(from, to) {
+    const source = from.querySelectorAll('canvas');
+    const target = to.querySelectorAll('canvas');
+    source.forEach((canvas, i) => {
+        const copy = target[i];
+        if (!copy) return;
+        try {
+            copy.width = canvas.width;
+            copy.height = canvas.height;
+            copy.getContext('2d').drawImage(canvas, 0, 0);
+        } catch (_) {
+            // WebGL canvases without preserveDrawingBuffer (or jsdom) copy blank; fine.
+        }
+    });
+}
+
+/**
+ * Finish the running transition now (ghost removed, classes cleared).
+ */
+function finish() {
+    if (!pending) return;
+    const { timer, done } = pending;
+    pending = null;
+    clearTimeout(timer);
+    done();
+}
+
+function styleFor(kind) {
+    if (kind === 'open') return settings.open;
+    if (kind === 'close') return settings.close;
+    return 'fade';
+}
+
+export const Transitions = {
+    STYLES: STYLES.slice(),
+
+    /**
+     * Apply `display.transitions` from config; invalid values keep their defaults.
+     * @param {object} [options] - `{ open, close, durationMs }`
+     */
+    configure: function(options) {
+        const o = options && typeof options === 'object' ? options : {};
+        settings = {
+            open: STYLES.includes(o.open) ? o.open : DEFAULTS.open,
+            close: STYLES.includes(o.close) ? o.close : DEFAULTS.close,
+            durationMs: Number.isInteger(o.durationMs) && o.durationMs >= 0 && o.durationMs <= MAX_DURATION_MS
+                ? o.durationMs
+                : DEFAULTS.durationMs
+        };
+    },
+
+    /**
+     * @returns {{open: string, close: string, durationMs: number}}
+     */
+    getSettings: function() {
+        return { ...settings };
+    },
+
+    /**
+     * Copy a screen's layer so it can animate out after the real screen is unmounted.
+     * @param {HTMLElement|null} layer - Outgoing screen layer
+     * @returns {HTMLElement|null} Detached, inert ghost (null if nothing would animate)
+     */
+    capture: function(layer) {
+        finish();
+        if (!layer || settings.durationMs === 0 || prefersReducedMotion()) return null;
+        const ghost = layer.cloneNode(true);
+        copyCanvases(layer, ghost);
+        ghost.classList.add('wos-screen-ghost');
+        ghost.setAttribute('aria-hidden', 'true');
+        ghost.inert = true;
+        // No duplicate ids while both copies are in the document.
+        ghost.removeAttribute('id');
+        ghost.querySelectorAll('[id]').forEach((el) => el.removeAttribute('id'));
+        return ghost;
+    },
+
+    /**
+     * Animate from the ghost to the new screen's layer.
+     * @param {object} options - Options
+     * @param {HTMLElement|null} options.ghost - From capture() (already unmounted screen)
+     * @param {HTMLElement} options.layer - Incoming screen layer (already in the DOM)
+     * @param {'open'|'close'|'change'} options.kind - What kind of move this is
+     * @param {{x: number, y: number}|null} [options.origin] - Zoom origin in % of the content area
+     * @returns {string} Style played ('none' if it switched instantly)
+     */
+    play: function(options) {
+        finish();
+        const ghost = options && options.ghost;
+        const layer = options && options.layer;
+        const style = styleFor(options && options.kind);
+        if (!ghost || !layer || !layer.parentNode || style === 'none') return 'none';
+
+        const zoomIn = style === 'zoom' && options.kind === 'open';
+        const zoomOut = style === 'zoom' && options.kind === 'close';
+        const origin = options.origin || { x: 50, y: 50 };
+        const originCss = `${origin.x}% ${origin.y}%`;
+
+        // Opening zooms the new screen in over the old one; otherwise the old one leaves on top.
+        layer.parentNode.insertBefore(ghost, zoomIn ? layer : layer.nextSibling);
+        layer.style.setProperty('--wos-transition-ms', `${settings.durationMs}ms`);
+        ghost.style.setProperty('--wos-transition-ms', `${settings.durationMs}ms`);
+        if (zoomIn) {
+            layer.style.transformOrigin = originCss;
+            layer.classList.add('wos-transition-zoom-in');
+        } else if (zoomOut) {
+            ghost.style.transformOrigin = originCss;
+            ghost.classList.add('wos-transition-zoom-out');
+        } else {
+            ghost.classList.add('wos-transition-fade-out');
+        }
+
+        const done = () => {
+            if (ghost.parentNode) ghost.parentNode.removeChild(ghost);
+            layer.classList.remove('wos-transition-zoom-in');
+            layer.style.transformOrigin = '';
+            layer.style.removeProperty('--wos-transition-ms');
+        };
+        pending = { timer: setTimeout(finish, settings.durationMs + CLEANUP_SLACK_MS), done };
+        return style;
+    },
+
+    finish,
+
+    /**
+     * For development/testing only.
+     */
+    _resetForTests: function() {
+        finish();
+        settings = { ...DEFAULTS };
+    }
+};
+
+// Attach to window namespace for compatibility/debugging
+if (typeof window !== 'undefined') {
+    window.WinnieOS = window.WinnieOS || {};
+    window.WinnieOS.Transitions = Transitions;
+}
@@ -0,0 +1,76 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { Storage } from '../storage.js';
+import { AppUsage } from '../app-usage.js';
+
+describe('AppUsage', () => {
+    beforeEach(() => {
+        localStorage.clear();
+        Storage._resetForTests();
+        vi.useFakeTimers();
+        vi.setSystemTime(new Date('2026-03-01T10:00:00Z'));
+    });
+
+    afterEach(() => {
+        vi.useRealTimers();
+    });
+
+    it('counts launches and remembers the last one', () => {
+        AppUsage.recordLaunch('letters');
+        vi.setSystemTime(new Date('2026-03-01T10:05:00Z'));
+        const entry = AppUsage.recordLaunch('letters');
+
+        expect(entry).toEqual({ count: 2, lastAt: '2026-03-01T10:05:00.000Z' });
+        expect(AppUsage.get('letters')).toEqual(entry);
+        expect(AppUsage.get('colors')).toBeNull();
+    });
+
+    it('lists recent apps newest first', () => {
+        AppUsage.recordLaunch('letters');
+        vi.setSystemTime(new Date('2026-03-01T10:01:00Z'));
+        AppUsage.recordLaunch('colors');
+        vi.setSystemTime(new Date('2026-03-01T10:02:00Z'));
+        AppUsage.recordLaunch('slalom');
+        vi.setSystemTime(new Date('2026-03-01T10:03:00Z'));
+        AppUsage.recordLaunch('letters');
+
+        expect(AppUsage.recent()).toEqual(['letters', 'slalom', 'colors']);
+        expect(AppUsage.recent(2)).toEqual(['letters', 'slalom']);
+
+        AppUsage.clearRecent();
+        expect(AppUsage.recent()).toEqual([]);
+    });
+
+    // Each child gets their own row.
+    it('keeps history and favorites per profile', () => {
+        Storage.setProfile('p-a');
+        AppUsage.recordLaunch('letters');
+        AppUsage.setFavorite('slalom', true);
+
+        Storage.setProfile('p-b');
+        expect(AppUsage.recent()).toEqual([]);
+        expect(AppUsage.getFavorites()).toEqual([]);
+
+        Storage.setProfile('p-a');
+        expect(AppUsage.recent()).toEqual(['letters']);
+        expect(AppUsage.isFavorite('slalom')).toBe(true);
+    });
+
+    it('pins and unpins favorites in pin order', () => {
+        AppUsage.setFavorite('slalom', true);
+        AppUsage.setFavorite('colors', true);
+        AppUsage.setFavorite('slalom', true);
+        expect(AppUsage.getFavorites()).toEqual(['colors', 'slalom']);
+
+        AppUsage.setFavorite('colors', false);
+        expect(AppUsage.getFavorites()).toEqual(['slalom']);
+    });
+
+    it('ignores corrupt stored data', () => {
+        Storage.set('desktop.launches', { letters: { count: 'many' }, colors: { count: 1, lastAt: '2026-03-01T09:00:00Z' } });
+        Storage.set('desktop.favorites', 'slalom');
+
+        expect(AppUsage.recent()).toEqual(['colors']);
+        expect(AppUsage.getFavorites()).toEqual([]);
+        expect(AppUsage.recordLaunch('letters').count).toBe(1);
+    });
+});
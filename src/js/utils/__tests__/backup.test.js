@@ -0,0 +1,77 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { Storage } from '../storage.js';
+import { Backup } from '../backup.js';
+
+describe('Backup', () => {
+    let originalFetch;
+
+    beforeEach(() => {
+        localStorage.clear();
+        Storage._resetForTests();
+        originalFetch = globalThis.fetch;
+        globalThis.fetch = vi.fn(async () => ({
+            ok: true,
+            async json() { return { version: 'abc123' }; }
+        }));
+    });
+
+    afterEach(() => {
+        globalThis.fetch = originalFetch;
+    });
+
+    it('bundles every WinnieOS key with metadata', async () => {
+        Storage.set('apps.notepad.v1', { html: 'hi', color: '#111111' });
+        Storage.set('letters.score.v1', 4);
+        localStorage.setItem('foreign.key', 'not ours');
+
+        const bundle = await Backup.create();
+
+        expect(bundle.format).toBe('winnieos-backup');
+        expect(bundle.version).toBe(1);
+        expect(bundle.build).toBe('abc123');
+        expect(Number.isNaN(Date.parse(bundle.createdAt))).toBe(false);
+        expect(bundle.data).toEqual({
+            'apps.notepad.v1': { html: 'hi', color: '#111111' },
+            'letters.score.v1': 4
+        });
+        expect(Backup.validate(bundle).valid).toBe(true);
+    });
+
+    it('restore replaces current keys with the bundle data', async () => {
+        Storage.set('letters.score.v1', 4);
+        const bundle = await Backup.create();
+
+        Storage.set('letters.score.v1', 99);
+        Storage.set('added.later', true);
+
+        expect(Backup.restore(bundle)).toEqual({ ok: true, restored: 1, errors: [] });
+        expect(Storage.get('letters.score.v1')).toBe(4);
+        expect(Storage.has('added.later')).toBe(false);
+    });
+
+    // Validation happens BEFORE anything is cleared: a bad file must never wipe Winnie's data.
+    it('leaves current data untouched when the bundle is invalid', () => {
+        Storage.set('letters.score.v1', 4);
+
+        const result = Backup.restore({ format: 'winnieos-backup', version: 1, data: 'nope' });
+
+        expect(result.ok).toBe(false);
+        expect(result.errors.length).toBeGreaterThan(0);
+        expect(Storage.get('letters.score.v1')).toBe(4);
+    });
+
+    it('covers every profile, not just the active one', async () => {
+        Storage.setProfile('p-sam');
+        Storage.set('letters.score.v1', 1);
+        Storage.setProfile('p-winnie');
+        Storage.set('letters.score.v1', 4);
+
+        const bundle = await Backup.create();
+        expect(Object.keys(bundle.data).sort()).toEqual(['p-sam.letters.score.v1', 'p-winnie.letters.score.v1']);
+
+        Storage.clearAll();
+        expect(Backup.restore(bundle).restored).toBe(2);
+        Storage.setProfile('p-sam');
+        expect(Storage.get('letters.score.v1')).toBe(1);
+    });
+});
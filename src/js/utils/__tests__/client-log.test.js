@@ -0,0 +1,89 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { ClientLog } from '../client-log.js';
+
+function respond(status) {
+    return Promise.resolve({ ok: status >= 200 && status < 300, status });
+}
+
+function sentEvents(fetchMock, call = 0) {
+    return JSON.parse(fetchMock.mock.calls[call][1].body).events;
+}
+
+describe('ClientLog', () => {
+    let fetchMock;
+
+    beforeEach(() => {
+        vi.useFakeTimers();
+        ClientLog._resetForTests();
+        fetchMock = vi.fn(() => respond(202));
+        vi.stubGlobal('fetch', fetchMock);
+    });
+
+    afterEach(() => {
+        ClientLog._resetForTests();
+        vi.unstubAllGlobals();
+        vi.useRealTimers();
+    });
+
+    it('batches events and posts them after a short delay', async () => {
+        ClientLog.event('app-launch', 'letters', { ms: 120 });
+        ClientLog.error(new TypeError('x is undefined'), { appId: 'letters' });
+        expect(fetchMock).not.toHaveBeenCalled();
+
+        await vi.advanceTimersByTimeAsync(2000);
+
+        expect(fetchMock).toHaveBeenCalledTimes(1);
+        expect(fetchMock.mock.calls[0][0]).toMatch(/api\/client-log$/);
+        const events = sentEvents(fetchMock);
+        expect(events[0]).toMatchObject({ type: 'app-launch', message: 'letters', data: { ms: 120 } });
+        expect(events[1]).toMatchObject({ type: 'error', level: 'error', message: 'TypeError: x is undefined', data: { appId: 'letters' } });
+        expect(typeof events[1].data.stack).toBe('string');
+        expect(ClientLog.pendingCount()).toBe(0);
+    });
+
+    it('keeps events while the server is unreachable and sends them when back online', async () => {
+        fetchMock.mockImplementationOnce(() => Promise.reject(new TypeError('Failed to fetch')));
+        ClientLog.init();
+        ClientLog.event('navigation', 'desktop -> app:letters');
+
+        await vi.advanceTimersByTimeAsync(2000);
+        expect(ClientLog.pendingCount()).toBe(1);
+
+        window.dispatchEvent(new Event('online'));
+        await vi.advanceTimersByTimeAsync(0);
+        expect(fetchMock).toHaveBeenCalledTimes(2);
+        expect(ClientLog.pendingCount()).toBe(0);
+    });
+
+    it('does not send while the browser reports being offline', async () => {
+        const onLine = vi.spyOn(navigator, 'onLine', 'get').mockReturnValue(false);
+        ClientLog.event('navigation', 'startup -> desktop');
+        await vi.advanceTimersByTimeAsync(2000);
+        expect(fetchMock).not.toHaveBeenCalled();
+        expect(ClientLog.pendingCount()).toBe(1);
+        onLine.mockRestore();
+    });
+
+    it('goes quiet when there is no server (static hosting)', async () => {
+        fetchMock.mockImplementation(() => respond(404));
+        ClientLog.event('navigation', 'startup -> desktop');
+        await vi.advanceTimersByTimeAsync(2000);
+
+        ClientLog.event('navigation', 'desktop -> app:letters');
+        await vi.advanceTimersByTimeAsync(60000);
+        expect(fetchMock).toHaveBeenCalledTimes(1);
+        expect(ClientLog.pendingCount()).toBe(0);
+    });
+
+    it('reports uncaught errors with the current screen after init()', async () => {
+        ClientLog.init();
+        ClientLog.setContext({ screen: 'app:slalom' });
+        window.dispatchEvent(new ErrorEvent('error', { error: new Error('boom'), message: 'boom' }));
+        window.dispatchEvent(new ErrorEvent('error', { message: 'ResizeObserver loop limit exceeded' }));
+
+        await ClientLog.flush();
+        const events = sentEvents(fetchMock);
+        expect(events).toHaveLength(1);
+        expect(events[0]).toMatchObject({ message: 'Error: boom', data: { screen: 'app:slalom', uncaught: true } });
+    });
+});
@@ -0,0 +1,23 @@
+import { describe, it, expect } from 'vitest';
+import { ErrorInfo } from '../error-info.js';
+
+describe('ErrorInfo', () => {
+    it('describes errors with their name and a trimmed stack', () => {
+        const err = new TypeError('boom');
+        err.stack = 'x'.repeat(5000);
+        expect(ErrorInfo.describe(err)).toEqual({ message: 'TypeError: boom', stack: 'x'.repeat(2000) });
+    });
+
+    it('describes rejection reasons that are not errors', () => {
+        expect(ErrorInfo.describe('nope')).toEqual({ message: 'nope', stack: null });
+        expect(ErrorInfo.describe({ code: 7 })).toEqual({ message: '{"code":7}', stack: null });
+        expect(ErrorInfo.describe(undefined)).toEqual({ message: 'Unknown error', stack: null });
+    });
+
+    it('treats ResizeObserver and opaque script errors as noise, unless they carry an Error', () => {
+        expect(ErrorInfo.isNoise({ message: 'ResizeObserver loop completed with undelivered notifications.' })).toBe(true);
+        expect(ErrorInfo.isNoise({ message: 'Script error.' })).toBe(true);
+        expect(ErrorInfo.isNoise({ message: 'Script error.', error: new Error('real') })).toBe(false);
+        expect(ErrorInfo.isNoise({ message: 'Uncaught TypeError: x is undefined' })).toBe(false);
+    });
+});
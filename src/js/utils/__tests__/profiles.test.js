@@ -0,0 +1,67 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { Storage } from '../storage.js';
+import { Profiles } from '../profiles.js';
+
+describe('Profiles', () => {
+    beforeEach(() => {
+        localStorage.clear();
+        Storage._resetForTests();
+        Profiles._resetForTests();
+    });
+
+    it('creates the default profile on first run and adopts existing data', () => {
+        localStorage.setItem('winnieos.apps.notepad.note', JSON.stringify({ html: 'hello' }));
+
+        const active = Profiles.init();
+
+        expect(active).toMatchObject({ id: 'p-winnie', name: 'Winnie' });
+        expect(Storage.getProfile()).toBe('p-winnie');
+        expect(Storage.forApp('notepad').get('note')).toEqual({ html: 'hello' });
+        expect(localStorage.getItem('winnieos.apps.notepad.note')).toBeNull();
+    });
+
+    it('selects the last-used profile on the next boot', () => {
+        Profiles.init();
+        const sam = Profiles.create({ name: 'Sam' });
+        Profiles.select(sam.id);
+
+        Storage._resetForTests();
+        Profiles._resetForTests();
+        Profiles.init();
+
+        expect(Storage.getProfile()).toBe(sam.id);
+    });
+
+    it('create() picks a unique id and an unused avatar', () => {
+        Profiles.init();
+        const a = Profiles.create({ name: 'Sam' });
+        const b = Profiles.create({ name: 'Sam' });
+
+        expect(a.id).toBe('p-sam');
+        expect(b.id).toBe('p-sam-2');
+        expect(a.avatar).not.toBe(Profiles.get('p-winnie').avatar);
+        expect(Profiles.create({ name: '   ' })).toBeNull();
+    });
+
+    it('update() renames without touching the id', () => {
+        Profiles.init();
+        Profiles.update('p-winnie', { name: '  Winnie B  ', avatar: '🦄' });
+
+        expect(Profiles.get('p-winnie')).toMatchObject({ name: 'Winnie B', avatar: '🦄' });
+        expect(Profiles.update('p-nobody', { name: 'x' })).toBeNull();
+    });
+
+    it('select() dispatches winnieos:profilechange', () => {
+        Profiles.init();
+        const sam = Profiles.create({ name: 'Sam' });
+        const onChange = vi.fn();
+        document.addEventListener('winnieos:profilechange', onChange);
+
+        expect(Profiles.select(sam.id)).toBe(true);
+        expect(Profiles.select('p-nobody')).toBe(false);
+
+        document.removeEventListener('winnieos:profilechange', onChange);
+        expect(onChange).toHaveBeenCalledTimes(1);
+        expect(onChange.mock.calls[0][0].detail.profile.id).toBe(sam.id);
+    });
+});
@@ -1,9 +1,10 @@
-import { describe, it, expect, beforeEach } from 'vitest';
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
 import { Storage } from '../storage.js';
 
 describe('Storage', () => {
     beforeEach(() => {
         localStorage.clear();
+        Storage._resetForTests();
     });
 
     // One representative round-trip per JSON-serializable shape covers the only
@@ -51,3 +52,367 @@ describe('Storage', () => {
         expect(() => Storage.set('', 'value')).toThrow('Storage key must be');
     });
 });
+
+describe('Storage schemas and migrations', () => {
+    let warnSpy;
+
+    beforeEach(() => {
+        localStorage.clear();
+        Storage._resetForTests();
+        warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        warnSpy.mockRestore();
+    });
+
+    // Multi-page Notepad style migration: v1 { html } -> v2 { pages: [...] } -> v3 adds a title.
+    function registerNote() {
+        Storage.registerSchema({
+            key: 'apps.notepad.note',
+            version: 3,
+            upgrades: [
+                (v1) => ({ pages: [v1.html] }),
+                (v2) => ({ ...v2, title: 'My note' })
+            ],
+            legacyKeys: ['apps.notepad.v1']
+        });
+    }
+
+    it('upgrades legacy-key data on first read, writes it back, and drops the legacy key', () => {
+        localStorage.setItem('winnieos.apps.notepad.v1', JSON.stringify({ html: 'hi' }));
+        registerNote();
+
+        expect(Storage.get('apps.notepad.note')).toEqual({ pages: ['hi'], title: 'My note' });
+        expect(JSON.parse(localStorage.getItem('winnieos.apps.notepad.note')))
+            .toEqual({ __schema: 3, data: { pages: ['hi'], title: 'My note' } });
+        expect(localStorage.getItem('winnieos.apps.notepad.v1')).toBeNull();
+    });
+
+    it('runs only the upgrades newer than the stored version', () => {
+        registerNote();
+        localStorage.setItem('winnieos.apps.notepad.note', JSON.stringify({ __schema: 2, data: { pages: ['a', 'b'] } }));
+
+        expect(Storage.get('apps.notepad.note')).toEqual({ pages: ['a', 'b'], title: 'My note' });
+    });
+
+    it('round-trips set/get at the current version and applies normalize', () => {
+        Storage.registerSchema({
+            key: 'apps.letters.score',
+            version: 1,
+            normalize: (v) => ({ red: Math.max(0, v.red || 0) })
+        });
+        Storage.set('apps.letters.score', { red: -4 });
+        expect(Storage.get('apps.letters.score')).toEqual({ red: 0 });
+    });
+
+    // Never silently discard: data we can't upgrade stays exactly as stored.
+    it.each([
+        ['a failing upgrade', { __schema: 1, data: null }],
+        ['data from a newer build', { __schema: 9, data: { pages: [] } }]
+    ])('leaves stored data untouched on %s', (_label, stored) => {
+        registerNote();
+        localStorage.setItem('winnieos.apps.notepad.note', JSON.stringify(stored));
+
+        expect(Storage.get('apps.notepad.note', 'fallback')).toBe('fallback');
+        expect(JSON.parse(localStorage.getItem('winnieos.apps.notepad.note'))).toEqual(stored);
+    });
+
+    it('requires one upgrade per version step', () => {
+        expect(() => Storage.registerSchema({ key: 'x', version: 3, upgrades: [(v) => v] }))
+            .toThrow('needs exactly 2 upgrade function(s)');
+    });
+});
+
+describe('Storage scoped handles', () => {
+    beforeEach(() => {
+        localStorage.clear();
+        Storage._resetForTests();
+    });
+
+    it('namespaces app keys under apps.<id>.', () => {
+        const notepad = Storage.forApp('notepad');
+        notepad.set('note', { html: 'hi' });
+
+        expect(JSON.parse(localStorage.getItem('winnieos.apps.notepad.note'))).toEqual({ html: 'hi' });
+        expect(notepad.get('note')).toEqual({ html: 'hi' });
+        expect(notepad.keys()).toEqual(['note']);
+    });
+
+    // The parent-facing contract: resetting one app leaves every other app (and OS prefs) alone.
+    it('clear() only removes that app\'s keys', () => {
+        Storage.forApp('notepad').set('note', 'a');
+        Storage.forApp('letters').set('score', { red: 1 });
+        Storage.set('preferences.backgroundColor', '#ff0000');
+
+        Storage.forApp('notepad').clear();
+
+        expect(Storage.forApp('notepad').keys()).toEqual([]);
+        expect(Storage.forApp('letters').get('score')).toEqual({ red: 1 });
+        expect(Storage.get('preferences.backgroundColor')).toBe('#ff0000');
+    });
+
+    it('clear() also removes not-yet-migrated legacy keys so they cannot resurrect', () => {
+        Storage.forApp('letters').registerSchema({ key: 'score', version: 1, legacyKeys: ['letters.score.v1'] });
+        localStorage.setItem('winnieos.letters.score.v1', JSON.stringify({ red: 3 }));
+
+        Storage.forApp('letters').clear();
+
+        expect(Storage.forApp('letters').get('score')).toBeNull();
+    });
+
+    it('reports usage bytes for just that scope', () => {
+        const letters = Storage.forApp('letters');
+        expect(letters.usageBytes()).toBe(0);
+
+        letters.set('score', 12);
+        Storage.set('other.key', 'x'.repeat(100));
+
+        // UTF-16: (key "winnieos.apps.letters.score" + value "12") * 2 bytes
+        expect(letters.usageBytes()).toBe(('winnieos.apps.letters.score'.length + 2) * 2);
+    });
+});
+
+describe('Storage profiles', () => {
+    beforeEach(() => {
+        localStorage.clear();
+        Storage._resetForTests();
+    });
+
+    it('resolves relative keys into the active profile, keeping device keys shared', () => {
+        Storage.setProfile('p-winnie');
+        Storage.forApp('letters').set('score', { red: 1 });
+        Storage.set('display.reference', { width: 1024, height: 768 });
+
+        expect(JSON.parse(localStorage.getItem('winnieos.p-winnie.apps.letters.score'))).toEqual({ red: 1 });
+        expect(JSON.parse(localStorage.getItem('winnieos.display.reference'))).toEqual({ width: 1024, height: 768 });
+        expect(Storage.keys().sort()).toEqual(['apps.letters.score', 'display.reference']);
+        expect(Storage.allKeys().sort()).toEqual(['display.reference', 'p-winnie.apps.letters.score']);
+    });
+
+    // The sibling problem: one child's progress must not overwrite the other's.
+    it('keeps each profile\'s data apart, including scoped handles made before the switch', () => {
+        const letters = Storage.forApp('letters');
+        Storage.setProfile('p-winnie');
+        letters.set('score', { red: 5 });
+        Storage.setProfile('p-sam');
+        expect(letters.get('score')).toBeNull();
+        letters.set('score', { red: 1 });
+
+        Storage.setProfile('p-winnie');
+        expect(letters.get('score')).toEqual({ red: 5 });
+    });
+
+    it('clear() only clears the active profile', () => {
+        Storage.setProfile('p-sam');
+        Storage.set('preferences.backgroundColor', '#00ff00');
+        Storage.setProfile('p-winnie');
+        Storage.set('preferences.backgroundColor', '#ff0000');
+        Storage.set('profiles.list', [{ id: 'p-winnie' }]);
+
+        Storage.clear();
+
+        expect(Storage.get('preferences.backgroundColor')).toBeNull();
+        expect(Storage.has('profiles.list')).toBe(true);
+        Storage.setProfile('p-sam');
+        expect(Storage.get('preferences.backgroundColor')).toBe('#00ff00');
+    });
+
+    it('adoptUnprofiledData moves pre-profile data into a profile', () => {
+        Storage.set('apps.notepad.v1', { html: 'old' });
+        Storage.set('display.reference', { width: 1280, height: 800 });
+
+        expect(Storage.adoptUnprofiledData('p-winnie')).toBe(1);
+        expect(localStorage.getItem('winnieos.apps.notepad.v1')).toBeNull();
+
+        Storage.setProfile('p-winnie');
+        expect(Storage.get('apps.notepad.v1')).toEqual({ html: 'old' });
+        expect(Storage.get('display.reference')).toEqual({ width: 1280, height: 800 });
+    });
+
+    it('resolves legacy schema keys inside the active profile', () => {
+        Storage.setProfile('p-winnie');
+        Storage.forApp('letters').registerSchema({ key: 'score', version: 1, legacyKeys: ['letters.score.v1'] });
+        localStorage.setItem('winnieos.p-winnie.letters.score.v1', JSON.stringify({ red: 2 }));
+
+        expect(Storage.forApp('letters').get('score')).toEqual({ red: 2 });
+        expect(localStorage.getItem('winnieos.p-winnie.letters.score.v1')).toBeNull();
+    });
+
+    it('rejects malformed profile ids', () => {
+        expect(() => Storage.setProfile('../evil')).toThrow('Invalid profile id');
+    });
+});
+
+describe('Storage quota monitoring', () => {
+    let events;
+    const onQuota = (e) => events.push(e.detail);
+
+    beforeEach(() => {
+        localStorage.clear();
+        Storage._resetForTests();
+        events = [];
+        document.addEventListener('winnieos:storagequota', onQuota);
+    });
+
+    afterEach(() => {
+        document.removeEventListener('winnieos:storagequota', onQuota);
+        vi.restoreAllMocks();
+    });
+
+    it('accounts bytes per key and in total', () => {
+        Storage.set('a', 'xy'); // stored as "\"xy\"" (4 chars)
+        const usage = Storage.usage();
+        expect(usage.keys).toEqual({ a: ('winnieos.a'.length + 4) * 2 });
+        expect(usage.totalBytes).toBe(usage.keys.a);
+        expect(usage.level).toBe('ok');
+    });
+
+    // The bug this guards: a long Notepad note silently stopped saving.
+    it('dispatches a "full" event when a write hits the quota', () => {
+        const setItem = vi.spyOn(Object.getPrototypeOf(window.localStorage), 'setItem');
+        setItem.mockImplementation((k) => {
+            if (k === '__storage_test__') return;
+            throw new DOMException('full', 'QuotaExceededError');
+        });
+
+        expect(Storage.set('apps.notepad.note', { html: 'long' })).toBe(false);
+        expect(events).toEqual([expect.objectContaining({ level: 'full', key: 'apps.notepad.note' })]);
+        expect(Storage.getQuotaLevel()).toBe('full');
+    });
+
+    // The banner must not go away while the note is still unsaved.
+    it('stays full until the key that failed is saved or removed', () => {
+        const proto = Object.getPrototypeOf(window.localStorage);
+        const realSetItem = proto.setItem;
+        let full = true;
+        vi.spyOn(proto, 'setItem').mockImplementation(function(k, v) {
+            if (full && k === 'winnieos.apps.notepad.note') throw new DOMException('full', 'QuotaExceededError');
+            return realSetItem.call(this, k, v);
+        });
+
+        expect(Storage.set('apps.notepad.note', { html: 'long' })).toBe(false);
+        expect(Storage.set('apps.colors.last', 'red')).toBe(true);
+        expect(Storage.getQuotaLevel()).toBe('full');
+
+        full = false;
+        expect(Storage.set('apps.notepad.note', { html: 'short' })).toBe(true);
+        expect(Storage.getQuotaLevel()).toBe('ok');
+        expect(events.map((e) => e.level)).toEqual(['full', 'ok']);
+    });
+
+    it('leaves full when the key that failed is removed', () => {
+        const setItem = vi.spyOn(Object.getPrototypeOf(window.localStorage), 'setItem');
+        setItem.mockImplementation((k) => {
+            if (k === '__storage_test__') return;
+            throw new DOMException('full', 'QuotaExceededError');
+        });
+        expect(Storage.set('apps.notepad.note', { html: 'long' })).toBe(false);
+        setItem.mockRestore();
+
+        Storage.set('apps.colors.last', 'red');
+        expect(Storage.getQuotaLevel()).toBe('full');
+        Storage.remove('apps.notepad.note');
+        expect(Storage.getQuotaLevel()).toBe('ok');
+    });
+
+    it('leaves full when an app reset clears a failed write in the active profile', () => {
+        Storage.setProfile('p-winnie');
+        const setItem = vi.spyOn(Object.getPrototypeOf(window.localStorage), 'setItem');
+        setItem.mockImplementation((k) => {
+            if (k === '__storage_test__') return;
+            throw new DOMException('full', 'QuotaExceededError');
+        });
+        expect(Storage.forApp('notepad').set('note', { html: 'long' })).toBe(false);
+        setItem.mockRestore();
+
+        Storage.forApp('colors').clear();
+        expect(Storage.getQuotaLevel()).toBe('full');
+        Storage.forApp('notepad').clear();
+        expect(Storage.getQuotaLevel()).toBe('ok');
+    });
+
+    it('dispatches "warning" past the threshold and "ok" once space is freed', () => {
+        Storage.set('big', 'x'.repeat(2.2 * 1024 * 1024));
+        expect(events.map((e) => e.level)).toEqual(['warning']);
+
+        Storage.remove('big');
+        expect(events.map((e) => e.level)).toEqual(['warning', 'ok']);
+    });
+});
+
+describe('Storage server mirror', () => {
+    let originalFetch;
+    let serverItems;
+    let requests;
+
+    function mockServer({ available = true } = {}) {
+        globalThis.fetch = vi.fn(async (url, opts = {}) => {
+            const method = opts.method || 'GET';
+            requests.push({ url, method, body: opts.body ? JSON.parse(opts.body) : undefined });
+            if (!available) return { ok: false, status: 404, async json() { return {}; } };
+            if (method === 'GET') return { ok: true, async json() { return { items: serverItems }; } };
+            const key = decodeURIComponent(url.split('/').pop());
+            if (method === 'PUT') serverItems[key] = JSON.parse(opts.body).value;
+            if (method === 'DELETE') delete serverItems[key];
+            return { ok: true, status: 204 };
+        });
+    }
+
+    beforeEach(() => {
+        localStorage.clear();
+        Storage._resetForTests();
+        originalFetch = globalThis.fetch;
+        serverItems = {};
+        requests = [];
+    });
+
+    afterEach(() => {
+        globalThis.fetch = originalFetch;
+    });
+
+    // The whole point: a wiped Chromium profile gets everything back at boot.
+    it('hydrates localStorage from the server', async () => {
+        serverItems = { 'apps.notepad.v1': { html: 'hello', color: '#111111' } };
+        mockServer();
+
+        expect(await Storage.hydrate()).toBe(true);
+        expect(Storage.get('apps.notepad.v1')).toEqual({ html: 'hello', color: '#111111' });
+        expect(Storage.getRemoteState()).toBe('available');
+    });
+
+    it('uploads local-only keys during hydrate', async () => {
+        localStorage.setItem('winnieos.letters.score.v1', '7');
+        mockServer();
+
+        await Storage.hydrate();
+        await Storage.whenSynced();
+
+        expect(serverItems).toEqual({ 'letters.score.v1': 7 });
+    });
+
+    it('mirrors set/remove to the server once available', async () => {
+        mockServer();
+        await Storage.hydrate();
+
+        Storage.set('preferences.backgroundColor', '#ff0000');
+        await Storage.whenSynced();
+        expect(serverItems['preferences.backgroundColor']).toBe('#ff0000');
+
+        Storage.remove('preferences.backgroundColor');
+        await Storage.whenSynced();
+        expect(serverItems).not.toHaveProperty('preferences.backgroundColor');
+    });
+
+    // GitHub Pages: no /api/storage. Storage must keep working local-only and never PUT.
+    it('falls back to local-only when the endpoint does not exist', async () => {
+        mockServer({ available: false });
+
+        expect(await Storage.hydrate()).toBe(false);
+        expect(Storage.set('some.key', 1)).toBe(true);
+        await Storage.whenSynced();
+
+        expect(Storage.get('some.key')).toBe(1);
+        expect(requests.filter((r) => r.method !== 'GET')).toEqual([]);
+    });
+});
@@ -0,0 +1,125 @@
+/**
+ * WinnieOS App Usage Utility
+ *
+ * Per-profile launch history and favorites for the desktop's "Play again" row.
+ * DesktopScreen records a launch each time a tile opens an app; favorites are
+ * pinned by a parent in Settings. Both live under profile-scoped Storage keys,
+ * so every child gets their own row.
+ *
+ * Usage:
+ *   import { AppUsage } from './utils/app-usage.js';
+ *   AppUsage.recordLaunch('letters');
+ *   AppUsage.recent(4);                   // ['letters', 'colors', ...] newest first
+ *   AppUsage.get('letters');              // { count: 3, lastAt: '<ISO date>' }
+ *   AppUsage.setFavorite('slalom', true);
+ *   AppUsage.getFavorites();              // ['slalom']
+ */
+
+import { Storage } from './storage.js';
+
+const LAUNCHES_KEY = 'desktop.launches';
+const FAVORITES_KEY = 'desktop.favorites';
+// Apps come and go; don't keep history for ids that haven't been opened in ages.
+const MAX_TRACKED_APPS = 50;
+
+function isValidEntry(entry) {
+    return !!entry && typeof entry === 'object' && Number.isInteger(entry.count) && entry.count > 0 &&
+        typeof entry.lastAt === 'string' && !Number.isNaN(Date.parse(entry.lastAt));
+}
+
+function readLaunches() {
+    const raw = Storage.get(LAUNCHES_KEY, {});
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) return {};
+    const launches = {};
+    Object.keys(raw).forEach((id) => {
+        if (isValidEntry(raw[id])) launches[id] = { count: raw[id].count, lastAt: raw[id].lastAt };
+    });
+    return launches;
+}
+
+function byNewest(launches) {
+    return Object.keys(launches).sort((a, b) => Date.parse(launches[b].lastAt) - Date.parse(launches[a].lastAt));
+}
+
+export const AppUsage = {
+    /**
+     * Count a launch of an app for the active profile
+     * @param {string} appId - App id
+     * @returns {{count: number, lastAt: string}} Updated entry
+     */
+    recordLaunch: function(appId) {
+        const id = String(appId || '');
+        const launches = readLaunches();
+        const entry = {
+            count: (launches[id] ? launches[id].count : 0) + 1,
+            lastAt: new Date().toISOString()
+        };
+        launches[id] = entry;
+        const kept = {};
+        byNewest(launches).slice(0, MAX_TRACKED_APPS).forEach((key) => { kept[key] = launches[key]; });
+        Storage.set(LAUNCHES_KEY, kept);
+        return { ...entry };
+    },
+
+    /**
+     * @param {string} appId - App id
+     * @returns {{count: number, lastAt: string}|null} Launch count and last launch, or null if never opened
+     */
+    get: function(appId) {
+        const entry = readLaunches()[String(appId || '')];
+        return entry ? { ...entry } : null;
+    },
+
+    /**
+     * @param {number} [limit] - At most this many ids
+     * @returns {string[]} Launched app ids, most recent first
+     */
+    recent: function(limit) {
+        const ids = byNewest(readLaunches());
+        return Number.isInteger(limit) && limit >= 0 ? ids.slice(0, limit) : ids;
+    },
+
+    /**
+     * Forget the launch history (favorites stay).
+     */
+    clearRecent: function() {
+        Storage.remove(LAUNCHES_KEY);
+    },
+
+    /**
+     * @returns {string[]} Pinned app ids, in the order they were pinned
+     */
+    getFavorites: function() {
+        const ids = Storage.get(FAVORITES_KEY, []);
+        return Array.isArray(ids) ? Array.from(new Set(ids.filter((id) => typeof id === 'string' && id))) : [];
+    },
+
+    /**
+     * @param {string} appId - App id
+     * @returns {boolean}
+     */
+    isFavorite: function(appId) {
+        return AppUsage.getFavorites().includes(String(appId || ''));
+    },
+
+    /**
+     * Pin or unpin an app
+     * @param {string} appId - App id
+     * @param {boolean} pinned - True to pin (added at the end), false to unpin
+     * @returns {boolean} True if saved
+     */
+    setFavorite: function(appId, pinned) {
+        const id = String(appId || '');
+        if (!id) return false;
+        const ids = AppUsage.getFavorites().filter((f) => f !== id);
+        if (pinned) ids.push(id);
+        return Storage.set(FAVORITES_KEY, ids);
+    }
+};
+
+// Attach to window namespace for compatibility/debugging
+if (typeof window !== 'undefined') {
+    window.WinnieOS = window.WinnieOS || {};
+    window.WinnieOS.Utils = window.WinnieOS.Utils || {};
+    window.WinnieOS.Utils.AppUsage = AppUsage;
+}
@@ -41,6 +41,7 @@ const MIN_INTERVAL = {
     binBounce: 0.03,
     scoreTick: 0.09,
     star: 0.35,
+    say: 0.12,
     // Typing can be rapid; keep it snappy but safely rate-limited.
     type: 0.028
 };
@@ -542,6 +543,73 @@ function playReady(strength = 0.6) {
     });
 }
 
+// Letter names as a vowel (formant pair, Hz), an onset and an optional coda.
+// Onset: 'noise' for letters that start with a hiss (C "see", V, Z), 'click' for
+// plosives (B, D, K, P, T...), null for none. Coda: 'hiss' for letters whose hiss
+// comes at the end of the name (F "eff", S "ess", X "ex").
+const VOWEL_FORMANTS = {
+    ee: [300, 2300],
+    ay: [450, 2000],
+    eh: [600, 1800],
+    ah: [750, 1200],
+    oh: [450, 850],
+    oo: [320, 900]
+};
+const LETTER_SOUNDS = {
+    a: ['ay', null], b: ['ee', 'click'], c: ['ee', 'noise'], d: ['ee', 'click'], e: ['ee', null],
+    f: ['eh', null, 'hiss'], g: ['ee', 'click'], h: ['ay', null], i: ['ah', null], j: ['ay', 'click'],
+    k: ['ay', 'click'], l: ['eh', null], m: ['eh', null], n: ['eh', null], o: ['oh', null],
+    p: ['ee', 'click'], q: ['oo', 'click'], r: ['ah', null], s: ['eh', null, 'hiss'], t: ['ee', 'click'],
+    u: ['oo', null], v: ['ee', 'noise'], w: ['oo', 'click'], x: ['eh', null, 'hiss'], y: ['ah', null],
+    z: ['ee', 'noise']
+};
+
+function playSay(letter, strength = 0.7) {
+    const c = ensureContext();
+    if (!c || !master) return;
+    if (!shouldPlay('say')) return;
+
+    const s = clamp01(strength);
+    const t = c.currentTime;
+    const [vowel, onset, coda] = LETTER_SOUNDS[String(letter || '').toLowerCase()] || ['ah', null];
+    const [f1, f2] = VOWEL_FORMANTS[vowel];
+    const voiceAt = onset ? t + 0.035 : t;
+
+    // "Spoken-style", not speech: a buzzy voice through two vowel formants, with a
+    // falling pitch like the end of a word. Different letters sound different.
+    const o = c.createOscillator();
+    o.type = 'sawtooth';
+    o.frequency.setValueAtTime(250 + 30 * s, voiceAt);
+    o.frequency.exponentialRampToValueAtTime(175, voiceAt + 0.26);
+
+    const g = c.createGain();
+    envGain(g, voiceAt, 0.02, 0.26, 0.16 * (0.55 + 0.45 * s), 0.00001);
+    [[f1, 6, 1.0], [f2, 9, 0.55]].forEach(([freq, q, level]) => {
+        const bp = c.createBiquadFilter();
+        bp.type = 'bandpass';
+        bp.frequency.setValueAtTime(freq, voiceAt);
+        bp.Q.setValueAtTime(q, voiceAt);
+        const fg = c.createGain();
+        fg.gain.setValueAtTime(level, voiceAt);
+        o.connect(bp);
+        bp.connect(fg);
+        fg.connect(g);
+    });
+    g.connect(master);
+    o.start(voiceAt);
+    o.stop(voiceAt + 0.32);
+
+    if (onset === 'noise') {
+        playNoiseBurst(t, 0.06, { gainPeak: 0.012 + 0.010 * s, hpHz: 3800 });
+    } else if (onset === 'click') {
+        playNoiseBurst(t, 0.02, { gainPeak: 0.020 + 0.012 * s, bpHz: 1500, bpQ: 0.8 });
+    }
+    if (coda === 'hiss') {
+        // Overlaps the vowel's tail, like the "ss" closing "ess".
+        playNoiseBurst(voiceAt + 0.18, 0.12, { gainPeak: 0.012 + 0.010 * s, hpHz: 3800 });
+    }
+}
+
 function playTick() {
     const c = ensureContext();
     if (!c || !master) return;
@@ -1102,6 +1170,13 @@ export const Audio = {
     ready: function(strength) {
         playReady(strength);
     },
+    /**
+     * A short voice-like blip shaped like the letter's name ("bee", "oh"),
+     * e.g. when jumping to an app by its first letter. Not speech synthesis.
+     */
+    say: function(letter, strength) {
+        playSay(letter, strength);
+    },
     /**
      * Typing sound (clicky + poppy), designed to be fun with lots of variation,
      * but still safe and non-musical.
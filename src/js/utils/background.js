@@ -186,11 +186,22 @@ function loadSavedColor() {
     }
 }
 
+/**
+ * Forget the saved background color preference and apply the defaults
+ * @returns {boolean} True if removed successfully
+ */
+function resetColor() {
+    const ok = Storage.remove(STORAGE_KEY);
+    applyBackgroundColor(DEFAULT_PRIMARY, DEFAULT_SECONDARY);
+    return ok;
+}
+
 export const Background = {
     apply: applyBackgroundColor,
     getSaved: getSavedColor,
     save: saveColor,
     load: loadSavedColor,
+    reset: resetColor,
     rgbToHex,
     hexToRgb,
     generateSecondary: generateSecondaryColor
@@ -0,0 +1,223 @@
+/**
+ * WinnieOS Backup Utility
+ *
+ * Full export/import of everything WinnieOS keeps in Storage, as a single
+ * versioned JSON bundle. Used to snapshot Winnie's world before risky updates
+ * and to move it to a new laptop.
+ *
+ * Bundle shape (shared with lib/backup-store.js on the server):
+ *   {
+ *     format: 'winnieos-backup',
+ *     version: 1,
+ *     createdAt: '<ISO date>',
+ *     build: '<git SHA or null>',
+ *     data: { '<key without winnieos. prefix, e.g. p-winnie.apps.notepad.note>': <value>, ... }
+ *   }
+ *
+ * Usage:
+ *   import { Backup } from './utils/backup.js';
+ *   const id = await Backup.saveToServer();          // kiosk: data/backups/
+ *   await Backup.restoreFromServer(id);               // validates, then replaces
+ *   Backup.download(await Backup.create());           // any host: save a file
+ *
+ * After a restore, reload the page so every module re-reads its state.
+ */
+
+import { Storage } from './storage.js';
+
+const BACKUP_FORMAT = 'winnieos-backup';
+const BACKUP_VERSION = 1;
+
+// Must match lib/storage-store.js: keys become file names on the server.
+const KEY_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._-]{0,199}$/;
+
+// Resolve under Vite's base so the same source works at both the kiosk's
+// root ('/') and at a GitHub Pages subpath ('/WinnieOS/').
+const BASE_URL = import.meta.env.BASE_URL || '/';
+const BACKUPS_URL = BASE_URL + 'api/backups';
+const HEALTH_URL = BASE_URL + 'healthz';
+
+async function fetchBuildVersion() {
+    try {
+        const res = await fetch(HEALTH_URL, { cache: 'no-store' });
+        if (!res.ok) return null;
+        const data = await res.json();
+        return typeof data.version === 'string' && data.version ? data.version : null;
+    } catch (_) {
+        return null;
+    }
+}
+
+/**
+ * Validate a backup bundle
+ * @param {*} bundle - Candidate bundle
+ * @returns {{valid: boolean, errors: string[]}}
+ */
+function validateBackup(bundle) {
+    const errors = [];
+    if (!bundle || typeof bundle !== 'object' || Array.isArray(bundle)) {
+        return { valid: false, errors: ['bundle must be an object'] };
+    }
+    if (bundle.format !== BACKUP_FORMAT) {
+        errors.push(`format must be "${BACKUP_FORMAT}"`);
+    }
+    if (!Number.isInteger(bundle.version) || bundle.version < 1 || bundle.version > BACKUP_VERSION) {
+        errors.push(`version must be an integer between 1 and ${BACKUP_VERSION}`);
+    }
+    if (typeof bundle.createdAt !== 'string' || Number.isNaN(Date.parse(bundle.createdAt))) {
+        errors.push('createdAt must be an ISO date string');
+    }
+    if (!bundle.data || typeof bundle.data !== 'object' || Array.isArray(bundle.data)) {
+        errors.push('data must be an object');
+    } else {
+        Object.keys(bundle.data).forEach((key) => {
+            if (!KEY_PATTERN.test(key) || key.includes('..')) errors.push(`data has invalid key "${key}"`);
+        });
+    }
+    return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Build a bundle from the current Storage contents
+ * @returns {Promise<object>} Backup bundle
+ */
+async function createBackup() {
+    const data = {};
+    // Raw values keep each key's schema envelope, so a restore into a newer
+    // build still upgrades old data through the Storage migrations.
+    // allKeys() spans every profile, so one bundle holds the whole household.
+    Storage.allKeys().forEach((key) => {
+        data[key] = Storage.getRaw(key);
+    });
+    return {
+        format: BACKUP_FORMAT,
+        version: BACKUP_VERSION,
+        createdAt: new Date().toISOString(),
+        build: await fetchBuildVersion(),
+        data
+    };
+}
+
+/**
+ * Replace all current Storage keys with a bundle's data.
+ * Nothing is touched unless the bundle validates.
+ * @param {object} bundle - Backup bundle
+ * @returns {{ok: boolean, restored: number, errors: string[]}}
+ */
+function restoreBackup(bundle) {
+    const result = validateBackup(bundle);
+    if (!result.valid) {
+        return { ok: false, restored: 0, errors: result.errors };
+    }
+
+    Storage.clearAll();
+    const errors = [];
+    let restored = 0;
+    Object.keys(bundle.data).forEach((key) => {
+        if (Storage.setRaw(key, bundle.data[key])) {
+            restored++;
+        } else {
+            errors.push(`failed to write "${key}"`);
+        }
+    });
+    return { ok: errors.length === 0, restored, errors };
+}
+
+export const Backup = {
+    FORMAT: BACKUP_FORMAT,
+    VERSION: BACKUP_VERSION,
+
+    create: createBackup,
+    validate: validateBackup,
+    restore: restoreBackup,
+
+    /**
+     * Create a bundle and store it on the server (kiosk only).
+     * @returns {Promise<string|null>} Backup id, or null if the server refused or is absent
+     */
+    saveToServer: async function() {
+        try {
+            const bundle = await createBackup();
+            const res = await fetch(BACKUPS_URL, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(bundle)
+            });
+            if (!res.ok) return null;
+            const data = await res.json();
+            return data && typeof data.id === 'string' ? data.id : null;
+        } catch (_) {
+            return null;
+        }
+    },
+
+    /**
+     * List bundles stored on the server, newest first.
+     * @returns {Promise<Array<{id: string, size: number, savedAt: string}>>}
+     */
+    listServer: async function() {
+        try {
+            const res = await fetch(BACKUPS_URL, { cache: 'no-store' });
+            if (!res.ok) return [];
+            const data = await res.json();
+            return data && Array.isArray(data.backups) ? data.backups : [];
+        } catch (_) {
+            return [];
+        }
+    },
+
+    /**
+     * Fetch a server bundle by id and restore it.
+     * @param {string} id - Backup id
+     * @returns {Promise<{ok: boolean, restored: number, errors: string[]}>}
+     */
+    restoreFromServer: async function(id) {
+        let bundle = null;
+        try {
+            const res = await fetch(BACKUPS_URL + '/' + encodeURIComponent(String(id || '')), { cache: 'no-store' });
+            if (res.ok) bundle = await res.json();
+        } catch (_) {
+            bundle = null;
+        }
+        if (!bundle) {
+            return { ok: false, restored: 0, errors: ['backup not found'] };
+        }
+        return restoreBackup(bundle);
+    },
+
+    /**
+     * Save a bundle as a downloadable .json file (works on any host).
+     * @param {object} bundle - Backup bundle
+     */
+    download: function(bundle) {
+        const blob = new Blob([JSON.stringify(bundle, null, 2) + '\n'], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `winnieos-backup-${String(bundle.createdAt || '').slice(0, 10) || 'export'}.json`;
+        document.body.appendChild(a);
+        a.click();
+        a.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    },
+
+    /**
+     * Parse a user-selected backup file (e.g. from an <input type="file">).
+     * @param {File|Blob} file - Backup file
+     * @returns {Promise<object|null>} Parsed bundle (not yet validated), or null if unreadable
+     */
+    readFile: async function(file) {
+        try {
+            return JSON.parse(await file.text());
+        } catch (_) {
+            return null;
+        }
+    }
+};
+
+// Attach to window namespace for compatibility/debugging
+if (typeof window !== 'undefined') {
+    window.WinnieOS = window.WinnieOS || {};
+    window.WinnieOS.Utils = window.WinnieOS.Utils || {};
+    window.WinnieOS.Utils.Backup = Backup;
+}
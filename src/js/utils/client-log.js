@@ -0,0 +1,209 @@
+/**
+ * WinnieOS Client Log Utility
+ *
+ * Ships front-end errors, app launches and navigation changes to the server's
+ * winston log (POST /api/client-log, see lib/client-log.js), so problems on the
+ * kiosk show up in logs/winnieos.log instead of dying with the page.
+ *
+ * Events are buffered and sent in small batches a moment after they happen. While
+ * the server is unreachable (offline, restarting for a deploy) they stay buffered
+ * (newest MAX_BUFFERED_EVENTS) and go out on the next `online` event or retry. On
+ * static hosts (GitHub Pages) the endpoint 404s and the log goes quiet for the session.
+ *
+ * Usage:
+ *   import { ClientLog } from './utils/client-log.js';
+ *   ClientLog.init();                                   // Shell.init(): global error handlers
+ *   ClientLog.error(err, { appId: 'letters' });
+ *   ClientLog.event('app-launch', 'letters', { ms: 120 });
+ */
+
+import { ErrorInfo } from './error-info.js';
+
+// Resolve under Vite's base so the same source works at both the kiosk's
+// root ('/') and at a GitHub Pages subpath ('/WinnieOS/').
+const LOG_URL = (import.meta.env.BASE_URL || '/') + 'api/client-log';
+
+const FLUSH_DELAY_MS = 2000;
+const RETRY_DELAY_MS = 30000;
+const MAX_BUFFERED_EVENTS = 200;
+// Must stay within the server's MAX_BATCH_EVENTS.
+const MAX_BATCH_EVENTS = 50;
+
+let buffer = [];
+let droppedCount = 0;
+let flushTimer = null;
+let sending = null;
+// 'unknown' until the first send, then 'available' or 'unavailable' (404: no server).
+let remoteState = 'unknown';
+let listeners = null;
+// Attached to every error, e.g. `{ screen: 'app:letters' }` (kept current by the Shell).
+let context = {};
+
+function isOffline() {
+    return typeof navigator !== 'undefined' && navigator.onLine === false;
+}
+
+function push(event) {
+    if (remoteState === 'unavailable') return;
+    buffer.push({ ...event, at: new Date().toISOString() });
+    if (buffer.length > MAX_BUFFERED_EVENTS) {
+        droppedCount += buffer.length - MAX_BUFFERED_EVENTS;
+        buffer = buffer.slice(-MAX_BUFFERED_EVENTS);
+    }
+    scheduleFlush(FLUSH_DELAY_MS);
+}
+
+function scheduleFlush(delayMs) {
+    if (flushTimer || remoteState === 'unavailable') return;
+    flushTimer = setTimeout(() => {
+        flushTimer = null;
+        flush();
+    }, delayMs);
+}
+
+/**
+ * Send buffered events, one batch at a time, until the buffer is empty or a send fails.
+ * @param {object} [options] - Options
+ * @param {boolean} [options.keepalive] - Let the request outlive the page (pagehide)
+ * @returns {Promise<void>}
+ */
+function flush(options) {
+    if (sending) return sending;
+    if (buffer.length === 0 || remoteState === 'unavailable') return Promise.resolve();
+    if (isOffline()) return Promise.resolve(); // the `online` listener flushes
+
+    sending = (async () => {
+        while (buffer.length > 0) {
+            const batch = buffer.slice(0, MAX_BATCH_EVENTS);
+            if (droppedCount > 0) {
+                batch[0] = { ...batch[0], data: { ...batch[0].data, droppedBefore: droppedCount } };
+            }
+            let res;
+            try {
+                res = await fetch(LOG_URL, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ events: batch }),
+                    keepalive: !!(options && options.keepalive)
+                });
+            } catch (_) {
+                // Server briefly unreachable; events stay buffered for the retry.
+                scheduleFlush(RETRY_DELAY_MS);
+                return;
+            }
+            if (res.status === 404) {
+                remoteState = 'unavailable';
+                buffer = [];
+                return;
+            }
+            if (res.status === 429 || res.status >= 500) {
+                scheduleFlush(RETRY_DELAY_MS);
+                return;
+            }
+            // 2xx, or 400 (a malformed batch won't get better by resending it).
+            remoteState = 'available';
+            buffer = buffer.slice(batch.length);
+            droppedCount = 0;
+        }
+    })().finally(() => {
+        sending = null;
+    });
+    return sending;
+}
+
+export const ClientLog = {
+    /**
+     * Report uncaught errors and unhandled rejections, and flush when the
+     * connection comes back or the page is going away. Safe to call more than once.
+     */
+    init: function() {
+        if (listeners || typeof window === 'undefined') return;
+        listeners = {
+            error: (e) => {
+                if (ErrorInfo.isNoise(e)) return;
+                ClientLog.error((e && e.error) || (e && e.message) || '', { uncaught: true });
+            },
+            rejection: (e) => ClientLog.error(e ? e.reason : undefined, { uncaught: true }),
+            online: () => flush(),
+            pagehide: () => flush({ keepalive: true })
+        };
+        window.addEventListener('error', listeners.error);
+        window.addEventListener('unhandledrejection', listeners.rejection);
+        window.addEventListener('online', listeners.online);
+        window.addEventListener('pagehide', listeners.pagehide);
+    },
+
+    /**
+     * Log an error
+     * @param {*} err - Error (or rejection reason / message)
+     * @param {object} [data] - Extra context, e.g. `{ appId }`
+     */
+    error: function(err, data) {
+        const { message, stack } = ErrorInfo.describe(err);
+        push({ type: 'error', level: 'error', message, data: { ...context, ...data, ...(stack ? { stack } : {}) } });
+    },
+
+    /**
+     * Merge fields into the context attached to every error
+     * @param {object} fields - e.g. `{ screen: 'app:letters' }`
+     */
+    setContext: function(fields) {
+        context = { ...context, ...fields };
+    },
+
+    /**
+     * Log a non-error event
+     * @param {'app-launch'|'navigation'|'storage-quota'} type - Event type (see EVENT_TYPES in lib/client-log.js)
+     * @param {string} message - Short description, e.g. the app id
+     * @param {object} [data] - Extra context
+     */
+    event: function(type, message, data) {
+        push({ type, message: String(message), data: { ...data } });
+    },
+
+    /**
+     * Send everything buffered now (instead of waiting for the batch delay).
+     * @returns {Promise<void>}
+     */
+    flush: function() {
+        if (flushTimer) {
+            clearTimeout(flushTimer);
+            flushTimer = null;
+        }
+        return flush();
+    },
+
+    /**
+     * @returns {number} Events waiting to be sent
+     */
+    pendingCount: function() {
+        return buffer.length;
+    },
+
+    /**
+     * For development/testing only.
+     */
+    _resetForTests: function() {
+        if (flushTimer) clearTimeout(flushTimer);
+        flushTimer = null;
+        if (listeners) {
+            window.removeEventListener('error', listeners.error);
+            window.removeEventListener('unhandledrejection', listeners.rejection);
+            window.removeEventListener('online', listeners.online);
+            window.removeEventListener('pagehide', listeners.pagehide);
+        }
+        listeners = null;
+        buffer = [];
+        droppedCount = 0;
+        context = {};
+        sending = null;
+        remoteState = 'unknown';
+    }
+};
+
+// Attach to window namespace for compatibility/debugging
+if (typeof window !== 'undefined') {
+    window.WinnieOS = window.WinnieOS || {};
+    window.WinnieOS.Utils = window.WinnieOS.Utils || {};
+    window.WinnieOS.Utils.ClientLog = ClientLog;
+}
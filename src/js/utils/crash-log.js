@@ -0,0 +1,64 @@
+/**
+ * WinnieOS Crash Log Utility
+ *
+ * Remembers the last few app crashes for the parent. AppHostScreen records an
+ * entry whenever its crash boundary tears an app down; the Settings app lists
+ * them. Stored under a device-level key, so it's one log for all profiles.
+ *
+ * Usage:
+ *   import { CrashLog } from './utils/crash-log.js';
+ *   CrashLog.record('letters', err);
+ *   CrashLog.list();   // newest first: [{ appId, message, stack, at, profile }]
+ *   CrashLog.clear();
+ */
+
+import { Storage } from './storage.js';
+import { ErrorInfo } from './error-info.js';
+
+const STORAGE_KEY = 'diagnostics.crashes';
+const MAX_ENTRIES = 20;
+
+function readAll() {
+    const list = Storage.get(STORAGE_KEY, []);
+    return Array.isArray(list) ? list.filter((e) => e && typeof e === 'object') : [];
+}
+
+export const CrashLog = {
+    /**
+     * Record a crash (oldest entries drop off after MAX_ENTRIES)
+     * @param {string} appId - App that crashed
+     * @param {*} err - Error (or rejection reason)
+     * @returns {object} The stored entry
+     */
+    record: function(appId, err) {
+        const entry = {
+            appId: String(appId || 'unknown'),
+            ...ErrorInfo.describe(err),
+            at: new Date().toISOString(),
+            profile: Storage.getProfile()
+        };
+        Storage.set(STORAGE_KEY, [entry].concat(readAll()).slice(0, MAX_ENTRIES));
+        return entry;
+    },
+
+    /**
+     * @returns {object[]} Recorded crashes, newest first
+     */
+    list: function() {
+        return readAll();
+    },
+
+    /**
+     * Forget all recorded crashes.
+     */
+    clear: function() {
+        Storage.remove(STORAGE_KEY);
+    }
+};
+
+// Attach to window namespace for compatibility/debugging
+if (typeof window !== 'undefined') {
+    window.WinnieOS = window.WinnieOS || {};
+    window.WinnieOS.Utils = window.WinnieOS.Utils || {};
+    window.WinnieOS.Utils.CrashLog = CrashLog;
+}
@@ -0,0 +1,57 @@
+/**
+ * WinnieOS Error Info Utility
+ *
+ * One place that decides how an error is described (CrashLog, ClientLog) and
+ * which uncaught window errors are browser noise rather than a real failure
+ * (ClientLog's global handler, AppHostScreen's crash boundary), so the three
+ * can't drift apart.
+ *
+ * Usage:
+ *   import { ErrorInfo } from './utils/error-info.js';
+ *   ErrorInfo.describe(err);          // { message: 'TypeError: ...', stack: '...' | null }
+ *   ErrorInfo.isNoise(errorEvent);    // true for benign ResizeObserver / opaque cross-origin errors
+ */
+
+const MAX_STACK_LENGTH = 2000;
+// Browser noise that isn't anyone's fault: benign ResizeObserver warnings, and
+// opaque errors from cross-origin scripts (nothing to attribute or retry).
+const IGNORED_ERROR_MESSAGES = [/^ResizeObserver loop/, /^Script error\.?$/];
+
+export const ErrorInfo = {
+    /**
+     * @param {*} err - Error, rejection reason or message
+     * @returns {{message: string, stack: string|null}} Message (with the error name) and a trimmed stack
+     */
+    describe: function(err) {
+        if (err instanceof Error) {
+            return {
+                message: `${err.name || 'Error'}: ${err.message}`,
+                stack: typeof err.stack === 'string' ? err.stack.slice(0, MAX_STACK_LENGTH) : null
+            };
+        }
+        let message;
+        try {
+            message = typeof err === 'string' ? err : JSON.stringify(err);
+        } catch (_) {
+            message = String(err);
+        }
+        return { message: message || 'Unknown error', stack: null };
+    },
+
+    /**
+     * @param {ErrorEvent} event - A window `error` event
+     * @returns {boolean} True if it carries no Error and its message is known browser noise
+     */
+    isNoise: function(event) {
+        if (event && event.error) return false;
+        const message = (event && event.message) || '';
+        return IGNORED_ERROR_MESSAGES.some((re) => re.test(message));
+    }
+};
+
+// Attach to window namespace for compatibility/debugging
+if (typeof window !== 'undefined') {
+    window.WinnieOS = window.WinnieOS || {};
+    window.WinnieOS.Utils = window.WinnieOS.Utils || {};
+    window.WinnieOS.Utils.ErrorInfo = ErrorInfo;
+}
@@ -14,8 +14,14 @@
  *      setInterval — so a slow server can't stack overlapping requests.
  * If the initial capture fails, we abandon the poll entirely rather than
  * risk a spurious reload.
+ *
+ * The same response carries a config revision. A change there (a parent saved
+ * settings via PUT /api/config) doesn't reload the page: it dispatches
+ * `winnieos:configchange` so the desktop refetches config in place.
  */
 
+import { RuntimeConfig } from '../core/config.js';
+
 const POLL_INTERVAL_MS = 5000;
 
 // Resolve under Vite's base so the same source works at both the kiosk's
@@ -25,20 +31,23 @@ const POLL_INTERVAL_MS = 5000;
 // deploy-reload behavior is unaffected.
 const HEALTH_URL = (import.meta.env.BASE_URL || '/') + 'healthz';
 
-async function fetchVersion() {
+async function fetchHealth() {
     const res = await fetch(HEALTH_URL, { cache: 'no-store' });
     if (!res.ok) throw new Error(`healthz ${res.status}`);
     const data = await res.json();
     if (typeof data.version !== 'string' || !data.version) {
         throw new Error('healthz missing version');
     }
-    return data.version;
+    // Older servers don't report a config revision; treat it as never changing.
+    const configRevision = typeof data.configRevision === 'string' ? data.configRevision : null;
+    return { version: data.version, configRevision };
 }
 
 async function startHealthPoll() {
     let knownVersion;
+    let knownConfigRevision;
     try {
-        knownVersion = await fetchVersion();
+        ({ version: knownVersion, configRevision: knownConfigRevision } = await fetchHealth());
     } catch (_) {
         // /healthz unreachable at startup — abandon the poll rather than reload-loop.
         return;
@@ -46,11 +55,16 @@ async function startHealthPoll() {
 
     const tick = async () => {
         try {
-            const version = await fetchVersion();
+            const { version, configRevision } = await fetchHealth();
             if (version !== knownVersion) {
                 window.location.reload();
                 return;
             }
+            if (configRevision && configRevision !== knownConfigRevision) {
+                knownConfigRevision = configRevision;
+                RuntimeConfig.clearCache();
+                document.dispatchEvent(new CustomEvent('winnieos:configchange', { detail: { revision: configRevision } }));
+            }
         } catch (_) {
             // Transient failure; try again next tick.
         }
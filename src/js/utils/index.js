@@ -16,6 +16,12 @@ export const Utils = (typeof window !== 'undefined')
 import './storage.js';
 import './background.js';
 import './audio.js';
+import './backup.js';
+import './profiles.js';
+import './error-info.js';
+import './crash-log.js';
+import './app-usage.js';
+import './client-log.js';
 
 // Utility modules are imported above and attached to window.WinnieOS.Utils
 // Example structure:
@@ -0,0 +1,208 @@
+/**
+ * WinnieOS Profiles Utility
+ *
+ * One profile per child. The selected profile namespaces Storage
+ * (`winnieos.<profileId>.…`), so notes, game progress and the background color
+ * are per child, while device settings (display resolution, the profile list
+ * itself) stay shared. See "Profiles" in utils/storage.js.
+ *
+ * On first run the default profile ("Winnie") is created and adopts everything
+ * saved before profiles existed, so nothing is lost on upgrade.
+ *
+ * Usage:
+ *   import { Profiles } from './utils/profiles.js';
+ *   Profiles.init();                       // after Storage.hydrate() has settled
+ *   Profiles.list();                       // [{ id, name, avatar, createdAt }, ...]
+ *   Profiles.select('p-winnie');           // dispatches `winnieos:profilechange`
+ *   Profiles.create({ name: 'Sam', avatar: '🦊' });
+ */
+
+import { Storage } from './storage.js';
+import { Background } from './background.js';
+
+const LIST_KEY = 'profiles.list';
+const LAST_KEY = 'profiles.last';
+const NAME_MAX_LENGTH = 20;
+
+const AVATARS = ['🐻', '🦊', '🐰', '🐼', '🦁', '🐸', '🐱', '🐶', '🦄', '🐙'];
+const DEFAULT_PROFILE = { id: 'p-winnie', name: 'Winnie', avatar: '🐻' };
+
+let ready = false;
+let resolveReady = null;
+const readyPromise = new Promise((resolve) => { resolveReady = resolve; });
+
+function cleanName(name) {
+    const trimmed = String(name == null ? '' : name).trim().slice(0, NAME_MAX_LENGTH);
+    return trimmed || null;
+}
+
+function cleanAvatar(avatar) {
+    return typeof avatar === 'string' && avatar.trim() ? avatar.trim() : AVATARS[0];
+}
+
+function normalizeList(value) {
+    if (!Array.isArray(value)) return [];
+    const seen = new Set();
+    return value.filter((p) => {
+        if (!p || typeof p !== 'object' || typeof p.id !== 'string' || seen.has(p.id)) return false;
+        if (!/^p-[a-z0-9-]{1,40}$/.test(p.id) || !cleanName(p.name)) return false;
+        seen.add(p.id);
+        return true;
+    }).map((p) => ({
+        id: p.id,
+        name: cleanName(p.name),
+        avatar: cleanAvatar(p.avatar),
+        createdAt: typeof p.createdAt === 'string' ? p.createdAt : null
+    }));
+}
+
+function readList() {
+    return normalizeList(Storage.get(LIST_KEY, null));
+}
+
+function writeList(list) {
+    return Storage.set(LIST_KEY, list);
+}
+
+function makeId(name, list) {
+    const slug = String(name).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 20) || 'kid';
+    let id = `p-${slug}`;
+    for (let n = 2; list.some((p) => p.id === id); n++) {
+        id = `p-${slug}-${n}`;
+    }
+    return id;
+}
+
+export const Profiles = {
+    AVATARS: AVATARS.slice(),
+
+    /**
+     * Load the profile list (creating the default profile on first run) and select
+     * the last-used profile. Safe to call more than once.
+     * @returns {object|null} The active profile
+     */
+    init: function() {
+        if (ready) return Profiles.getActive();
+
+        let list = readList();
+        if (list.length === 0) {
+            list = [{ ...DEFAULT_PROFILE, createdAt: new Date().toISOString() }];
+            writeList(list);
+            Storage.adoptUnprofiledData(DEFAULT_PROFILE.id);
+        }
+
+        const last = Storage.get(LAST_KEY, null);
+        const initial = list.find((p) => p.id === last) || list[0];
+        ready = true;
+        Profiles.select(initial.id);
+        resolveReady();
+        return Profiles.getActive();
+    },
+
+    /**
+     * Resolves once init() has run
+     * @returns {Promise<void>}
+     */
+    whenReady: function() {
+        return readyPromise;
+    },
+
+    /**
+     * All profiles, in creation order
+     * @returns {Array<{id: string, name: string, avatar: string, createdAt: string|null}>}
+     */
+    list: function() {
+        return readList();
+    },
+
+    /**
+     * @param {string} id - Profile id
+     * @returns {object|null} Profile, or null if unknown
+     */
+    get: function(id) {
+        return readList().find((p) => p.id === id) || null;
+    },
+
+    /**
+     * @returns {object|null} The selected profile
+     */
+    getActive: function() {
+        const id = Storage.getProfile();
+        return id ? Profiles.get(id) : null;
+    },
+
+    /**
+     * Switch to a profile: Storage now reads/writes that child's data.
+     * @param {string} id - Profile id
+     * @returns {boolean} True if the profile exists
+     */
+    select: function(id) {
+        const profile = Profiles.get(id);
+        if (!profile) return false;
+
+        Storage.setProfile(profile.id);
+        Storage.set(LAST_KEY, profile.id);
+        if (Background && typeof Background.load === 'function') {
+            Background.load();
+        }
+        try {
+            document.dispatchEvent(new CustomEvent('winnieos:profilechange', { detail: { profile } }));
+        } catch (_) {
+            // ignore
+        }
+        return true;
+    },
+
+    /**
+     * Add a profile (grown-up menu)
+     * @param {object} fields - Profile fields
+     * @param {string} fields.name - Display name
+     * @param {string} [fields.avatar] - Emoji avatar (defaults to the next unused one)
+     * @returns {object|null} The new profile, or null if the name is empty
+     */
+    create: function(fields) {
+        const name = cleanName(fields && fields.name);
+        if (!name) return null;
+        const list = readList();
+        const unused = AVATARS.find((a) => !list.some((p) => p.avatar === a)) || AVATARS[0];
+        const profile = {
+            id: makeId(name, list),
+            name,
+            avatar: fields && fields.avatar ? cleanAvatar(fields.avatar) : unused,
+            createdAt: new Date().toISOString()
+        };
+        list.push(profile);
+        return writeList(list) ? profile : null;
+    },
+
+    /**
+     * Rename a profile or change its avatar (grown-up menu)
+     * @param {string} id - Profile id
+     * @param {object} fields - `{ name?, avatar? }`
+     * @returns {object|null} The updated profile, or null if unknown
+     */
+    update: function(id, fields) {
+        const list = readList();
+        const profile = list.find((p) => p.id === id);
+        if (!profile) return null;
+        const name = fields && fields.name !== undefined ? cleanName(fields.name) : null;
+        if (name) profile.name = name;
+        if (fields && fields.avatar !== undefined) profile.avatar = cleanAvatar(fields.avatar);
+        writeList(list);
+        return profile;
+    },
+
+    /**
+     * For development/testing only.
+     */
+    _resetForTests: function() {
+        ready = false;
+    }
+};
+
+// Attach to window namespace for compatibility/debugging
+if (typeof window !== 'undefined') {
+    window.WinnieOS = window.WinnieOS || {};
+    window.WinnieOS.Utils = window.WinnieOS.Utils || {};
+    window.WinnieOS.Utils.Profiles = Profiles;
+}
@@ -3,7 +3,49 @@
  * 
  * General-purpose localStorage wrapper with JSON serialization.
  * Handles errors gracefully when storage is unavailable (e.g., in kiosk/lockdown scenarios).
+ *
+ * Server mirror:
+ * localStorage lives inside the Chromium profile, so a profile reset would erase
+ * everything. When the Express server exposes `/api/storage`, every write is also
+ * mirrored there (fire-and-forget), and `Storage.hydrate()` restores server data
+ * into localStorage at boot. Reads stay synchronous against localStorage.
+ * On static hosts (GitHub Pages) the endpoint 404s and Storage stays local-only.
+ *
+ * Schemas + migrations:
+ * A module that owns a key can register its schema (current version + ordered
+ * upgrade functions). Registered keys are stored in a small envelope
+ * (`{ __schema: <version>, data: <value> }`), and `get()` upgrades older data on
+ * first read (then writes it back) instead of silently discarding it:
+ *
+ *   Storage.registerSchema({
+ *       key: 'apps.notepad.note',
+ *       version: 2,
+ *       upgrades: [(v1) => ({ pages: [v1] })],   // upgrades[0]: v1 -> v2, upgrades[1]: v2 -> v3, ...
+ *       legacyKeys: ['apps.notepad.v1'],         // optional: old key names, read as version 1
+ *       normalize: (value) => value              // optional: final shape guard after upgrades
+ *   });
  * 
+ * Scoped handles:
+ * `Storage.scope('apps.notepad.')` returns the same API restricted to one key prefix,
+ * plus `usageBytes()` and a `clear()` that only touches that prefix. AppHostScreen
+ * passes `Storage.forApp(id)` to each app as `ctx.storage`, so resetting one app's
+ * data never affects another's.
+ *
+ * Quota:
+ * localStorage has a small per-origin quota. Storage keeps an approximate byte count
+ * (`Storage.usage()`) and dispatches `winnieos:storagequota` on `document` whenever the
+ * level changes: 'ok' -> 'warning' (past QUOTA_WARNING_RATIO of the quota) -> 'full'
+ * (a write actually failed). 'full' holds until every key that failed has been saved
+ * or removed, so writes to other small keys don't hide data that is still unsaved.
+ * The Shell shows a grown-up-facing indicator for 'full'.
+ *
+ * Profiles:
+ * Once `Storage.setProfile('p-winnie')` is called (see utils/profiles.js), relative keys
+ * resolve into that profile's namespace (`winnieos.p-winnie.apps.notepad.note`), so each
+ * child gets their own notes, scores and background. Device-level keys (DEVICE_KEY_PREFIXES,
+ * e.g. the display resolution, parent settings, the profile list itself and the crash log) stay shared. Callers keep using
+ * short relative keys; keys that already start with 'winnieos.' are used as-is.
+ *
  * Usage:
  *   import { Storage } from './utils/storage.js';
  *   Storage.set('my.key', { data: 'value' });
@@ -13,6 +55,36 @@
 
 const STORAGE_PREFIX = 'winnieos.';
 
+// Resolve under Vite's base so the same source works at both the kiosk's
+// root ('/') and at a GitHub Pages subpath ('/WinnieOS/').
+const REMOTE_URL = (import.meta.env.BASE_URL || '/') + 'api/storage';
+
+// Server mirror state: 'unknown' until hydrate() has run, then 'available' or 'unavailable'.
+let remoteState = 'unknown';
+let hydrating = null;
+// Keys (without prefix) changed locally that the server hasn't confirmed yet.
+// Survives failed pushes so the next write (or hydrate) retries them.
+const dirtyKeys = new Set();
+const queuedKeys = new Set();
+let pushChain = Promise.resolve();
+const HYDRATE_TIMEOUT_MS = 5000;
+
+// Chromium's localStorage quota is ~5 MiB per origin; treat it as approximate.
+const QUOTA_BYTES = 5 * 1024 * 1024;
+const QUOTA_WARNING_RATIO = 0.8;
+let quotaLevel = 'ok'; // 'ok' | 'warning' | 'full'
+// Keys (without prefix) whose last write hit the quota; 'full' until this is empty.
+const failedKeys = new Set();
+
+// Registered schemas by relative key (resolved into the active profile on each read).
+const schemas = new Map();
+const SCHEMA_FIELD = '__schema';
+
+// Active profile id (null until utils/profiles.js selects one) and the keys every profile shares.
+const PROFILE_ID_PATTERN = /^p-[a-z0-9-]{1,40}$/;
+const DEVICE_KEY_PREFIXES = ['display.', 'profiles.', 'settings.', 'diagnostics.'];
+let activeProfile = null;
+
 /**
  * Check if localStorage is available
  */
@@ -31,13 +103,17 @@ function isAvailable() {
     }
 }
 
-/**
- * Get a namespaced storage key
- */
-function getKey(key) {
+function checkKey(key) {
     if (!key || typeof key !== 'string') {
         throw new Error('Storage key must be a non-empty string');
     }
+}
+
+/**
+ * Prefix a key with 'winnieos.' only (no profile), as listed by Storage.allKeys()
+ */
+function fullKey(key) {
+    checkKey(key);
     // If key already has prefix, don't double-prefix
     if (key.startsWith(STORAGE_PREFIX)) {
         return key;
@@ -45,6 +121,304 @@ function getKey(key) {
     return STORAGE_PREFIX + key;
 }
 
+function isDeviceKey(key) {
+    return DEVICE_KEY_PREFIXES.some((p) => key.startsWith(p));
+}
+
+// Key (without 'winnieos.') belongs to some profile's namespace, e.g. 'p-winnie.apps.notepad.note'.
+function profileOf(key) {
+    const dot = key.indexOf('.');
+    const id = dot > 0 ? key.substring(0, dot) : '';
+    return PROFILE_ID_PATTERN.test(id) ? id : null;
+}
+
+/**
+ * Get a namespaced storage key, resolving relative keys into the active profile
+ */
+function getKey(key) {
+    checkKey(key);
+    if (key.startsWith(STORAGE_PREFIX)) {
+        return key;
+    }
+    if (activeProfile && !isDeviceKey(key)) {
+        return `${STORAGE_PREFIX}${activeProfile}.${key}`;
+    }
+    return STORAGE_PREFIX + key;
+}
+
+function stripPrefix(storageKey) {
+    return storageKey.startsWith(STORAGE_PREFIX) ? storageKey.substring(STORAGE_PREFIX.length) : storageKey;
+}
+
+function schemaFor(key) {
+    return schemas.get(stripPrefix(key)) || null;
+}
+
+// Every WinnieOS key in localStorage, without the 'winnieos.' prefix.
+function listAllKeys() {
+    const keys = [];
+    for (let i = 0; i < window.localStorage.length; i++) {
+        const key = window.localStorage.key(i);
+        if (key && key.startsWith(STORAGE_PREFIX)) {
+            keys.push(key.substring(STORAGE_PREFIX.length));
+        }
+    }
+    return keys;
+}
+
+/**
+ * Send the current local value of a key to the server (PUT, or DELETE if it no longer exists).
+ * Reads localStorage at send time, so several queued writes of one key collapse into one request.
+ * @returns {Promise<boolean>} True if the server confirmed the write
+ */
+async function pushKey(key) {
+    const url = REMOTE_URL + '/' + encodeURIComponent(key);
+    try {
+        const raw = window.localStorage.getItem(STORAGE_PREFIX + key);
+        let res;
+        if (raw === null) {
+            res = await fetch(url, { method: 'DELETE', keepalive: true });
+        } else {
+            let value;
+            try { value = JSON.parse(raw); } catch (_) { value = raw; }
+            res = await fetch(url, {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ value }),
+                keepalive: true
+            });
+        }
+        if (!res || !res.ok) return false;
+        dirtyKeys.delete(key);
+        return true;
+    } catch (_) {
+        // Server briefly unreachable (e.g. restarting for a deploy); key stays dirty for retry.
+        return false;
+    }
+}
+
+function schedulePush(key) {
+    if (queuedKeys.has(key)) return;
+    queuedKeys.add(key);
+    // One request at a time keeps writes to the same key in order.
+    pushChain = pushChain.then(() => {
+        queuedKeys.delete(key);
+        return pushKey(key);
+    });
+}
+
+function flushDirty() {
+    if (remoteState !== 'available') return;
+    dirtyKeys.forEach(schedulePush);
+}
+
+function mirror(storageKey) {
+    dirtyKeys.add(stripPrefix(storageKey));
+    flushDirty();
+}
+
+/**
+ * Approximate bytes a localStorage entry occupies (Chromium stores UTF-16: 2 bytes per code unit).
+ */
+function entryBytes(storageKey, raw) {
+    return (storageKey.length + (raw ? raw.length : 0)) * 2;
+}
+
+/**
+ * Byte usage of every WinnieOS key
+ * @returns {{totalBytes: number, keys: Object<string, number>}}
+ */
+function computeUsage() {
+    const keys = {};
+    let totalBytes = 0;
+    for (let i = 0; i < window.localStorage.length; i++) {
+        const k = window.localStorage.key(i);
+        if (!k || !k.startsWith(STORAGE_PREFIX)) continue;
+        const bytes = entryBytes(k, window.localStorage.getItem(k));
+        keys[k.substring(STORAGE_PREFIX.length)] = bytes;
+        totalBytes += bytes;
+    }
+    return { totalBytes, keys };
+}
+
+function setQuotaLevel(level, totalBytes, key) {
+    if (level === quotaLevel) return;
+    quotaLevel = level;
+    try {
+        document.dispatchEvent(new CustomEvent('winnieos:storagequota', {
+            detail: { level, totalBytes, quotaBytes: QUOTA_BYTES, key: key ? stripPrefix(key) : null }
+        }));
+    } catch (_) {
+        // ignore
+    }
+}
+
+function refreshQuotaLevel(storageKey) {
+    if (failedKeys.size > 0) return;
+    try {
+        const { totalBytes } = computeUsage();
+        setQuotaLevel(totalBytes >= QUOTA_BYTES * QUOTA_WARNING_RATIO ? 'warning' : 'ok', totalBytes, storageKey);
+    } catch (_) { /* ignore */ }
+}
+
+function isQuotaError(err) {
+    return !!err && (
+        err.name === 'QuotaExceededError' ||
+        err.name === 'NS_ERROR_DOM_QUOTA_REACHED' ||
+        err.code === 22 || err.code === 1014
+    );
+}
+
+function reportWriteFailure(storageKey) {
+    failedKeys.add(stripPrefix(storageKey));
+    let totalBytes = 0;
+    try { totalBytes = computeUsage().totalBytes; } catch (_) { /* ignore */ }
+    setQuotaLevel('full', totalBytes, storageKey);
+}
+
+// A local write/remove succeeded: mirror it to the server and re-check the quota level.
+function committed(storageKey) {
+    failedKeys.delete(stripPrefix(storageKey));
+    mirror(storageKey);
+    refreshQuotaLevel(storageKey);
+}
+
+// A clear also settles failed writes it covers that never made it into localStorage.
+function forgetFailedWrites(prefix) {
+    failedKeys.forEach((key) => {
+        if (key.startsWith(prefix)) failedKeys.delete(key);
+    });
+    refreshQuotaLevel(null);
+}
+
+function parseRaw(raw) {
+    try {
+        return JSON.parse(raw);
+    } catch (_) {
+        // If JSON parsing fails, return raw string (backward compatibility)
+        return raw;
+    }
+}
+
+function isEnvelope(value) {
+    return !!value && typeof value === 'object' && !Array.isArray(value) &&
+        Number.isInteger(value[SCHEMA_FIELD]) && Object.prototype.hasOwnProperty.call(value, 'data');
+}
+
+function writeEnvelope(storageKey, schema, data) {
+    const envelope = { [SCHEMA_FIELD]: schema.version, data };
+    window.localStorage.setItem(storageKey, JSON.stringify(envelope));
+    committed(storageKey);
+}
+
+/**
+ * Read a registered key, upgrading older data to the current schema version.
+ * Upgraded data is written back (and any legacy key removed) so migrations run once.
+ * If data can't be upgraded (newer than this build, or an upgrade throws) the stored
+ * value is left untouched and defaultValue is returned.
+ */
+function readWithSchema(storageKey, schema, defaultValue) {
+    let sourceKey = storageKey;
+    let raw = window.localStorage.getItem(storageKey);
+    if (raw === null) {
+        sourceKey = schema.legacyKeys.map(getKey).find((k) => window.localStorage.getItem(k) !== null) || null;
+        if (!sourceKey) return defaultValue;
+        raw = window.localStorage.getItem(sourceKey);
+    }
+
+    const parsed = parseRaw(raw);
+    const enveloped = isEnvelope(parsed);
+    // Data written before the key was registered (or under a legacy key) counts as version 1.
+    const fromVersion = enveloped ? parsed[SCHEMA_FIELD] : 1;
+    let data = enveloped ? parsed.data : parsed;
+
+    if (fromVersion > schema.version) {
+        console.warn(`WinnieOS.Storage: "${storageKey}" is schema v${fromVersion}, newer than v${schema.version}; leaving it untouched.`);
+        return defaultValue;
+    }
+
+    try {
+        for (let v = fromVersion; v < schema.version; v++) {
+            data = schema.upgrades[v - 1](data);
+        }
+        if (schema.normalize) data = schema.normalize(data);
+    } catch (err) {
+        console.warn(`WinnieOS.Storage: failed to upgrade "${storageKey}" from v${fromVersion}; leaving it untouched.`, err);
+        return defaultValue;
+    }
+
+    if (!enveloped || fromVersion !== schema.version || sourceKey !== storageKey) {
+        try {
+            writeEnvelope(storageKey, schema, data);
+            if (sourceKey !== storageKey) {
+                window.localStorage.removeItem(sourceKey);
+                committed(sourceKey);
+            }
+        } catch (_) { /* keep serving the upgraded value; write-back retries on next read */ }
+    }
+    return data;
+}
+
+function createScope(prefix) {
+    // Kept relative so the scope follows profile switches made after it was created.
+    const scopePrefix = stripPrefix(fullKey(prefix));
+    const toKey = (key) => {
+        checkKey(key);
+        return scopePrefix + key;
+    };
+    const scopedKeys = () => Storage.keys().filter((k) => k.startsWith(scopePrefix));
+
+    return {
+        prefix: scopePrefix,
+        get: (key, defaultValue = null) => Storage.get(toKey(key), defaultValue),
+        set: (key, value) => Storage.set(toKey(key), value),
+        remove: (key) => Storage.remove(toKey(key)),
+        has: (key) => Storage.has(toKey(key)),
+        registerSchema: (def) => Storage.registerSchema({ ...def, key: toKey(def && def.key) }),
+
+        /**
+         * Keys in this scope (without the scope prefix)
+         * @returns {string[]}
+         */
+        keys: function() {
+            return scopedKeys().map((k) => k.substring(scopePrefix.length));
+        },
+
+        /**
+         * Approximate bytes used by this scope's keys
+         * @returns {number}
+         */
+        usageBytes: function() {
+            if (!isAvailable()) return 0;
+            return scopedKeys().map(getKey).reduce((sum, k) => sum + entryBytes(k, window.localStorage.getItem(k)), 0);
+        },
+
+        /**
+         * Remove every key in this scope, plus not-yet-migrated legacy keys of schemas
+         * registered inside it (so an old key can't resurrect data after a reset).
+         * @returns {boolean} True if successful, false otherwise
+         */
+        clear: function() {
+            if (!isAvailable()) return false;
+            try {
+                const toRemove = new Set(scopedKeys().map(getKey));
+                schemas.forEach((schema, key) => {
+                    if (key.startsWith(scopePrefix)) schema.legacyKeys.forEach((k) => toRemove.add(getKey(k)));
+                });
+                toRemove.forEach((k) => {
+                    if (window.localStorage.getItem(k) === null) return;
+                    window.localStorage.removeItem(k);
+                    committed(k);
+                });
+                forgetFailedWrites(stripPrefix(getKey(scopePrefix)));
+                return true;
+            } catch (_) {
+                return false;
+            }
+        }
+    };
+}
+
 export const Storage = {
     /**
      * Get a value from localStorage
@@ -58,17 +432,15 @@ export const Storage = {
         }
         try {
             const storageKey = getKey(key);
+            const schema = schemaFor(key);
+            if (schema) {
+                return readWithSchema(storageKey, schema, defaultValue);
+            }
             const raw = window.localStorage.getItem(storageKey);
             if (raw === null) {
                 return defaultValue;
             }
-            // Try to parse as JSON
-            try {
-                return JSON.parse(raw);
-            } catch (_) {
-                // If JSON parsing fails, return raw string (backward compatibility)
-                return raw;
-            }
+            return parseRaw(raw);
         } catch (err) {
             // If getKey throws (invalid key), re-throw it
             if (err.message && err.message.includes('Storage key must be')) {
@@ -88,11 +460,18 @@ export const Storage = {
         if (!isAvailable()) {
             return false;
         }
+        let storageKey = null;
         try {
-            const storageKey = getKey(key);
+            storageKey = getKey(key);
+            const schema = schemaFor(key);
+            if (schema) {
+                writeEnvelope(storageKey, schema, value);
+                return true;
+            }
             // Stringify value (handles objects, arrays, primitives)
             const serialized = JSON.stringify(value);
             window.localStorage.setItem(storageKey, serialized);
+            committed(storageKey);
             return true;
         } catch (err) {
             // If getKey throws (invalid key), re-throw it
@@ -100,6 +479,7 @@ export const Storage = {
                 throw err;
             }
             // Storage quota exceeded or other error
+            if (isQuotaError(err)) reportWriteFailure(storageKey);
             return false;
         }
     },
@@ -116,6 +496,7 @@ export const Storage = {
         try {
             const storageKey = getKey(key);
             window.localStorage.removeItem(storageKey);
+            committed(storageKey);
             return true;
         } catch (err) {
             // If getKey throws (invalid key), re-throw it
@@ -137,7 +518,9 @@ export const Storage = {
         }
         try {
             const storageKey = getKey(key);
-            return window.localStorage.getItem(storageKey) !== null;
+            if (window.localStorage.getItem(storageKey) !== null) return true;
+            const schema = schemaFor(key);
+            return !!schema && schema.legacyKeys.some((k) => window.localStorage.getItem(getKey(k)) !== null);
         } catch (err) {
             // If getKey throws (invalid key), re-throw it
             if (err.message && err.message.includes('Storage key must be')) {
@@ -148,22 +531,26 @@ export const Storage = {
     },
 
     /**
-     * Clear all WinnieOS storage keys (keys prefixed with 'winnieos.')
+     * Clear the active profile's keys (device-level keys such as the profile list are kept).
+     * With no profile selected this clears every WinnieOS key, like clearAll().
      * Note: This only clears keys with the prefix, not all localStorage
      */
     clear: function() {
+        if (!activeProfile) {
+            return Storage.clearAll();
+        }
         if (!isAvailable()) {
             return false;
         }
         try {
-            const keysToRemove = [];
-            for (let i = 0; i < window.localStorage.length; i++) {
-                const key = window.localStorage.key(i);
-                if (key && key.startsWith(STORAGE_PREFIX)) {
-                    keysToRemove.push(key);
-                }
-            }
-            keysToRemove.forEach(key => window.localStorage.removeItem(key));
+            const namespace = activeProfile + '.';
+            listAllKeys()
+                .filter((key) => key.startsWith(namespace))
+                .forEach((key) => {
+                    window.localStorage.removeItem(STORAGE_PREFIX + key);
+                    committed(STORAGE_PREFIX + key);
+                });
+            forgetFailedWrites(namespace);
             return true;
         } catch (_) {
             return false;
@@ -171,7 +558,29 @@ export const Storage = {
     },
 
     /**
-     * Get all keys with the WinnieOS prefix
+     * Clear all WinnieOS storage keys, for every profile (keys prefixed with 'winnieos.')
+     * @returns {boolean} True if successful, false otherwise
+     */
+    clearAll: function() {
+        if (!isAvailable()) {
+            return false;
+        }
+        try {
+            listAllKeys().forEach((key) => {
+                window.localStorage.removeItem(STORAGE_PREFIX + key);
+                committed(STORAGE_PREFIX + key);
+            });
+            forgetFailedWrites('');
+            return true;
+        } catch (_) {
+            return false;
+        }
+    },
+
+    /**
+     * Get the keys visible to the active profile: its own keys plus device-level keys,
+     * relative (usable with get/set). With no profile selected: every key outside a
+     * profile namespace.
      * @returns {string[]} Array of keys (without prefix)
      */
     keys: function() {
@@ -179,18 +588,274 @@ export const Storage = {
             return [];
         }
         try {
-            const keys = [];
-            for (let i = 0; i < window.localStorage.length; i++) {
-                const key = window.localStorage.key(i);
-                if (key && key.startsWith(STORAGE_PREFIX)) {
-                    // Return key without prefix
-                    keys.push(key.substring(STORAGE_PREFIX.length));
-                }
+            const all = listAllKeys();
+            if (!activeProfile) {
+                return all.filter((key) => !profileOf(key));
             }
-            return keys;
+            const namespace = activeProfile + '.';
+            return all
+                .filter((key) => key.startsWith(namespace) || (!profileOf(key) && isDeviceKey(key)))
+                .map((key) => (key.startsWith(namespace) ? key.substring(namespace.length) : key));
         } catch (_) {
             return [];
         }
+    },
+
+    /**
+     * Get every WinnieOS key across all profiles (for backups and the server mirror)
+     * @returns {string[]} Array of keys (without prefix), e.g. 'p-winnie.apps.notepad.note'
+     */
+    allKeys: function() {
+        if (!isAvailable()) {
+            return [];
+        }
+        try {
+            return listAllKeys();
+        } catch (_) {
+            return [];
+        }
+    },
+
+    /**
+     * Select the profile relative keys resolve into (null for none)
+     * @param {string|null} profileId - Profile id, e.g. 'p-winnie'
+     */
+    setProfile: function(profileId) {
+        if (profileId !== null && !PROFILE_ID_PATTERN.test(String(profileId))) {
+            throw new Error(`Invalid profile id: ${profileId}`);
+        }
+        activeProfile = profileId;
+    },
+
+    /**
+     * Currently selected profile id
+     * @returns {string|null}
+     */
+    getProfile: function() {
+        return activeProfile;
+    },
+
+    /**
+     * Move data saved before profiles existed (unprofiled, non-device keys) into a profile.
+     * Existing profile keys win over the unprofiled copy.
+     * @param {string} profileId - Profile id
+     * @returns {number} Number of keys moved
+     */
+    adoptUnprofiledData: function(profileId) {
+        if (!PROFILE_ID_PATTERN.test(String(profileId))) {
+            throw new Error(`Invalid profile id: ${profileId}`);
+        }
+        if (!isAvailable()) return 0;
+        let moved = 0;
+        listAllKeys()
+            .filter((key) => !profileOf(key) && !isDeviceKey(key))
+            .forEach((key) => {
+                const from = STORAGE_PREFIX + key;
+                const to = `${STORAGE_PREFIX}${profileId}.${key}`;
+                try {
+                    if (window.localStorage.getItem(to) === null) {
+                        window.localStorage.setItem(to, window.localStorage.getItem(from));
+                        committed(to);
+                        moved++;
+                    }
+                    window.localStorage.removeItem(from);
+                    committed(from);
+                } catch (err) {
+                    if (isQuotaError(err)) reportWriteFailure(to);
+                }
+            });
+        return moved;
+    },
+
+    /**
+     * Approximate byte usage of all WinnieOS keys
+     * @returns {{totalBytes: number, quotaBytes: number, level: string, keys: Object<string, number>}}
+     */
+    usage: function() {
+        if (!isAvailable()) {
+            return { totalBytes: 0, quotaBytes: QUOTA_BYTES, level: quotaLevel, keys: {} };
+        }
+        const { totalBytes, keys } = computeUsage();
+        return { totalBytes, quotaBytes: QUOTA_BYTES, level: quotaLevel, keys };
+    },
+
+    /**
+     * Current quota level (see "Quota" above)
+     * @returns {'ok'|'warning'|'full'}
+     */
+    getQuotaLevel: function() {
+        return quotaLevel;
+    },
+
+    /**
+     * Get a handle restricted to keys under a prefix (see "Scoped handles" above)
+     * @param {string} prefix - Key prefix, e.g. 'apps.notepad.' (will be prefixed with 'winnieos.')
+     * @returns {object} Scoped storage handle
+     */
+    scope: function(prefix) {
+        return createScope(prefix);
+    },
+
+    /**
+     * Scoped handle for an app's own data (`apps.<appId>.`)
+     * @param {string} appId - App id
+     * @returns {object} Scoped storage handle
+     */
+    forApp: function(appId) {
+        const id = String(appId || '').trim();
+        if (!id) {
+            throw new Error('Storage.forApp needs an app id');
+        }
+        return createScope(`apps.${id}.`);
+    },
+
+    /**
+     * Declare the schema for a key so older stored data is upgraded on read.
+     * Call at module load, before the first get() of that key.
+     * @param {object} def - Schema definition
+     * @param {string} def.key - Storage key (will be prefixed with 'winnieos.')
+     * @param {number} def.version - Current schema version (integer >= 1)
+     * @param {Function[]} [def.upgrades] - Ordered upgrades; upgrades[i] turns a v(i+1) value into v(i+2)
+     * @param {string[]} [def.legacyKeys] - Old key names whose (unversioned) data is read as v1 and moved
+     * @param {Function} [def.normalize] - Optional final shape guard applied after upgrades
+     */
+    registerSchema: function(def) {
+        const key = stripPrefix(fullKey(def && def.key));
+        const version = def.version;
+        const upgrades = Array.isArray(def.upgrades) ? def.upgrades : [];
+        if (!Number.isInteger(version) || version < 1) {
+            throw new Error(`Storage schema for "${def.key}" needs an integer version >= 1`);
+        }
+        if (upgrades.length !== version - 1 || !upgrades.every((fn) => typeof fn === 'function')) {
+            throw new Error(`Storage schema for "${def.key}" v${version} needs exactly ${version - 1} upgrade function(s)`);
+        }
+        schemas.set(key, {
+            version,
+            upgrades,
+            legacyKeys: (Array.isArray(def.legacyKeys) ? def.legacyKeys : []).map((k) => stripPrefix(fullKey(k))),
+            normalize: typeof def.normalize === 'function' ? def.normalize : null
+        });
+    },
+
+    /**
+     * Get the stored JSON exactly as written (no schema upgrade/unwrap, no profile namespacing).
+     * Used by backups so bundles keep each key's schema version.
+     * @param {string} key - Storage key as listed by allKeys() (will be prefixed with 'winnieos.')
+     * @returns {*} The stored value, or null if missing
+     */
+    getRaw: function(key) {
+        if (!isAvailable()) return null;
+        const raw = window.localStorage.getItem(fullKey(key));
+        return raw === null ? null : parseRaw(raw);
+    },
+
+    /**
+     * Write JSON exactly as given (no schema envelope, no profile namespacing). Counterpart of getRaw().
+     * @param {string} key - Storage key as listed by allKeys() (will be prefixed with 'winnieos.')
+     * @param {*} value - Value to store (will be JSON stringified)
+     * @returns {boolean} True if successful, false otherwise
+     */
+    setRaw: function(key, value) {
+        if (!isAvailable()) return false;
+        const storageKey = fullKey(key);
+        try {
+            window.localStorage.setItem(storageKey, JSON.stringify(value));
+            committed(storageKey);
+            return true;
+        } catch (err) {
+            if (isQuotaError(err)) reportWriteFailure(storageKey);
+            return false;
+        }
+    },
+
+    /**
+     * Restore data from the server mirror into localStorage (call once at boot).
+     * Server values win, except for keys written locally since this page loaded.
+     * Keys that only exist locally (written before the mirror existed, or while the
+     * server was unreachable) are uploaded. Resolves false when there is no server
+     * (e.g. GitHub Pages); Storage then keeps working local-only.
+     * @returns {Promise<boolean>} True if the server mirror is available
+     */
+    hydrate: function() {
+        if (hydrating) return hydrating;
+        hydrating = (async () => {
+            if (!isAvailable() || typeof fetch !== 'function') {
+                remoteState = 'unavailable';
+                return false;
+            }
+
+            let data = null;
+            // Boot (and the profile picker) waits on this, so don't hang on a wedged server.
+            const controller = typeof AbortController === 'function' ? new AbortController() : null;
+            const timer = controller ? setTimeout(() => controller.abort(), HYDRATE_TIMEOUT_MS) : null;
+            try {
+                const res = await fetch(REMOTE_URL, { cache: 'no-store', signal: controller ? controller.signal : undefined });
+                if (res && res.ok) data = await res.json();
+            } catch (_) {
+                data = null;
+            } finally {
+                if (timer) clearTimeout(timer);
+            }
+
+            const items = data && data.items && typeof data.items === 'object' && !Array.isArray(data.items)
+                ? data.items
+                : null;
+            if (!items) {
+                remoteState = 'unavailable';
+                hydrating = null; // allow a later retry
+                return false;
+            }
+
+            Object.keys(items).forEach((key) => {
+                if (dirtyKeys.has(key)) return;
+                try {
+                    window.localStorage.setItem(STORAGE_PREFIX + key, JSON.stringify(items[key]));
+                } catch (err) {
+                    // The server copy is still safe; just surface that local saving is full.
+                    if (isQuotaError(err)) reportWriteFailure(key);
+                }
+            });
+            listAllKeys().forEach((key) => {
+                if (!Object.prototype.hasOwnProperty.call(items, key)) dirtyKeys.add(key);
+            });
+
+            remoteState = 'available';
+            if (quotaLevel !== 'full') refreshQuotaLevel(null);
+            flushDirty();
+            return true;
+        })();
+        return hydrating;
+    },
+
+    /**
+     * Server mirror status
+     * @returns {'unknown'|'available'|'unavailable'}
+     */
+    getRemoteState: function() {
+        return remoteState;
+    },
+
+    /**
+     * Resolves once every queued mirror write has settled.
+     * @returns {Promise<void>}
+     */
+    whenSynced: function() {
+        return pushChain.then(() => {});
+    },
+
+    /**
+     * For development/testing only.
+     */
+    _resetForTests: function() {
+        schemas.clear();
+        activeProfile = null;
+        quotaLevel = 'ok';
+        failedKeys.clear();
+        remoteState = 'unknown';
+        hydrating = null;
+        dirtyKeys.clear();
+        queuedKeys.clear();
+        pushChain = Promise.resolve();
     }
 };
 
@@ -9,10 +9,11 @@ const require = createRequire(import.meta.url);
 
 // Load configuration using shared config loader
 // Uses same loader as server.js for consistency
-const { loadConfig } = require('./lib/config-loader');
-const config = loadConfig(__dirname, {
+const { loadConfigDetailed, discoverAppIds } = require('./lib/config-loader');
+const { config } = loadConfigDetailed(__dirname, {
   createDefaultIfMissing: true,
-  verbose: false // Vite handles its own logging
+  verbose: false, // Vite handles its own logging
+  knownAppIds: discoverAppIds(__dirname)
 });
 
 // Public config payload — the same shape Express's /winnieos-config.json